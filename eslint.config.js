@@ -23,7 +23,22 @@ export default defineConfig([
       },
     },
     rules: {
-      'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
+      // `motion` is only used as <motion.div>, which this rule cannot see
+      'no-unused-vars': ['error', { varsIgnorePattern: '^([A-Z_]|motion$)' }],
+    },
+  },
+  {
+    // Local dev servers (mock hardware etc.) run in Node, not the browser
+    files: ['server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    // Runs as the service worker, built into /sw.js by vite.config.js
+    files: ['src/pwa/serviceWorker.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
     },
   },
 ])
@@ -0,0 +1,216 @@
+// ==================================================================================
+// SAFE - MOCK SENSOR SERVER
+// Local stand-in for the Master Node. Streams room readings so the dashboard
+// can be developed without hardware. Message format: docs/sensor-protocol.md
+//
+// Usage:  npm run mock-server         (PORT=8787 by default)
+//   WebSocket:  ws://localhost:8787/ws
+//   SSE:        http://localhost:8787/events
+//   Commands:   sent over the WebSocket, or POST http://localhost:8787/commands (SSE)
+//              Every actuator command is acknowledged after a short delay;
+//              incident updates (acknowledged, escalated, resolved) are printed.
+//
+// Type commands into the terminal while it runs:
+//   fire <id>          push a room towards fire readings
+//   reset              bring every room back to normal (also clears glitches and jams)
+//   add <id> <name>    start reporting a new room
+//   remove <id>        stop reporting a room
+//   mute <id>          node goes silent (tests stale/offline detection)
+//   unmute <id>        node reports again
+//   glitch <id>        node reports an impossible 400 °C (tests sensor fault detection)
+//   jam <id>           the room's actuators refuse every command (tests failed acks)
+// ==================================================================================
+
+import http from 'node:http';
+import readline from 'node:readline';
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.PORT) || 8787;
+const INTERVAL_MS = Number(process.env.INTERVAL_MS) || 1000;
+const ACK_DELAY_MS = 300;
+
+// Actuators every room starts with, in their normal state (see src/config/actuators.js)
+const IDLE_ACTUATORS = { sprinkler: 'closed', sounder: 'off', door: 'locked', hvac: 'running' };
+
+// --- SIMULATED ROOMS ---
+// `target` is where the readings drift towards; `fire` makes them climb
+const newRoom = (id, name, temp) => ({ id, name, temp, smoke: 0, target: { temp, smoke: 0 }, actuators: { ...IDLE_ACTUATORS } });
+const rooms = new Map([
+  [1, newRoom(1, 'Room 1', 22)],
+  [2, newRoom(2, 'Room 2', 23)],
+  [3, newRoom(3, 'Room 3', 21)],
+  [4, newRoom(4, 'Room 4', 24)],
+  [5, newRoom(5, 'Room 5', 22)],
+  [6, newRoom(6, 'Room 6', 23)],
+]);
+
+// --- HELPER: ROUND TO ONE DECIMAL ---
+const round = (value) => Math.round(value * 10) / 10;
+
+// --- HELPER: PUBLIC VIEW OF A ROOM ---
+const toReading = ({ id, name, temp, smoke, glitch, actuators }) => ({ id, name, temp: glitch ? 400 : round(temp), smoke: round(smoke), actuators });
+
+// --- HELPER: MOVE READINGS ONE STEP ---
+// Drift a little towards the target, plus some sensor noise
+const step = (room) => {
+  room.temp += (room.target.temp - room.temp) * 0.1 + (Math.random() - 0.5) * 0.4;
+  room.smoke += (room.target.smoke - room.smoke) * 0.1 + (Math.random() - 0.5) * 0.5;
+  room.smoke = Math.min(100, Math.max(0, room.smoke));
+};
+
+// --- CLIENTS ---
+const sseClients = new Set();
+const wss = new WebSocketServer({ noServer: true });
+
+// --- FUNCTION: BROADCAST ---
+// Sends one message to every WebSocket and SSE client
+const broadcast = (message) => {
+  const payload = JSON.stringify({ ts: new Date().toISOString(), ...message });
+  wss.clients.forEach(client => {
+    if (client.readyState === client.OPEN) client.send(payload);
+  });
+  sseClients.forEach(res => res.write(`data: ${payload}\n\n`));
+};
+
+const snapshot = () => ({ ts: new Date().toISOString(), type: 'snapshot', rooms: [...rooms.values()].map(toReading) });
+
+// --- FUNCTION: HANDLE ACTUATOR COMMAND ---
+// Switches the actuator and tells every client, like a real Master Node would
+const handleCommand = (command) => {
+  if (command?.type !== 'command' || typeof command.id !== 'string') return;
+  const room = rooms.get(command.roomId);
+  const known = room && command.actuator in room.actuators;
+  setTimeout(() => {
+    if (!known || room.jammed) {
+      const error = !room ? 'unknown room' : !known ? 'no such actuator' : 'actuator jammed';
+      broadcast({ type: 'ack', commandId: command.id, ok: false, roomId: command.roomId, actuator: command.actuator, error });
+      return;
+    }
+    room.actuators[command.actuator] = command.state;
+    broadcast({ type: 'ack', commandId: command.id, ok: true, roomId: room.id, actuator: command.actuator, state: command.state });
+  }, ACK_DELAY_MS);
+};
+
+// --- FUNCTION: HANDLE A MESSAGE FROM A DASHBOARD ---
+const handleIncoming = (message) => {
+  if (message?.type === 'incident') {
+    console.log(`${message.incidentId} ${message.action} by ${message.user}${message.note ? `: ${message.note}` : ''} (${message.ts})`);
+    return;
+  }
+  handleCommand(message);
+};
+
+// --- HELPER: PARSE JSON SAFELY ---
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+// --- HTTP SERVER (SSE + commands) ---
+const server = http.createServer((req, res) => {
+  // Commands from SSE dashboards (another origin, so CORS applies)
+  if (req.url === '/commands') {
+    const cors = { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Content-Type', 'Access-Control-Allow-Methods': 'POST' };
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return;
+    }
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const command = parseJson(body);
+      res.writeHead(command ? 202 : 400, cors);
+      res.end();
+      if (command) handleIncoming(command);
+    });
+    return;
+  }
+  if (req.url === '/events') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+    });
+    res.write(`data: ${JSON.stringify(snapshot())}\n\n`);
+    sseClients.add(res);
+    req.on('close', () => sseClients.delete(res));
+    return;
+  }
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('SAFE mock sensor server: use /ws or /events\n');
+});
+
+// --- WEBSOCKET UPGRADE ---
+server.on('upgrade', (req, socket, head) => {
+  if (req.url !== '/ws') {
+    socket.destroy();
+    return;
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    ws.send(JSON.stringify(snapshot()));
+    ws.on('message', (data) => handleIncoming(parseJson(String(data))));
+  });
+});
+
+// --- STREAM LOOP ---
+setInterval(() => {
+  rooms.forEach(room => {
+    step(room);
+    if (!room.muted) broadcast({ type: 'reading', room: toReading(room) });
+  });
+}, INTERVAL_MS);
+
+// --- TERMINAL COMMANDS ---
+const commands = {
+  fire: (id) => {
+    const room = rooms.get(Number(id));
+    if (room) room.target = { temp: 90, smoke: 95 };
+  },
+  reset: () => rooms.forEach(room => {
+    room.target = { temp: 22, smoke: 0 };
+    room.glitch = false;
+    room.jammed = false;
+  }),
+  add: (id, ...name) => {
+    const roomId = Number(id);
+    if (!Number.isFinite(roomId) || rooms.has(roomId)) return;
+    rooms.set(roomId, newRoom(roomId, name.join(' ') || `Room ${roomId}`, 22));
+  },
+  remove: (id) => {
+    if (rooms.delete(Number(id))) broadcast({ type: 'remove', roomId: Number(id) });
+  },
+  mute: (id) => {
+    const room = rooms.get(Number(id));
+    if (room) room.muted = true;
+  },
+  unmute: (id) => {
+    const room = rooms.get(Number(id));
+    if (room) room.muted = false;
+  },
+  glitch: (id) => {
+    const room = rooms.get(Number(id));
+    if (room) room.glitch = true;
+  },
+  jam: (id) => {
+    const room = rooms.get(Number(id));
+    if (room) room.jammed = true;
+  },
+};
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const [name, ...args] = line.trim().split(/\s+/);
+  if (commands[name]) commands[name](...args);
+  else if (name) console.log(`Unknown command: ${name}`);
+});
+
+server.listen(PORT, () => {
+  console.log(`SAFE mock sensor server on port ${PORT}`);
+  console.log(`  WebSocket: ws://localhost:${PORT}/ws`);
+  console.log(`  SSE:       http://localhost:${PORT}/events`);
+  console.log(`  Commands:  http://localhost:${PORT}/commands (SSE only; WebSocket clients send on the socket)`);
+});
@@ -0,0 +1,99 @@
+// ==================================================================================
+// SAFE - MOCK WEBHOOK RECEIVER
+// Local stand-in for Slack, Teams or your own alert endpoint. Prints every
+// webhook the dashboard sends so channels and rules can be tested without
+// posting to a real chat. Details: docs/notifications.md
+//
+// Usage:  npm run mock-webhook        (PORT=8788 by default)
+//   Any path works, e.g. http://localhost:8788/slack or http://localhost:8788/teams
+//
+// Type commands into the terminal while it runs:
+//   fail <n>     answer the next n webhooks with HTTP 500 (tests retries)
+//   down         answer every webhook with HTTP 503 until `up`
+//   up           accept webhooks again (also clears `fail`)
+//   slow <s>     wait s seconds before answering (tests the timeout; `slow 0` to stop)
+// ==================================================================================
+
+import http from 'node:http';
+import readline from 'node:readline';
+
+const PORT = Number(process.env.PORT) || 8788;
+
+// --- BEHAVIOUR (changed from the terminal) ---
+const state = { failNext: 0, down: false, delayMs: 0 };
+let received = 0;
+
+// Browsers send a preflight first: the dashboard posts JSON from another origin
+const CORS = { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Content-Type', 'Access-Control-Allow-Methods': 'POST' };
+
+// --- HELPER: ONE-LINE SUMMARY OF A PAYLOAD ---
+// Works for all three templates (slack: text, teams: title + text, generic: entry)
+const summarize = (payload) => {
+  if (payload.entry) return `[generic] ${payload.entry.severity.toUpperCase()} ${payload.entry.message}${payload.test ? ' (test)' : ''}`;
+  if (payload['@type'] === 'MessageCard') return `[teams] ${payload.title}: ${payload.text}`;
+  if (typeof payload.text === 'string') return `[slack] ${payload.text.replace(/\n/g, ' | ')}`;
+  return '[unknown format]';
+};
+
+// --- HELPER: PARSE JSON SAFELY ---
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+// --- HTTP SERVER ---
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS);
+    res.end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405, { ...CORS, 'Content-Type': 'text/plain' });
+    res.end('SAFE mock webhook receiver: POST JSON to any path\n');
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = parseJson(body);
+    const status = !payload ? 400 : state.down ? 503 : state.failNext > 0 ? 500 : 200;
+    if (status === 500) state.failNext--;
+
+    received++;
+    console.log(`#${received} ${new Date().toLocaleTimeString()} POST ${req.url} -> ${status}`);
+    console.log(`   ${payload ? summarize(payload) : 'invalid JSON'}`);
+    if (process.env.VERBOSE && payload) console.log(JSON.stringify(payload, null, 2));
+
+    setTimeout(() => {
+      res.writeHead(status, { ...CORS, 'Content-Type': 'text/plain' });
+      res.end(status === 200 ? 'ok' : 'error');
+    }, state.delayMs);
+  });
+});
+
+// --- TERMINAL COMMANDS ---
+const commands = {
+  fail: (n) => { state.failNext = Math.max(0, Number(n) || 1); },
+  down: () => { state.down = true; },
+  up: () => {
+    state.down = false;
+    state.failNext = 0;
+  },
+  slow: (seconds) => { state.delayMs = Math.max(0, Number(seconds) || 0) * 1000; },
+};
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const [name, ...args] = line.trim().split(/\s+/);
+  if (commands[name]) commands[name](...args);
+  else if (name) console.log(`Unknown command: ${name}`);
+});
+
+server.listen(PORT, () => {
+  console.log(`SAFE mock webhook receiver on port ${PORT}`);
+  console.log(`  Channel URL: http://localhost:${PORT}/<anything>  (VERBOSE=1 prints full payloads)`);
+});
@@ -4,163 +4,533 @@
 // Tech Stack: React, Tailwind CSS, Framer Motion, jsPDF
 // ==================================================================================
 
-import React, { useState, useEffect, useRef } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
-import { jsPDF } from 'jspdf'; // Library for generating PDF reports
+import React, { useState, useEffect, useMemo, useCallback, useRef, useSyncExternalStore } from 'react';
+import { motion, AnimatePresence, MotionConfig, useReducedMotion, useReducedMotionConfig } from 'framer-motion';
 import {
   Flame, Wind, Thermometer, ShieldCheck, Download,
-  Activity, Sun, Moon, Zap, FileText, Wifi
+  Activity, Zap, WifiOff, AlertTriangle, SlidersHorizontal, Workflow, Webhook, History
 } from 'lucide-react'; // Icon library
+import { createDataSourceFromEnv } from './data/dataSource';
+import { useSensorFeed } from './hooks/useSensorFeed';
+import { getRoomStyle, NODE_HEALTH_STYLES } from './styles/hazardStyles';
+import RoomSparklines from './components/RoomSparklines';
+import RoomHistoryModal from './components/RoomHistoryModal';
+import FloorPlanMap from './components/FloorPlanMap';
+import { useSite } from './hooks/useSite';
+import { useFloorPlans } from './hooks/useFloorPlans';
+import { siteFloors, locateRooms, withLocation, placeName, groupRooms, roomSeverity } from './data/siteModel';
+import SensorTree from './components/SensorTree';
+import FloorSwitcher from './components/FloorSwitcher';
+import SimulationPanel from './components/SimulationPanel';
+import ReplayPanel from './components/ReplayPanel';
+import IncidentPanel from './components/IncidentPanel';
+import { createIncidentStore } from './data/incidentStore';
+import { isOpen, isHazardPresent, incidentDuration, describeDetail } from './data/incidents';
+import { useIncidents } from './hooks/useIncidents';
+import { useNow } from './hooks/useNow';
+import { buildEvacuationGraph, computeEvacuationRoutes } from './data/evacuationRoutes';
+import { exportIncidentReport } from './reports/incidentReport';
+import { collectSession, sessionToCsv, sessionFilename } from './data/sessionData';
+import { downloadText } from './utils/download';
+import ExportMenu from './components/ExportMenu';
+import EventLogPanel from './components/EventLogPanel';
+import { createEventLogStore } from './data/eventLogStore';
+import { useEventLog } from './hooks/useEventLog';
+import { useAlarms } from './hooks/useAlarms';
+import AlarmControls from './components/AlarmControls';
+import ConnectionStatus from './components/ConnectionStatus';
+import ConnectionBanner from './components/ConnectionBanner';
+import { withHealth, isSilent } from './data/nodeHealth';
+import { NODE_TIMEOUTS } from './config/nodeHealth';
+import { hasSensorFault, describeFault } from './data/sensorFaults';
+import { createCalibrationStore, describeCalibration } from './data/calibrationStore';
+import CalibrationPanel from './components/CalibrationPanel';
+import { createAuthProviderFromEnv } from './auth/authProvider';
+import { createAuthStore } from './auth/authStore';
+import { can, userLabel } from './auth/roles';
+import { useAuth } from './hooks/useAuth';
+import LoginScreen from './components/LoginScreen';
+import UserMenu from './components/UserMenu';
+import { DEV_TOOLS } from './config/build';
+import { createActuatorStore } from './data/actuatorStore';
+import { createAutomationStore } from './data/automationStore';
+import { ruleCommands, actionLabel } from './data/actuators';
+import { ACTUATOR_TYPES, RULE_SCOPES } from './config/actuators';
+import ActuatorControls from './components/ActuatorControls';
+import ActuatorCommandDialog from './components/ActuatorCommandDialog';
+import AutomationPanel from './components/AutomationPanel';
+import { createNotificationStore } from './data/notificationStore';
+import { createWebhookDispatcher } from './data/webhookDispatcher';
+import { describeChannel, describeRule } from './data/notificationRules';
+import NotificationsPanel from './components/NotificationsPanel';
+import { createOutboxStore, describeOutboxMessage } from './data/outboxStore';
+import { createRoomCache } from './data/roomCache';
+import { createServiceWorkerStore } from './pwa/serviceWorkerStore';
+import UpdatePrompt from './components/UpdatePrompt';
+import { getTranslator } from './i18n';
+import { createPreferencesStore } from './data/preferencesStore';
+import { getTheme } from './styles/themes';
+import { SHORTCUTS } from './config/accessibility';
+import { createAnnouncer, announcePriority, spokenText } from './alerts/announcer';
+import { useShortcuts } from './hooks/useShortcuts';
+import LiveAnnouncer from './components/LiveAnnouncer';
+import DisplayMenu from './components/DisplayMenu';
+import ShortcutHelp from './components/ShortcutHelp';
+
+// --- DATA SOURCE ---
+// Created once for the whole app. Configure it with VITE_SENSOR_SOURCE / VITE_SENSOR_URL.
+const dataSource = createDataSourceFromEnv();
+
+// --- SITE MODEL + FLOOR PLANS ---
+// Served from /public. The site file lists buildings, floors (each with its plan)
+// and sectors; see docs/site-model.md. Setting only VITE_FLOORPLAN_URL gives a
+// one-floor site drawn from that .json or .svg.
+const FLOOR_PLAN_URL = import.meta.env.VITE_FLOORPLAN_URL || '/floorplans/default.json';
+const SITE_URL = import.meta.env.VITE_SITE_URL || (import.meta.env.VITE_FLOORPLAN_URL ? null : '/sites/default.json');
+
+// --- INCIDENT TRACKER ---
+// Lives for the whole session, like the data source
+const incidentStore = createIncidentStore();
+
+// --- SYSTEM LOGS ---
+// Structured entries, persisted in IndexedDB so they survive a refresh
+const eventLog = createEventLogStore();
+
+// --- SENSOR CALIBRATION ---
+// Per-sensor offset/scale set by technicians, saved in localStorage
+const calibrationStore = createCalibrationStore();
+
+// --- OFFLINE ---
+// Messages for the Master Node wait in the outbox while the connection is down,
+// the last known rooms are kept for a reload without network, and the service
+// worker keeps the app itself available (docs/offline.md).
+const outboxStore = createOutboxStore({ send: (message) => dataSource.send(message) });
+const roomCache = createRoomCache();
+const serviceWorkerStore = createServiceWorkerStore();
+
+// --- ACTUATORS ---
+// Commands go to the Master Node through the outbox; acks come back with the readings.
+// The automatic rules (what to switch when a room turns 'fire') are saved in localStorage.
+const actuatorStore = createActuatorStore({ send: (message, onQueued) => outboxStore.send(message, onQueued) });
+const automationStore = createAutomationStore();
+
+// --- ALERT NOTIFICATIONS ---
+// Webhook channels and the rules picking which log entries they get, saved in
+// localStorage. The dispatcher sends each matching entry and retries failures.
+const notificationStore = createNotificationStore();
+const webhookDispatcher = createWebhookDispatcher({ getSettings: notificationStore.getSnapshot });
+
+// --- DISPLAY & ACCESSIBILITY ---
+// Theme, motion and language chosen in the display menu (saved in localStorage),
+// and the live regions screen readers read new alerts from (docs/accessibility.md)
+const preferencesStore = createPreferencesStore();
+const announcer = createAnnouncer();
+
+// --- SIGN-IN ---
+// Mock accounts or your own backend: VITE_AUTH_PROVIDER / VITE_AUTH_URL (docs/auth.md)
+const authStore = createAuthStore(createAuthProviderFromEnv());
+
+// i18n: translator for the chosen language (src/i18n); preferences: { theme, motion, locale }
+const SafeDashboard = ({ user, onLogout, i18n, preferences }) => {
+  const { t, term } = i18n;
 
-const SafeDashboard = () => {
   // --- STATE MANAGEMENT (Variables that change over time) ---
-  const [emergencyMode, setEmergencyMode] = useState(false); // True = Fire Detected
-  const [timer, setTimer] = useState(0); // Counts seconds since emergency started
-  const [sessionLog, setSessionLog] = useState([]); // Stores the list of history events
   const [devMode, setDevMode] = useState(false); // Toggles the "Simulation" panel visibility
-  const [darkMode, setDarkMode] = useState(true); // Toggles Dark/Light theme
-  const timerRef = useRef(null); // Reference to the timer interval so we can stop it
-
-  // --- MOCK DATA: ROOMS ---
-  // In the future, this data will come from the Backend/Hardware team.
-  // We use this state to update the UI instantly.
-  const [rooms, setRooms] = useState([
-    { id: 1, name: 'Room 1', status: 'Safe for Now', type: 'safe', temp: 22, smoke: 0 },
-    { id: 2, name: 'Room 2', status: 'Safe for Now', type: 'safe', temp: 23, smoke: 0 },
-    { id: 3, name: 'Room 3', status: 'Safe for Now', type: 'safe', temp: 21, smoke: 0 },
-    { id: 4, name: 'Room 4', status: 'Safe for Now', type: 'safe', temp: 24, smoke: 0 },
-  ]);
-
-  // --- HELPER FUNCTION: FORMAT TIME ---
-  // Converts raw seconds (e.g., 65) into "00:01:05" format
-  const formatTime = (seconds) => {
-    const hrs = Math.floor(seconds / 3600);
-    const mins = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
-    return `${String(hrs).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
-  };
+  const [replayOpen, setReplayOpen] = useState(false); // Toggles the Session Replay panel
+  const [shortcutsOpen, setShortcutsOpen] = useState(false); // Keyboard shortcut list
+  const [calibrationOpen, setCalibrationOpen] = useState(false); // Sensor Calibration screen
+  const [automationOpen, setAutomationOpen] = useState(false); // Actuator Automation screen
+  const [notificationsOpen, setNotificationsOpen] = useState(false); // Alert Notifications screen
+  const [commandRequest, setCommandRequest] = useState(null); // Actuator command waiting for confirmation
+
+  // --- LIVE DATA: ROOMS ---
+  // Rooms come from the configured data source (mock, WebSocket or SSE).
+  // Rooms appear and disappear as the Master Node reports them.
+  const { rooms: feedRooms, connection, reconnect, inject, playback, history, replayHistory, feed } = useSensorFeed(dataSource, { calibration: calibrationStore, actuators: actuatorStore, cache: roomCache });
+  const now = useNow(true); // Ticks every second: incident timers and node health
+
+  // --- SITE: BUILDINGS > FLOORS > SECTORS ---
+  const { site } = useSite(SITE_URL, FLOOR_PLAN_URL);
+  const floors = useMemo(() => siteFloors(site), [site]);
+  const { plans: floorPlans, errors: floorPlanErrors } = useFloorPlans(floors);
+  const locations = useMemo(() => locateRooms(site, floorPlans), [site, floorPlans]);
+
+  // --- NODE HEALTH + LOCATION ---
+  // Every room carries `health` (online / stale / offline) from its last heartbeat,
+  // and `location` (building, floor, sector) from the site model
+  const rooms = useMemo(() => withLocation(withHealth(feedRooms, now), locations), [feedRooms, now, locations]);
+  const [expandedRoomId, setExpandedRoomId] = useState(null); // Room shown in the history chart
+  const expandedRoom = rooms.find(r => r.id === expandedRoomId); // Closes itself if the room disappears
+  const [selectedRoomId, setSelectedRoomId] = useState(null); // Room highlighted on the map and in the list
+
+  // --- SENSOR GROUPS + MAP FLOOR ---
+  // Until the operator picks a floor, the map shows the floor in the worst state
+  const sensorGroups = useMemo(() => groupRooms(site, rooms, locations), [site, rooms, locations]);
+  const floorGroups = sensorGroups.flatMap(group => group.children.filter(child => child.kind === 'floor')
+    .map(floor => ({ ...floor, label: site.buildings.length > 1 ? `${term(group.name)} · ${term(floor.name)}` : term(floor.name) })));
+  const [mapFloorKey, setMapFloorKey] = useState(null);
+  const worstFloor = floorGroups.reduce((worst, floor) => {
+    const severity = Math.max(0, ...floor.rooms.map(roomSeverity));
+    return !worst || severity > worst.severity ? { key: floor.ref.key, severity } : worst;
+  }, null);
+  const mapFloor = floors.find(f => f.key === mapFloorKey) ?? floors.find(f => f.key === worstFloor?.key) ?? floors[0];
+  const floorPlan = mapFloor ? floorPlans[mapFloor.key] : null;
+  const floorPlanError = mapFloor ? floorPlanErrors[mapFloor.key] : null;
+
+  // --- EVACUATION ROUTES ---
+  // One graph per floor, only rebuilt with the plans; routes are recomputed on every sensor update
+  const evacuationGraphs = useMemo(
+    () => floors.filter(floor => floorPlans[floor.key]).map(floor => ({ floor, graph: buildEvacuationGraph(floorPlans[floor.key]) })),
+    [floors, floorPlans]
+  );
+  const evacuation = useMemo(
+    () => evacuationGraphs.map(({ floor, graph }) => ({ floor, graph, routes: computeEvacuationRoutes(graph, rooms) })),
+    [evacuationGraphs, rooms]
+  );
+  const evacuationRoutes = evacuation.find(e => e.floor.key === mapFloor?.key)?.routes ?? [];
 
   // --- HELPER FUNCTION: ADD LOG ---
-  // Adds a new event to the "Activity Logs" panel
-  const addLogEntry = (message) => {
-    const timestamp = new Date().toLocaleTimeString();
-    // We keep only the last 50 logs to prevent the list from getting too long
-    setSessionLog(prev => [{ time: timestamp, message, id: Date.now() }, ...prev].slice(0, 50));
+  // Adds a new event to the "System Logs" panel.
+  // meta: { severity: 'info' | 'warning' | 'critical', category, roomId }
+  const logEntries = useEventLog(eventLog);
+  const addLogEntry = useCallback((message, meta) => eventLog.add(message, meta), []);
+
+  // --- ROLES ---
+  // What the signed-in user may do (src/config/auth.js). Privileged actions are
+  // logged with who did them.
+  const actor = userLabel(user);
+  const logAction = useCallback((message, meta) => addLogEntry(t('logs.byActor', { message, actor }), meta), [addLogEntry, actor, t]);
+  const allowed = {
+    acknowledge: can(user, 'acknowledge'),
+    silence: can(user, 'silence'),
+    export: can(user, 'export'),
+    actuate: can(user, 'actuate'),
+    simulate: DEV_TOOLS && can(user, 'simulate'),
+    replay: can(user, 'replay'),
+    calibrate: can(user, 'calibrate'),
+    configure: can(user, 'configure'),
   };
 
-  // --- EFFECT: TIMER LOGIC ---
-  // This runs whenever 'emergencyMode' changes.
+  // --- SESSION REPLAY ---
+  // A recorded session's log events are replayed with their original time
+  const replayEvent = useCallback((event, scenario) => {
+    const message = scenario.startedAt !== null
+      ? t('logs.replayEvent', { time: i18n.time(scenario.startedAt + event.at * 1000), message: event.message })
+      : t('logs.replayEventUntimed', { message: event.message });
+    addLogEntry(message, { severity: event.severity, category: 'replay', roomId: event.roomId });
+  }, [addLogEntry, t, i18n]);
+
+  // --- INCIDENTS ---
+  // One incident per hazardous room, tracked from detection to resolution.
+  // The dashboard is in emergency mode while any room still reports its hazard.
+  // Each incident also gets the room's location for alerts and reports.
+  const trackedIncidents = useIncidents(incidentStore, feed);
+  const incidents = useMemo(
+    () => trackedIncidents.map(incident => ({ ...incident, location: locations.get(incident.roomId) ?? null })),
+    [trackedIncidents, locations]
+  );
+  const emergencyMode = incidents.some(isHazardPresent);
+
+  // --- ALARMS ---
+  // Sound, desktop notifications and tab badge for unacknowledged incidents
+  const alarms = useAlarms(incidents, now, addLogEntry, actor, i18n);
+
+  // The Event Timer follows the oldest open incident
+  const primaryIncident = incidents.find(isOpen);
+  const timer = primaryIncident ? Math.floor(incidentDuration(primaryIncident, now) / 1000) : 0;
+
+  // --- EFFECT: LOG INCIDENT EVENTS ---
+  useEffect(() => incidentStore.onEvent(({ incident, action, user, detail }) => {
+    if (!['opened', 'escalated', 'acknowledged', 'cleared', 'lost', 'recurred', 'resolved', 'ended'].includes(action)) return;
+    const params = { id: incident.id, place: placeName(incident.roomName, locations.get(incident.roomId)), detail: describeDetail(detail, i18n), user };
+    const text = action === 'escalated'
+      ? t(user ? 'logs.incident.escalatedBy' : 'logs.incident.escalated', { ...params, level: incident.escalationLevel + 1 })
+      : t(`logs.incident.${action}`, params);
+    // Hazard changes are critical for fires and warnings otherwise; operator actions are info
+    const hazardEvent = ['opened', 'escalated', 'recurred', 'lost'].includes(action);
+    const severity = hazardEvent ? (incident.peakType === 'fire' ? 'critical' : 'warning') : 'info';
+    addLogEntry(text, { severity, category: incident.replay ? 'replay' : 'incident', roomId: incident.roomId });
+  }), [addLogEntry, locations, i18n, t]);
+
+  // --- EFFECT: TELL THE MASTER NODE ABOUT OPERATOR ACTIONS ---
+  // Acknowledgements, escalations and resolutions, so the site keeps one record
+  // of who handled what. Queued in the outbox while the connection is down.
+  useEffect(() => incidentStore.onEvent(({ incident, action, user, detail }) => {
+    if (!user || incident.replay || !['acknowledged', 'escalated', 'resolved'].includes(action)) return;
+    const ts = new Date().toISOString();
+    outboxStore.send({
+      type: 'incident', id: `${incident.id}:${action}:${ts}`, incidentId: incident.id, roomId: incident.roomId, action, user,
+      note: action === 'escalated' ? detail : null, ts,
+    }).catch(err => {
+      addLogEntry(t('logs.incident.notSent', { id: incident.id, action: term(action), error: err.message }), { severity: 'warning', category: 'incident', roomId: incident.roomId });
+    });
+  }), [addLogEntry, t, term]);
+
+  // --- EFFECT: LOG NODES DROPPING OUT AND COMING BACK ---
+  const healthRef = useRef(new Map()); // roomId -> health at the last check
+  useEffect(() => {
+    const previous = healthRef.current;
+    rooms.forEach(room => {
+      const before = previous.get(room.id);
+      previous.set(room.id, room.health);
+      if (before === undefined || before === room.health) return;
+      const meta = { category: room.replay ? 'replay' : 'sensor', roomId: room.id };
+      const place = placeName(room.name, room.location);
+      if (room.health === 'online') {
+        addLogEntry(t('logs.node.online', { place }), meta);
+      } else if (room.health === 'stale') {
+        addLogEntry(t('logs.node.stale', { place, seconds: NODE_TIMEOUTS.staleAfterMs / 1000 }), { ...meta, severity: 'warning' });
+      } else {
+        addLogEntry(t('logs.node.offline', { place, seconds: NODE_TIMEOUTS.offlineAfterMs / 1000 }), { ...meta, severity: 'critical' });
+      }
+    });
+  }, [rooms, addLogEntry, t]);
+
+  // --- EFFECT: LOG SENSOR FAULTS ---
+  const faultsRef = useRef(new Map()); // roomId -> fault keys at the last update
+  useEffect(() => {
+    const previous = faultsRef.current;
+    rooms.forEach(room => {
+      if (room.restored) return; // Logged before the reload
+      const before = previous.get(room.id) || new Set();
+      const faults = room.faults || [];
+      const keys = new Set(faults.map(f => `${f.sensorId}:${f.kind}`));
+      previous.set(room.id, keys);
+      faults.filter(f => !before.has(`${f.sensorId}:${f.kind}`)).forEach(fault => {
+        addLogEntry(t('logs.fault', { place: placeName(room.name, room.location), fault: describeFault(fault, i18n) }), { severity: 'warning', category: room.replay ? 'replay' : 'sensor', roomId: room.id });
+      });
+      if (before.size && !keys.size) {
+        addLogEntry(t('logs.faultCleared', { place: placeName(room.name, room.location) }), { category: room.replay ? 'replay' : 'sensor', roomId: room.id });
+      }
+    });
+  }, [rooms, addLogEntry, i18n, t]);
+
+  // --- FUNCTION: SAVE CALIBRATION ---
+  // Every change lands in System Logs with the old and new values (audit trail)
+  const saveCalibration = useCallback((sensor, room, values) => {
+    const { before, after } = calibrationStore.set(sensor.id, values);
+    if (describeCalibration(before, i18n) === describeCalibration(after, i18n)) return;
+    logAction(
+      t('logs.calibration', { sensor: sensor.id, place: placeName(room.name, room.location), before: describeCalibration(before, i18n), after: describeCalibration(after, i18n) }),
+      { category: 'calibration', roomId: room.id }
+    );
+  }, [logAction, i18n, t]);
+
+  // --- EFFECT: LOG MASTER NODE CONNECTION CHANGES ---
+  const connectionRef = useRef({ status: connection.status, lost: false });
+  useEffect(() => {
+    const previous = connectionRef.current;
+    if (previous.status === connection.status) return;
+    if (previous.status === 'online') {
+      addLogEntry(t('logs.connectionLost'), { severity: 'critical', category: 'connection' });
+      previous.lost = true;
+    } else if (connection.status === 'online' && previous.lost) {
+      addLogEntry(t('logs.connectionRestored'), { category: 'connection' });
+      previous.lost = false;
+    }
+    previous.status = connection.status;
+  }, [connection.status, addLogEntry, t]);
+
+  // --- OUTBOX ---
+  // Messages waiting for the connection; sent as soon as the node is back
+  const outbox = useSyncExternalStore(outboxStore.subscribe, outboxStore.getSnapshot);
   useEffect(() => {
-    if (emergencyMode) {
-      // Start counting up every 1 second
-      timerRef.current = setInterval(() => setTimer(prev => prev + 1), 1000);
+    if (connection.status === 'online') outboxStore.flush();
+  }, [connection.status]);
+
+  // --- EFFECT: LOG QUEUED MESSAGES ---
+  useEffect(() => outboxStore.onEvent(({ item, action }) => {
+    const what = describeOutboxMessage(item.message, i18n);
+    const meta = { category: 'connection', roomId: item.message.roomId ?? null };
+    const waited = Math.round((Date.now() - item.queuedAt) / 1000);
+    if (action === 'queued') {
+      addLogEntry(t('logs.outbox.queued', { what }), { ...meta, severity: 'warning' });
+    } else if (action === 'sent') {
+      addLogEntry(t('logs.outbox.sent', { what, seconds: waited }), meta);
+    } else if (action === 'expired') {
+      addLogEntry(t('logs.outbox.expired', { what, seconds: waited }), { ...meta, severity: 'warning' });
     } else {
-      // Stop counting and reset to 0
-      clearInterval(timerRef.current);
-      setTimer(0);
+      addLogEntry(t('logs.outbox.refused', { what }), { ...meta, severity: 'warning' });
     }
-    // Cleanup function: stops timer if user leaves the page
-    return () => clearInterval(timerRef.current);
-  }, [emergencyMode]);
-
-  // --- FUNCTION: TOGGLE SIMULATION ---
-  // This simulates what happens when the Hardware sends a "FIRE" signal.
-  const toggleEmergency = () => {
-    const newMode = !emergencyMode;
-    setEmergencyMode(newMode);
-
-    if (newMode) {
-      // SCENARIO: FIRE DETECTED
-      addLogEntry('🚨 CRITICAL ALERT: Sensors triggered in Sector 2');
-      setRooms([
-        { id: 1, name: 'Room 1', status: 'Dense Smoke', type: 'smoke', temp: 28, smoke: 75 },
-        { id: 2, name: 'Room 2', status: 'Fire Detected', type: 'fire', temp: 85, smoke: 90 }, // The danger room
-        { id: 3, name: 'Room 3', status: 'High Temperature', type: 'temp', temp: 45, smoke: 15 },
-        { id: 4, name: 'Room 4', status: 'Safe for Now', type: 'safe', temp: 26, smoke: 5 },
-      ]);
+  }), [addLogEntry, i18n, t]);
+
+  // --- ACTUATORS ---
+  // Recent commands (newest first) and the automatic rules
+  const commands = useSyncExternalStore(actuatorStore.subscribe, actuatorStore.getSnapshot);
+  const autoRules = useSyncExternalStore(automationStore.subscribe, automationStore.getSnapshot);
+
+  // --- EFFECT: LOG EVERY COMMAND AND ITS RESULT ---
+  useEffect(() => actuatorStore.onEvent(({ command, action }) => {
+    const place = placeName(command.roomName, locations.get(command.roomId));
+    const params = { id: command.id, place, actuator: term(ACTUATOR_TYPES[command.actuator].label) };
+    const meta = { category: 'actuator', roomId: command.roomId };
+    if (action === 'queued') return; // Logged by the outbox
+    if (action === 'sent') {
+      const who = command.auto ? t('logs.command.rule', { rule: command.rule }) : command.user;
+      addLogEntry(t('logs.command.sent', { ...params, action: term(actionLabel(command.actuator, command.state)), who }), meta);
+    } else if (action === 'done') {
+      addLogEntry(t('logs.command.done', { ...params, state: term(command.state) }), meta);
     } else {
-      // SCENARIO: SYSTEM RESET
-      addLogEntry('✅ SYSTEM RESET: All sensors normalized');
-      setRooms([
-        { id: 1, name: 'Room 1', status: 'Safe for Now', type: 'safe', temp: 22, smoke: 0 },
-        { id: 2, name: 'Room 2', status: 'Safe for Now', type: 'safe', temp: 23, smoke: 0 },
-        { id: 3, name: 'Room 3', status: 'Safe for Now', type: 'safe', temp: 21, smoke: 0 },
-        { id: 4, name: 'Room 4', status: 'Safe for Now', type: 'safe', temp: 24, smoke: 0 },
-      ]);
+      addLogEntry(t('logs.command.failed', { ...params, error: term(command.error) }), { ...meta, severity: command.auto ? 'critical' : 'warning' });
     }
-  };
+  }), [addLogEntry, locations, t, term]);
 
-  // --- FUNCTION: GENERATE PDF REPORT ---
-  // Creates a professional incident report using 'jspdf'
-  const exportPDF = () => {
-    const doc = new jsPDF();
-
-    // 1. Red Header Background
-    doc.setFillColor(220, 38, 38); // RGB Code for Red
-    doc.rect(0, 0, 210, 25, 'F');  // Filled Rectangle
-
-    // 2. Header Text
-    doc.setTextColor(255, 255, 255); // White text
-    doc.setFontSize(18);
-    doc.setFont("helvetica", "bold");
-    doc.text("SAFE - INCIDENT REPORT", 14, 16);
-    doc.setFontSize(10);
-    doc.text("Smart Adaptive Fire Evacuation System", 14, 21);
-
-    // 3. Metadata (Date & Status)
-    doc.setTextColor(0, 0, 0); // Black text
-    doc.setFontSize(10);
-    doc.setFont("helvetica", "normal");
-
-    doc.text(`Report Generated: ${new Date().toLocaleString()}`, 14, 40);
-    doc.text(`System Status: ${emergencyMode ? 'EMERGENCY ALERT' : 'NORMAL MONITORING'}`, 14, 46);
-    doc.text(`Incident Duration: ${formatTime(timer)}`, 14, 52);
-
-    // 4. Table Header (Gray Bar)
-    doc.setFillColor(240, 240, 240); // Light Gray
-    doc.rect(14, 60, 182, 10, 'F');
-
-    doc.setFont("helvetica", "bold");
-    doc.text("Location", 16, 66);
-    doc.text("Current Status", 60, 66);
-    doc.text("Temp (°C)", 130, 66);
-    doc.text("Smoke (%)", 170, 66);
-
-    // 5. Table Rows (Looping through data)
-    let y = 80; // Starting Y position for the list
-    rooms.forEach(room => {
-      doc.setFont("helvetica", "normal");
+  // --- EFFECT: AUTOMATIC RULES ---
+  // Runs the enabled rules once for every room that turns 'fire'. Rooms restored
+  // from the cache wait for their first live reading; replayed rooms never count,
+  // as the trigger or as a floor / site target.
+  const typesRef = useRef(new Map()); // roomId -> hazard type at the last update
+  useEffect(() => {
+    const previous = typesRef.current;
+    const liveRooms = rooms.filter(room => !room.restored && !room.replay);
+    liveRooms.forEach(room => {
+      const before = previous.get(room.id);
+      previous.set(room.id, room.type);
+      if (room.type !== 'fire' || before === 'fire') return;
+      ruleCommands(autoRules, room, liveRooms)
+        .filter(({ room: target, actuator }) => !actuatorStore.pendingFor(target.id, actuator))
+        .forEach(({ room: target, actuator, state, rule }) => {
+          actuatorStore.command({ room: target, actuator, state, user: 'automation', auto: true, rule: rule.id });
+        });
+    });
+  }, [rooms, autoRules]);
 
-      // Color coding logic for PDF text
-      if (room.type === 'fire') doc.setTextColor(220, 0, 0); // Red for Fire
-      else if (room.type === 'safe') doc.setTextColor(0, 128, 0); // Green for Safe
-      else doc.setTextColor(0, 0, 0); // Black for others
+  // --- FUNCTION: SEND CONFIRMED COMMAND ---
+  const confirmCommand = () => {
+    actuatorStore.command({ ...commandRequest, user: actor });
+    setCommandRequest(null);
+  };
 
-      doc.text(room.name, 16, y);
-      doc.text(room.status, 60, y);
-      doc.text(room.temp.toString(), 130, y);
-      doc.text(room.smoke.toString(), 170, y);
+  // --- FUNCTION: CHANGE AN AUTOMATIC RULE ---
+  // Logged with the old and new setting (audit trail)
+  const changeRule = useCallback((rule, changes) => {
+    const { before, after } = automationStore.update(rule.id, changes);
+    const describe = (r) => (r.enabled ? t('logs.automation.on', { scope: term(RULE_SCOPES[r.scope]) }) : t('logs.automation.off'));
+    logAction(t('logs.automation.changed', { rule: term(actionLabel(rule.actuator, rule.state)), before: describe(before), after: describe(after) }), { category: 'config' });
+  }, [logAction, t, term]);
+
+  // --- EFFECT: SEND NEW LOG ENTRIES TO THE WEBHOOK CHANNELS ---
+  // Only while someone is signed in, like the automatic actuator rules
+  useEffect(() => eventLog.onAdd(entry => webhookDispatcher.notify(entry)), []);
+
+  // --- EFFECT: READ NEW LOG ENTRIES TO SCREEN READERS ---
+  // Critical entries interrupt, warnings and some info entries wait (src/config/accessibility.js)
+  useEffect(() => eventLog.onAdd(entry => {
+    const priority = announcePriority(entry);
+    if (priority) announcer.announce(spokenText(entry.message), priority);
+  }), []);
+
+  // --- EFFECT: LOG EVERY WEBHOOK DELIVERY ---
+  // Never sent on themselves (category 'notification', see notificationRules.js)
+  useEffect(() => webhookDispatcher.onEvent(({ delivery, action }) => {
+    const params = { to: `"${delivery.channelName}"`, what: delivery.test ? t('logs.webhook.test') : delivery.summary, error: term(delivery.error ?? '') };
+    const meta = { category: 'notification', roomId: delivery.roomId };
+    if (action === 'delivered') {
+      addLogEntry(t('logs.webhook.delivered', { ...params, status: String(delivery.httpStatus) }), meta);
+    } else if (action === 'retrying') {
+      addLogEntry(t('logs.webhook.retrying', { ...params, seconds: delivery.retryInMs / 1000 }), meta);
+    } else {
+      // Losing a critical alert is critical itself
+      const severity = delivery.severity === 'critical' ? 'critical' : 'warning';
+      addLogEntry(t('logs.webhook.failed', { ...params, attempts: delivery.attempt }), { ...meta, severity });
+    }
+  }), [addLogEntry, t, term]);
+
+  // --- FUNCTIONS: EDIT CHANNELS AND RULES ---
+  // Logged with the old and new setting (audit trail). URLs are logged by host only.
+  const saveChannel = useCallback((channel) => {
+    const { before, after } = notificationStore.saveChannel(channel);
+    logAction(before
+      ? t('logs.notifications.channelChanged', { before: describeChannel(before, i18n), after: describeChannel(after, i18n) })
+      : t('logs.notifications.channelAdded', { channel: describeChannel(after, i18n) }), { category: 'config' });
+  }, [logAction, i18n, t]);
+
+  const removeChannel = useCallback((channel) => {
+    notificationStore.removeChannel(channel.id);
+    logAction(t('logs.notifications.channelRemoved', { channel: describeChannel(channel, i18n) }), { category: 'config' });
+  }, [logAction, i18n, t]);
+
+  const saveRule = useCallback((rule) => {
+    const { before, after } = notificationStore.saveRule(rule);
+    const { channels } = notificationStore.getSnapshot();
+    logAction(before
+      ? t('logs.notifications.ruleChanged', { before: describeRule(before, channels, i18n), after: describeRule(after, channels, i18n) })
+      : t('logs.notifications.ruleAdded', { rule: describeRule(after, channels, i18n) }), { category: 'config' });
+  }, [logAction, i18n, t]);
+
+  const removeRule = useCallback((rule) => {
+    notificationStore.removeRule(rule.id);
+    logAction(t('logs.notifications.ruleRemoved', { rule: describeRule(rule, notificationStore.getSnapshot().channels, i18n) }), { category: 'config' });
+  }, [logAction, i18n, t]);
+
+  const testChannel = useCallback((channel) => {
+    logAction(t('logs.webhook.testSent', { channel: describeChannel(channel, i18n) }), { category: 'notification' });
+    webhookDispatcher.test(channel, t('logs.webhook.testMessage', { channel: channel.name }));
+  }, [logAction, i18n, t]);
 
-      // Draw a thin line under each row
-      doc.setDrawColor(230, 230, 230);
-      doc.line(14, y + 3, 196, y + 3);
+  // --- FUNCTION: GENERATE PDF REPORT ---
+  // Multi-page incident report (see src/reports/incidentReport.js)
+  const exportPDF = async () => {
+    try {
+      const filename = await exportIncidentReport({
+        rooms,
+        incidents,
+        log: logEntries,
+        history,
+        evacuation,
+        emergencyMode,
+        now: Date.now(),
+        i18n,
+      });
+      logAction(t('logs.report', { filename }), { category: 'report' });
+    } catch (err) {
+      logAction(t('logs.reportFailed', { error: err.message }), { severity: 'warning', category: 'report' });
+    }
+  };
 
-      y += 12; // Move down for next row
-    });
+  // --- FUNCTION: EXPORT SESSION DATA ---
+  // Readings and log events with ISO timestamps, for auditors (docs/session-data.md)
+  const exportData = (format) => {
+    const session = collectSession({ history, rooms, log: logEntries });
+    const filename = sessionFilename(format);
+    if (format === 'csv') {
+      downloadText(filename, sessionToCsv(session), 'text/csv');
+    } else {
+      downloadText(filename, JSON.stringify(session, null, 2), 'application/json');
+    }
+    logAction(t('logs.exported', { filename, count: session.readings.length }), { category: 'report' });
+  };
 
-    // 6. Footer / Recommendation
-    doc.setTextColor(0, 0, 0);
-    doc.setFont("helvetica", "bold");
-    doc.text("System Recommendation:", 14, y + 20);
-    doc.setFont("helvetica", "normal");
-    const recommendation = emergencyMode
-      ? "CRITICAL: Immediate evacuation of Sector 2 required. Automated sprinklers activated."
-      : "Routine check complete. No anomalies detected. Maintain standard monitoring.";
-    doc.text(recommendation, 14, y + 26);
-
-    // 7. Save File
-    doc.save("SAFE_Incident_Log.pdf");
-    addLogEntry('📄 PDF Report downloaded successfully');
+  // --- KEYBOARD SHORTCUTS ---
+  // A shortcut that cannot act says why through the screen reader (docs/accessibility.md)
+  const reduceMotion = useReducedMotionConfig();
+  const refuse = (reason) => announcer.announce(t(`shortcuts.${reason}`), 'polite');
+  useShortcuts({
+    acknowledge: () => {
+      if (!allowed.acknowledge) return refuse('notAllowed');
+      const oldest = alarms.alerts[0];
+      if (!oldest) return refuse('nothingToAcknowledge');
+      return incidentStore.acknowledge(oldest.id, actor);
+    },
+    report: () => (allowed.export ? exportPDF() : refuse('notAllowed')),
+    exportData: () => (allowed.export ? exportData('csv') : refuse('notAllowed')),
+    help: () => setShortcutsOpen(true),
+    // Closes whatever dialog is open
+    escape: () => {
+      setCommandRequest(null);
+      setExpandedRoomId(null);
+      setCalibrationOpen(false);
+      setAutomationOpen(false);
+      setNotificationsOpen(false);
+      setShortcutsOpen(false);
+    },
+  });
+
+  // --- FUNCTION: SELECT ROOM ON MAP ---
+  // Highlights the matching sensor card and scrolls it into view
+  const selectRoom = (roomId) => {
+    setSelectedRoomId(prev => (prev === roomId ? null : roomId));
+    document.getElementById(`room-card-${roomId}`)?.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'nearest' });
   };
 
   // --- HELPER: GET ICONS ---
@@ -175,15 +545,25 @@ const SafeDashboard = () => {
     }
   };
 
-  // --- STYLING CONSTANTS (Dynamic Classes) ---
-  const bgClass = darkMode ? 'bg-[#0B1120]' : 'bg-gray-100'; // Very dark blue for premium look
-  const textMain = darkMode ? 'text-white' : 'text-slate-800';
-  const textSub = darkMode ? 'text-slate-400' : 'text-slate-500';
+  // --- HELPER: FEED STATUS (above the sensor list) ---
+  const offlineNodes = rooms.filter(r => r.health === 'offline').length;
+  const staleNodes = rooms.filter(r => r.health === 'stale').length;
+  const feedStatus = connection.status !== 'online'
+    ? { text: t('sensors.noData'), className: 'text-red-500' }
+    : offlineNodes
+      ? { text: t('sensors.offline', { count: offlineNodes }), className: 'text-red-500' }
+      : staleNodes
+        ? { text: t('sensors.stale', { count: staleNodes }), className: 'text-amber-500' }
+        : { text: t('sensors.receiving'), className: 'text-emerald-500 animate-pulse' };
 
-  // "Glassmorphism" effect for cards (frosted glass look)
-  const cardStyle = darkMode
-    ? 'bg-slate-900/60 backdrop-blur-md border border-slate-700/50 shadow-xl'
-    : 'bg-white border border-gray-200 shadow-lg';
+  // --- STYLING CONSTANTS (Dynamic Classes) ---
+  // From the theme picked in the display menu (src/styles/themes.js)
+  const theme = getTheme(preferences.theme);
+  const darkMode = theme.dark;
+  const bgClass = theme.bg;
+  const textMain = theme.textMain;
+  const textSub = theme.textSub;
+  const cardStyle = theme.card;
 
   // ==================================================================================
   // UI RENDER START
@@ -191,9 +571,8 @@ const SafeDashboard = () => {
   return (
     <div className={`min-h-screen ${bgClass} p-4 md:p-8 font-sans transition-colors duration-500 overflow-x-hidden selection:bg-blue-500 selection:text-white`}>
 
-      {/* 1. LOAD FONTS */}
+      {/* 1. FONTS (self-hosted, loaded in main.jsx so they work offline) */}
       <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;600;800&family=JetBrains+Mono:wght@400;700&display=swap');
         body { font-family: 'Inter', sans-serif; }
         .font-mono { font-family: 'JetBrains Mono', monospace; }
       `}</style>
@@ -211,6 +590,102 @@ const SafeDashboard = () => {
         )}
       </AnimatePresence>
 
+      {/* SCREEN READER ANNOUNCEMENTS (invisible) */}
+      <LiveAnnouncer announcer={announcer} />
+
+      {/* ROOM HISTORY DETAIL (opens when a sensor card is clicked) */}
+      <AnimatePresence>
+        {expandedRoom && (
+          <RoomHistoryModal
+            room={expandedRoom}
+            history={expandedRoom.replay ? replayHistory : history}
+            onClose={() => setExpandedRoomId(null)}
+            cardStyle={cardStyle}
+            textMain={textMain}
+            textSub={textSub}
+            i18n={i18n}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* SENSOR CALIBRATION (technicians) */}
+      <AnimatePresence>
+        {calibrationOpen && allowed.calibrate && (
+          <CalibrationPanel
+            rooms={rooms}
+            calibrationStore={calibrationStore}
+            onSave={saveCalibration}
+            onClose={() => setCalibrationOpen(false)}
+            cardStyle={cardStyle}
+            textMain={textMain}
+            textSub={textSub}
+            i18n={i18n}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* ACTUATOR AUTOMATION (admins) */}
+      <AnimatePresence>
+        {automationOpen && allowed.configure && (
+          <AutomationPanel
+            automationStore={automationStore}
+            commands={commands}
+            onChange={changeRule}
+            onClose={() => setAutomationOpen(false)}
+            cardStyle={cardStyle}
+            textMain={textMain}
+            textSub={textSub}
+            i18n={i18n}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* ALERT NOTIFICATIONS (admins) */}
+      <AnimatePresence>
+        {notificationsOpen && allowed.configure && (
+          <NotificationsPanel
+            notificationStore={notificationStore}
+            dispatcher={webhookDispatcher}
+            rooms={rooms}
+            onSaveChannel={saveChannel}
+            onRemoveChannel={removeChannel}
+            onSaveRule={saveRule}
+            onRemoveRule={removeRule}
+            onTest={testChannel}
+            onClose={() => setNotificationsOpen(false)}
+            cardStyle={cardStyle}
+            textMain={textMain}
+            textSub={textSub}
+            i18n={i18n}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* ACTUATOR COMMAND CONFIRMATION */}
+      <AnimatePresence>
+        {commandRequest && (
+          <ActuatorCommandDialog
+            request={commandRequest}
+            onConfirm={confirmCommand}
+            onCancel={() => setCommandRequest(null)}
+            cardStyle={cardStyle}
+            textMain={textMain}
+            textSub={textSub}
+            i18n={i18n}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* KEYBOARD SHORTCUTS ("?") */}
+      <AnimatePresence>
+        {shortcutsOpen && (
+          <ShortcutHelp onClose={() => setShortcutsOpen(false)} cardStyle={cardStyle} textMain={textMain} textSub={textSub} i18n={i18n} />
+        )}
+      </AnimatePresence>
+
+      {/* NEW VERSION DOWNLOADED (reloads only when asked) */}
+      <UpdatePrompt serviceWorkerStore={serviceWorkerStore} i18n={i18n} />
+
       <div className="max-w-7xl mx-auto relative z-10">
 
         {/* 3. HEADER SECTION */}
@@ -219,162 +694,217 @@ const SafeDashboard = () => {
             <h1 className={`text-4xl font-extrabold tracking-tight ${textMain} flex items-center gap-3`}>
               SAFE <span className="text-sm font-semibold px-2 py-1 rounded bg-blue-500/10 text-blue-500 border border-blue-500/20">DASHBOARD</span>
             </h1>
-            <div className="flex items-center gap-2 mt-1">
-              {/* Live Connection Indicator */}
-              <span className="relative flex h-3 w-3">
-                <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-emerald-400 opacity-75"></span>
-                <span className="relative inline-flex rounded-full h-3 w-3 bg-emerald-500"></span>
-              </span>
-              <p className={`${textSub} text-sm`}>System Online • Connected to Master Node</p>
-            </div>
+            <ConnectionStatus connection={connection} sourceKind={dataSource.kind} textSub={textSub} i18n={i18n} />
           </div>
 
           <div className="flex gap-3 items-center">
-            {/* The Simulation Button (Hidden in production later, visible for now) */}
-            <button
-              onClick={() => setDevMode(!devMode)}
-              className={`flex items-center gap-2 px-5 py-2.5 rounded-lg font-bold transition-all border ${devMode
-                ? 'bg-purple-600 border-purple-500 text-white shadow-[0_0_15px_rgba(147,51,234,0.5)]'
-                : 'bg-slate-800 border-slate-700 text-slate-300 hover:bg-slate-700'
-                }`}
-            >
-              <Zap size={18} className={devMode ? 'fill-current' : ''} />
-              {devMode ? 'DEV MODE: ON' : 'SIMULATION'}
-            </button>
+            {/* The Simulation Button (admins, development builds only) */}
+            {allowed.simulate && (
+              <button
+                onClick={() => setDevMode(!devMode)}
+                className={`flex items-center gap-2 px-5 py-2.5 rounded-lg font-bold transition-all border ${devMode
+                  ? 'bg-purple-600 border-purple-500 text-white shadow-[0_0_15px_rgba(147,51,234,0.5)]'
+                  : 'bg-slate-800 border-slate-700 text-slate-300 hover:bg-slate-700'
+                  }`}
+              >
+                <Zap size={18} className={devMode ? 'fill-current' : ''} />
+                {devMode ? t('header.devModeOn') : t('header.simulation')}
+              </button>
+            )}
+
+            {/* Session Replay */}
+            {allowed.replay && (
+              <button onClick={() => setReplayOpen(!replayOpen)} aria-label={t('replay.title')} aria-pressed={replayOpen} className={`p-3 rounded-lg transition-all group relative ${cardStyle}`}>
+                <History size={20} className="text-purple-400" />
+                <span className="absolute -bottom-8 left-1/2 -translate-x-1/2 text-xs bg-black text-white px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap">{t('replay.title')}</span>
+              </button>
+            )}
 
             {/* Export Button */}
-            <button onClick={exportPDF} className="p-3 rounded-lg bg-blue-600 text-white hover:bg-blue-500 transition-all shadow-lg hover:shadow-blue-500/25 group relative">
-              <Download size={20} />
-              <span className="absolute -bottom-8 left-1/2 -translate-x-1/2 text-xs bg-black text-white px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap">Save Report</span>
-            </button>
-
-            {/* Theme Toggle */}
-            <button onClick={() => setDarkMode(!darkMode)} className={`p-3 rounded-lg transition-all ${cardStyle}`}>
-              {darkMode ? <Sun size={20} className="text-yellow-400" /> : <Moon size={20} className="text-slate-600" />}
-            </button>
+            {allowed.export && (
+              <button onClick={exportPDF} aria-label={t('header.report')} aria-keyshortcuts={SHORTCUTS.report} className="p-3 rounded-lg bg-blue-600 text-white hover:bg-blue-500 transition-all shadow-lg hover:shadow-blue-500/25 group relative">
+                <Download size={20} />
+                <span className="absolute -bottom-8 left-1/2 -translate-x-1/2 text-xs bg-black text-white px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap">{t('header.report')} ({SHORTCUTS.report.toUpperCase()})</span>
+              </button>
+            )}
+
+            {/* Alarm: mute / snooze / desktop alerts */}
+            <AlarmControls alarms={alarms} canSilence={allowed.silence} cardStyle={cardStyle} textMain={textMain} i18n={i18n} />
+
+            {/* Sensor Calibration */}
+            {allowed.calibrate && (
+              <button onClick={() => setCalibrationOpen(true)} aria-label={t('calibration.title')} className={`p-3 rounded-lg transition-all group relative ${cardStyle}`}>
+                <SlidersHorizontal size={20} className="text-violet-400" />
+                <span className="absolute -bottom-8 left-1/2 -translate-x-1/2 text-xs bg-black text-white px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap">{t('calibration.title')}</span>
+              </button>
+            )}
+
+            {/* Actuator Automation */}
+            {allowed.configure && (
+              <button onClick={() => setAutomationOpen(true)} aria-label={t('automation.title')} className={`p-3 rounded-lg transition-all group relative ${cardStyle}`}>
+                <Workflow size={20} className="text-sky-400" />
+                <span className="absolute -bottom-8 left-1/2 -translate-x-1/2 text-xs bg-black text-white px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap">{t('automation.title')}</span>
+              </button>
+            )}
+
+            {/* Alert Notifications (webhooks) */}
+            {allowed.configure && (
+              <button onClick={() => setNotificationsOpen(true)} aria-label={t('notifications.title')} className={`p-3 rounded-lg transition-all group relative ${cardStyle}`}>
+                <Webhook size={20} className="text-pink-400" />
+                <span className="absolute -bottom-8 left-1/2 -translate-x-1/2 text-xs bg-black text-white px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap">{t('notifications.title')}</span>
+              </button>
+            )}
+
+            {/* Data Export (CSV / JSON) */}
+            {allowed.export && <ExportMenu onExport={exportData} cardStyle={cardStyle} textMain={textMain} i18n={i18n} />}
+
+            {/* Theme, motion, language, shortcuts */}
+            <DisplayMenu
+              preferences={preferences}
+              onChange={preferencesStore.set}
+              onShowShortcuts={() => setShortcutsOpen(true)}
+              cardStyle={cardStyle}
+              textMain={textMain}
+              textSub={textSub}
+              i18n={i18n}
+            />
+
+            {/* Signed-in user */}
+            <UserMenu user={user} onLogout={onLogout} cardStyle={cardStyle} textMain={textMain} i18n={i18n} />
           </div>
         </header>
 
-        {/* 4. DEVELOPER CONTROLS (Only visible when DevMode is TRUE) */}
-        <AnimatePresence>
-          {devMode && (
-            <motion.div
-              initial={{ height: 0, opacity: 0 }} animate={{ height: 'auto', opacity: 1 }} exit={{ height: 0, opacity: 0 }}
-              className="overflow-hidden mb-8"
-            >
-              <div className="p-6 rounded-2xl bg-slate-900 border border-purple-500/30 shadow-2xl relative overflow-hidden group">
-                <div className="absolute inset-0 bg-purple-600/5 group-hover:bg-purple-600/10 transition-colors" />
-                <div className="relative flex flex-col md:flex-row justify-between items-center gap-4">
-                  <div>
-                    <h3 className="text-white font-bold text-lg flex items-center gap-2">
-                      <Zap className="text-purple-400" /> Manual Override Panel
-                    </h3>
-                    <p className="text-slate-400 text-sm">Use this to test the emergency UI response without hardware triggers.</p>
-                  </div>
-                  <button
-                    onClick={toggleEmergency}
-                    className={`px-8 py-3 rounded-xl font-black tracking-wider uppercase shadow-xl transition-all transform hover:scale-105 active:scale-95 flex items-center gap-3 ${emergencyMode
-                      ? 'bg-emerald-500 hover:bg-emerald-400 text-white ring-4 ring-emerald-500/20'
-                      : 'bg-red-500 hover:bg-red-400 text-white ring-4 ring-red-500/20 animate-pulse'
-                      }`}
-                  >
-                    {emergencyMode ? <ShieldCheck /> : <Flame />}
-                    {emergencyMode ? 'RESTORE NORMAL' : 'TRIGGER FIRE EVENT'}
-                  </button>
-                </div>
-              </div>
-            </motion.div>
-          )}
-        </AnimatePresence>
+        {/* Disconnected banner (live data has stopped) */}
+        <ConnectionBanner connection={connection} now={now} queued={outbox.length} onReconnect={reconnect} i18n={i18n} />
 
-        {/* 5. MAIN DASHBOARD GRID */}
-        <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
+        {/* 4. DEVELOPER CONTROLS (admins, development builds; expanded while DevMode is TRUE) */}
+        {allowed.simulate && (
+          <SimulationPanel open={devMode} inject={inject} channel={playback.scenario} onLog={logAction} i18n={i18n} />
+        )}
+
+        {/* 5. SESSION REPLAY (expanded from the header; replayed data stays on this dashboard) */}
+        {allowed.replay && (
+          <ReplayPanel open={replayOpen} channel={playback.replay} onEvent={replayEvent} onLog={logAction} cardStyle={cardStyle} textMain={textMain} textSub={textSub} i18n={i18n} />
+        )}
+
+        {/* 6. MAIN DASHBOARD GRID */}
+        <main className="grid grid-cols-1 lg:grid-cols-12 gap-6">
 
           {/* LEFT COLUMN: ROOM SENSORS */}
           <div className="lg:col-span-4 space-y-4">
             <div className="flex justify-between items-end mb-2">
-              <h2 className={`text-sm font-bold uppercase tracking-widest ${textSub}`}>Live Sensors</h2>
-              <span className="text-xs text-emerald-500 font-mono animate-pulse">● Receiving Data</span>
+              <h2 className={`text-sm font-bold uppercase tracking-widest ${textSub}`}>{t('sensors.title')}</h2>
+              <span className={`text-xs font-mono ${feedStatus.className}`}>● {feedStatus.text}</span>
             </div>
 
-            {rooms.map((room) => (
-              <motion.div
-                key={room.id}
-                layout
-                className={`p-5 rounded-xl border-l-4 transition-all ${cardStyle} ${room.type === 'fire' ? 'border-l-red-500 bg-red-500/5' :
-                  room.type === 'smoke' ? 'border-l-gray-400' :
-                    'border-l-emerald-500'
-                  }`}
-              >
-                <div className="flex justify-between items-start">
-                  <div>
-                    <h3 className={`font-bold text-lg ${textMain}`}>{room.name}</h3>
-                    <p className={`text-xs font-mono mt-1 font-bold ${room.type === 'fire' ? 'text-red-500' :
-                      room.type === 'safe' ? 'text-emerald-500' :
-                        'text-orange-500'
-                      }`}>{room.status.toUpperCase()}</p>
-                  </div>
-                  {getStatusIcon(room.type)}
-                </div>
-
-                {/* Mini Graph Visualization (Sparklines) */}
-                <div className="mt-4 pt-4 border-t border-gray-500/10 grid grid-cols-2 gap-4">
-                  <div>
-                    <span className="text-[10px] uppercase text-slate-500 font-bold">Temp</span>
-                    <div className="flex items-end gap-1 h-6 mt-1">
-                      {/* Fake history bars for visual effect */}
-                      <div className="w-1 bg-slate-500/20 h-[40%] rounded-t"></div>
-                      <div className="w-1 bg-slate-500/20 h-[60%] rounded-t"></div>
-                      <div className="w-1 bg-slate-500/20 h-[30%] rounded-t"></div>
-                      <div className={`w-1 h-full rounded-t ${room.type === 'fire' ? 'bg-red-500' : 'bg-blue-500'}`}></div>
-                      <span className={`ml-2 text-lg font-mono leading-none ${textMain}`}>{room.temp}°</span>
+            {/* Grouped by building > floor > sector, with the worst status on every header */}
+            <SensorTree
+              groups={sensorGroups}
+              selectedRoomId={selectedRoomId}
+              textMain={textMain}
+              textSub={textSub}
+              i18n={i18n}
+              renderRoom={(room) => (
+                <motion.div
+                  key={room.id}
+                  id={`room-card-${room.id}`}
+                  layout
+                  onClick={() => setExpandedRoomId(room.id)}
+                  title={t('room.clickForHistory')}
+                  className={`p-5 rounded-xl border-l-4 transition-all cursor-pointer ${cardStyle} ${getRoomStyle(room).border} ${room.id === selectedRoomId ? 'ring-2 ring-blue-500' : ''}`}
+                >
+                  <div className="flex justify-between items-start">
+                    <div>
+                      {/* The name opens the history too, for keyboard users */}
+                      <h3 className={`font-bold text-lg ${textMain}`}>
+                        <button
+                          onClick={(e) => { e.stopPropagation(); setExpandedRoomId(room.id); }}
+                          aria-label={t('room.openHistory', { room: room.name })}
+                          className="text-left rounded hover:underline"
+                        >
+                          {room.name}
+                        </button>
+                      </h3>
+                      <p className={`text-xs font-mono mt-1 font-bold ${getRoomStyle(room).text}`}>
+                        {isSilent(room)
+                          ? `${term(NODE_HEALTH_STYLES[room.health].label)} · ${t('room.last', { status: term(room.status).toUpperCase() })}`
+                          : term(room.status).toUpperCase()}
+                      </p>
+                      <p className={`text-[10px] mt-1 ${isSilent(room) ? getRoomStyle(room).text : textSub}`}>
+                        {t('room.lastSeen', { age: i18n.age(now - room.lastSeen) })}
+                      </p>
+                      {room.replay && <p className="text-[10px] mt-1 font-bold text-purple-400">⏪ {t('room.replay')}</p>}
+                      {hasSensorFault(room) && (
+                        <p className="text-[10px] mt-1 text-violet-400">⚠ {room.faults.map(fault => describeFault(fault, i18n)).join('; ')}</p>
+                      )}
                     </div>
-                  </div>
-                  <div>
-                    <span className="text-[10px] uppercase text-slate-500 font-bold">Smoke Density</span>
-                    <div className={`text-lg font-mono mt-1 ${room.smoke > 50 ? 'text-red-500' : textMain}`}>
-                      {room.smoke}%
+                    <div className="flex items-center gap-2">
+                      {isSilent(room) && <WifiOff className={`w-5 h-5 ${NODE_HEALTH_STYLES[room.health].text}`} />}
+                      {hasSensorFault(room) && <AlertTriangle className="w-5 h-5 text-violet-400" />}
+                      {(room.type !== 'safe' || (!isSilent(room) && !hasSensorFault(room))) && getStatusIcon(room.type)}
                     </div>
                   </div>
-                </div>
-              </motion.div>
-            ))}
+
+                  {/* Mini Graph Visualization (Sparklines from real history) */}
+                  <RoomSparklines room={room} history={room.replay ? replayHistory : history} textMain={textMain} i18n={i18n} />
+
+                  {/* Sprinkler, sounder, door release, HVAC */}
+                  <ActuatorControls room={room} commands={commands} canActuate={allowed.actuate} onRequest={setCommandRequest} i18n={i18n} />
+                </motion.div>
+              )}
+            />
           </div>
 
           {/* RIGHT COLUMN: MAP & LOGS */}
           <div className="lg:col-span-8 flex flex-col gap-6">
 
             {/* A. MAP AREA */}
-            <div className={`relative h-[420px] rounded-3xl overflow-hidden border ${darkMode ? 'border-slate-800 bg-[#0F1623]' : 'border-gray-200 bg-white'}`}>
+            <div className={`relative h-[420px] rounded-3xl overflow-hidden border ${theme.map}`}>
               {/* Background Grid Pattern */}
               <div className="absolute inset-0 opacity-20" style={{ backgroundImage: 'radial-gradient(#4f46e5 1px, transparent 1px)', backgroundSize: '30px 30px' }} />
 
-              {/* Scanner Animation (Horizontal Line) */}
-              <motion.div
-                animate={{ top: ['0%', '100%'] }}
-                transition={{ duration: 4, repeat: Infinity, ease: "linear" }}
-                className="absolute left-0 right-0 h-[1px] bg-blue-500 shadow-[0_0_20px_rgba(59,130,246,0.8)] opacity-50 pointer-events-none"
-              />
-
-              {/* Central Placeholder Content */}
-              <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none">
-                <div className={`p-8 rounded-2xl border text-center backdrop-blur-sm ${darkMode ? 'bg-slate-900/80 border-slate-700' : 'bg-white/80 border-gray-200'}`}>
-                  <ShieldCheck size={56} className="text-slate-500 mx-auto mb-4" />
-                  <h3 className="text-slate-300 font-bold tracking-widest text-lg">PHYSICAL LAYOUT VIEW</h3>
-                  <p className="text-slate-500 text-sm mt-2">Waiting for Model Integration...</p>
-
+              {/* Scanner Animation (Horizontal Line; off with reduced motion) */}
+              {!reduceMotion && (
+                <motion.div
+                  animate={{ top: ['0%', '100%'] }}
+                  transition={{ duration: 4, repeat: Infinity, ease: "linear" }}
+                  className="absolute left-0 right-0 h-[1px] bg-blue-500 shadow-[0_0_20px_rgba(59,130,246,0.8)] opacity-50 pointer-events-none"
+                />
+              )}
+
+              {/* Floor Plan (or a placeholder while it loads) */}
+              {floorPlan ? (
+                <FloorPlanMap
+                  key={mapFloor.key} // A new floor starts with a fresh zoom
+                  plan={floorPlan}
+                  rooms={rooms}
+                  routes={evacuationRoutes}
+                  selectedRoomId={selectedRoomId}
+                  onSelectRoom={selectRoom}
+                  darkMode={darkMode}
+                  highContrast={Boolean(theme.contrast)}
+                  i18n={i18n}
+                />
+              ) : (
+                <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none">
+                  <div className={`p-8 rounded-2xl border text-center backdrop-blur-sm ${theme.overlay}`}>
+                    <ShieldCheck size={56} className="text-slate-500 mx-auto mb-4" />
+                    <h3 className="text-slate-300 font-bold tracking-widest text-lg">{t('map.placeholder')}</h3>
+                    <p className="text-slate-500 text-sm mt-2">
+                      {floorPlanError
+                        ? t('map.unavailable', { error: floorPlanError.message })
+                        : mapFloor && !mapFloor.plan ? t('map.noPlan', { floor: term(mapFloor.name) }) : t('map.loading')}
+                    </p>
+                  </div>
                 </div>
+              )}
 
-                {/* Emergency Overlay on Map */}
-                {emergencyMode && (
-                  <motion.div
-                    initial={{ scale: 0.8, opacity: 0 }} animate={{ scale: 1, opacity: 1 }}
-                    className="absolute top-10 right-10 bg-red-600/90 text-white px-6 py-3 rounded-lg font-bold shadow-lg animate-pulse border border-red-400"
-                  >
-                    ⚠️ SECTOR 2: FIRE CONFIRMED
-                  </motion.div>
-                )}
-              </div>
+              {/* Floor switcher (only for sites with more than one floor) */}
+              {floorGroups.length > 1 && (
+                <div className="absolute top-3 right-4 z-10">
+                  <FloorSwitcher floors={floorGroups} currentKey={mapFloor?.key} onSelect={setMapFloorKey} darkMode={darkMode} i18n={i18n} />
+                </div>
+              )}
             </div>
 
             {/* B. BOTTOM INFO GRID */}
@@ -388,46 +918,83 @@ const SafeDashboard = () => {
                 {/* Background Icon */}
                 <Activity className="absolute top-4 right-4 opacity-10" size={100} />
 
-                <p className="text-xs font-bold uppercase tracking-widest opacity-80 mb-2">Event Timer</p>
+                <p className="text-xs font-bold uppercase tracking-widest opacity-80 mb-2">{t('timer.title')}</p>
                 <div className="text-6xl font-mono font-bold tracking-wider z-10 drop-shadow-2xl">
-                  {formatTime(timer)}
+                  {i18n.duration(timer)}
                 </div>
                 <div className="mt-4 px-4 py-1.5 rounded-full bg-black/20 text-sm font-bold backdrop-blur-sm border border-white/10">
-                  {emergencyMode ? 'STATUS: CRITICAL ALERT' : 'STATUS: ACTIVE MONITORING'}
+                  {t(emergencyMode ? 'timer.critical' : primaryIncident ? 'timer.awaiting' : 'timer.monitoring')}
                 </div>
               </div>
 
               {/* Logs Card */}
-              <div className={`${cardStyle} rounded-2xl p-6 h-56 flex flex-col`}>
-                <div className="flex justify-between items-center mb-4">
-                  <h3 className={`text-sm font-bold uppercase tracking-widest ${textSub} flex items-center gap-2`}>
-                    <FileText size={16} /> System Logs
-                  </h3>
-                  <Wifi size={14} className="text-emerald-500" />
-                </div>
-
-                <div className="flex-1 overflow-y-auto space-y-3 pr-2 custom-scrollbar">
-                  {sessionLog.map((log) => (
-                    <div key={log.id} className="text-xs border-b border-gray-500/10 pb-2 last:border-0">
-                      <span className="text-blue-500 font-mono mr-2">[{log.time}]</span>
-                      <span className={textMain}>{log.message}</span>
-                    </div>
-                  ))}
-                  {sessionLog.length === 0 && (
-                    <div className="flex flex-col items-center justify-center h-full text-slate-500 opacity-50">
-                      <Activity size={24} className="mb-2" />
-                      <span className="text-xs">System initialized. Waiting for events...</span>
-                    </div>
-                  )}
-                </div>
-              </div>
-
+              <EventLogPanel entries={logEntries} rooms={rooms} cardStyle={cardStyle} textMain={textMain} textSub={textSub} i18n={i18n} />
             </div>
+
+            {/* C. INCIDENTS (acknowledge / escalate / resolve) */}
+            <IncidentPanel
+              incidents={incidents}
+              incidentStore={incidentStore}
+              user={allowed.acknowledge ? actor : null}
+              now={now}
+              cardStyle={cardStyle}
+              textMain={textMain}
+              textSub={textSub}
+              i18n={i18n}
+            />
           </div>
-        </div>
+        </main>
       </div>
     </div>
   );
 };
 
-export default SafeDashboard;
\ No newline at end of file
+// ==================================================================================
+// SIGN-IN GATE
+// Nothing of the dashboard is rendered or connected until someone signs in.
+// ==================================================================================
+const App = () => {
+  const auth = useAuth(authStore);
+
+  // --- DISPLAY PREFERENCES ---
+  // The language applies to the sign-in screen too. Reduced motion follows the
+  // operator's OS setting unless they picked 'reduce' or 'full'.
+  const preferences = useSyncExternalStore(preferencesStore.subscribe, preferencesStore.getSnapshot);
+  const i18n = getTranslator(preferences.locale);
+  const systemReducedMotion = useReducedMotion();
+  const reduceMotion = preferences.motion === 'reduce' || (preferences.motion === 'system' && Boolean(systemReducedMotion));
+
+  // --- EFFECT: PAGE LANGUAGE, THEME AND MOTION (read by screen readers and index.css) ---
+  useEffect(() => {
+    const root = document.documentElement;
+    root.lang = i18n.locale;
+    root.dataset.theme = preferences.theme;
+    root.dataset.motion = reduceMotion ? 'reduce' : 'full';
+  }, [i18n, preferences.theme, reduceMotion]);
+
+  // --- FUNCTION: SIGN IN (failures are logged too) ---
+  const login = async (credentials) => {
+    try {
+      const user = await authStore.login(credentials);
+      eventLog.add(i18n.t('logs.signedIn', { user: userLabel(user) }), { category: 'auth' });
+    } catch (err) {
+      eventLog.add(i18n.t('logs.signInFailed', { username: credentials.username.trim(), error: i18n.term(err.message) }), { severity: 'warning', category: 'auth' });
+    }
+  };
+
+  // --- FUNCTION: SIGN OUT ---
+  const logout = () => {
+    eventLog.add(i18n.t('logs.signedOut', { user: userLabel(auth.user) }), { category: 'auth' });
+    authStore.logout();
+  };
+
+  if (auth.status === 'loading') return <div className="min-h-screen bg-[#0B1120]" />; // Checking for an earlier session
+  if (!auth.user) return <LoginScreen auth={auth} providerKind={authStore.provider.kind} onLogin={login} i18n={i18n} />;
+  return (
+    <MotionConfig reducedMotion={reduceMotion ? 'always' : 'never'}>
+      <SafeDashboard user={auth.user} onLogout={logout} i18n={i18n} preferences={preferences} />
+    </MotionConfig>
+  );
+};
+
+export default App;
\ No newline at end of file
@@ -0,0 +1,48 @@
+// ==================================================================================
+// ALARM SOUND
+// Plays the hazard tones from src/config/alarms.js with the Web Audio API.
+// Browsers only allow sound after the user has interacted with the page, so
+// unlockAudio() is called from the first click or key press.
+// ==================================================================================
+
+import { ALARM_TONES } from '../config/alarms';
+
+let context = null;
+
+// --- FUNCTION: UNLOCK AUDIO ---
+export const unlockAudio = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  if (!context) context = new AudioContextClass();
+  if (context.state === 'suspended') context.resume();
+};
+
+// --- FUNCTION: PLAY ONE ALARM ---
+// type: hazard type ('fire' | 'smoke' | 'temp'); volume: 0..1
+export const playAlarm = (type, volume) => {
+  const tone = ALARM_TONES[type];
+  if (!tone || !context || context.state !== 'running') return false;
+
+  let at = context.currentTime;
+  for (let r = 0; r < tone.repeats; r++) {
+    tone.notes.forEach(frequency => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = tone.wave;
+      oscillator.frequency.value = frequency;
+
+      // Short fade in/out so beeps don't click
+      const end = at + tone.beepMs / 1000;
+      gain.gain.setValueAtTime(0, at);
+      gain.gain.linearRampToValueAtTime(volume, at + 0.01);
+      gain.gain.setValueAtTime(volume, end - 0.02);
+      gain.gain.linearRampToValueAtTime(0, end);
+
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(at);
+      oscillator.stop(end);
+      at = end + tone.gapMs / 1000;
+    });
+  }
+  return true;
+};
@@ -0,0 +1,43 @@
+// ==================================================================================
+// SCREEN READER ANNOUNCER
+// Text for the two ARIA live regions rendered by LiveAnnouncer.jsx. 'assertive'
+// interrupts whatever the screen reader is saying; 'polite' waits for a pause.
+// Which System Logs entries are read out: ANNOUNCE in src/config/accessibility.js
+// ==================================================================================
+
+import { ANNOUNCE } from '../config/accessibility';
+
+// A few recent messages stay in each region, so several arriving together are all read
+const KEEP = 3;
+
+// --- HELPER: HOW URGENT IS A LOG ENTRY? ('assertive' | 'polite' | null = not read out) ---
+export const announcePriority = (entry, rules = ANNOUNCE) => {
+  const severity = entry.severity || 'info';
+  if (rules.assertive.includes(severity)) return 'assertive';
+  if (rules.polite.includes(severity) || rules.politeCategories.includes(entry.category)) return 'polite';
+  return null;
+};
+
+// --- HELPER: LOG TEXT WITHOUT ITS LEADING EMOJI ---
+export const spokenText = (message) => message.replace(/^[^\p{L}\p{N}]+/u, '');
+
+export const createAnnouncer = () => {
+  let regions = { polite: [], assertive: [] }; // [{ id, text }], oldest first
+  let nextId = 1;
+  const listeners = new Set();
+
+  return {
+    getSnapshot: () => regions,
+
+    // --- FUNCTION: READ OUT ---
+    announce(text, priority = 'polite') {
+      regions = { ...regions, [priority]: [...regions[priority], { id: nextId++, text }].slice(-KEEP) };
+      listeners.forEach(listener => listener());
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
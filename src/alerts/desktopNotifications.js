@@ -0,0 +1,39 @@
+// ==================================================================================
+// DESKTOP NOTIFICATIONS
+// Notification API alerts, so an operator on another tab or window still sees them.
+// With a service worker (production builds) they are shown through it: some
+// browsers, e.g. Chrome on Android, refuse `new Notification()` on such pages.
+// ==================================================================================
+
+// --- FUNCTION: CURRENT PERMISSION ---
+// 'granted' | 'denied' | 'default' | 'unsupported'
+export const notificationPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+// --- FUNCTION: ASK FOR PERMISSION ---
+// Must be called from a click; resolves to the new permission
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  return Notification.requestPermission();
+};
+
+// --- FUNCTION: SHOW ALERT ---
+// `tag` replaces an earlier notification for the same incident instead of stacking.
+// Never throws: a notification that cannot be shown must not take the alarm down.
+export const showDesktopAlert = async ({ title, body, tag, critical }) => {
+  if (notificationPermission() !== 'granted') return;
+  const options = { body, tag, renotify: true, requireInteraction: critical, icon: '/vite.svg' };
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+      await registration.showNotification(title, options); // Clicks are handled in serviceWorker.js
+      return;
+    }
+    const notification = new Notification(title, options);
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (err) {
+    console.warn('Desktop notification failed:', err);
+  }
+};
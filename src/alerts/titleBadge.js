@@ -0,0 +1,32 @@
+// ==================================================================================
+// TITLE & FAVICON BADGE
+// Shows the number of unacknowledged alerts in the browser tab.
+// ==================================================================================
+
+import { getHazardStyle } from '../styles/hazardStyles';
+
+let original = null; // { title, icon } before the first badge
+
+// --- HELPER: BADGE ICON ---
+const badgeIcon = (count, color) => {
+  const label = count > 9 ? '9+' : String(count);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><circle cx="32" cy="32" r="30" fill="${color}"/><text x="32" y="44" font-size="${label.length > 1 ? 30 : 36}" font-family="Arial,sans-serif" font-weight="bold" text-anchor="middle" fill="#fff">${label}</text></svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+};
+
+// --- FUNCTION: SET BADGE ---
+// count 0 restores the normal title and icon; type picks the badge colour.
+// label: the title text in the operator's language
+export const setTitleBadge = (count, type, label = `${getHazardStyle(type).label} ALERT`) => {
+  const link = document.querySelector('link[rel~="icon"]');
+  if (!original) original = { title: document.title, icon: link?.getAttribute('href') };
+
+  if (count === 0) {
+    document.title = original.title;
+    if (link && original.icon) link.setAttribute('href', original.icon);
+    return;
+  }
+  const style = getHazardStyle(type);
+  document.title = `(${count}) ${label} - ${original.title}`;
+  if (link) link.setAttribute('href', badgeIcon(count, style.fill));
+};
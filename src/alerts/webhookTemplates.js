@@ -0,0 +1,64 @@
+// ==================================================================================
+// WEBHOOK PAYLOADS
+// Turns one System Logs entry into the JSON body a channel expects.
+//   slack   - incoming webhook: { text, blocks }
+//   teams   - connector MessageCard
+//   generic - the entry itself, for your own receiver or relay
+// ==================================================================================
+
+const SEVERITY_ICONS = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
+const SEVERITY_COLORS = { info: '2563EB', warning: 'F59E0B', critical: 'DC2626' }; // Teams theme colours
+
+const TEMPLATES = {
+  // --- SLACK ---
+  slack: ({ entry, site, dashboardUrl, test }) => {
+    const title = `${SEVERITY_ICONS[entry.severity]} *${entry.severity.toUpperCase()}* · ${site}${test ? ' (test)' : ''}`;
+    const context = [entry.category, entry.roomId !== null ? `room ${entry.roomId}` : null, entry.timestamp].filter(Boolean).join(' · ');
+    return {
+      text: `${title}\n${entry.message}`, // Shown in notifications and by clients without blocks
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `${title}\n${entry.message}` } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: dashboardUrl ? `${context} · <${dashboardUrl}|Open dashboard>` : context }] },
+      ],
+    };
+  },
+
+  // --- MICROSOFT TEAMS ---
+  teams: ({ entry, site, dashboardUrl, test }) => ({
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    themeColor: SEVERITY_COLORS[entry.severity],
+    summary: entry.message,
+    title: `${SEVERITY_ICONS[entry.severity]} ${entry.severity.toUpperCase()} · ${site}${test ? ' (test)' : ''}`,
+    text: entry.message,
+    sections: [{
+      facts: [
+        { name: 'Category', value: entry.category },
+        ...(entry.roomId !== null ? [{ name: 'Room', value: String(entry.roomId) }] : []),
+        { name: 'Time', value: entry.timestamp },
+      ],
+    }],
+    ...(dashboardUrl ? { potentialAction: [{ '@type': 'OpenUri', name: 'Open dashboard', targets: [{ os: 'default', uri: dashboardUrl }] }] } : {}),
+  }),
+
+  // --- GENERIC JSON ---
+  generic: ({ entry, site, dashboardUrl, test }) => ({
+    source: 'safe-dashboard',
+    site,
+    dashboardUrl: dashboardUrl || null,
+    test,
+    entry: {
+      id: entry.id,
+      timestamp: entry.timestamp,
+      severity: entry.severity,
+      category: entry.category,
+      roomId: entry.roomId,
+      message: entry.message,
+    },
+  }),
+};
+
+// --- FUNCTION: BUILD PAYLOAD ---
+// Unknown templates fall back to generic JSON
+export const buildWebhookPayload = (template, { entry, site, dashboardUrl = '', test = false }) =>
+  (TEMPLATES[template] || TEMPLATES.generic)({ entry, site, dashboardUrl, test });
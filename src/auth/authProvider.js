@@ -0,0 +1,25 @@
+// ==================================================================================
+// AUTH PROVIDER FACTORY
+// Picks the mock or HTTP provider. Every provider has the same shape:
+//   { kind, restore(), login({ username, password }), logout() }
+// restore() and login() resolve to a user { username, name, role } (restore: or
+// null when nobody is signed in); login() rejects with a readable Error.
+// ==================================================================================
+
+import { createMockAuthProvider } from './providers/mockAuthProvider';
+import { createHttpAuthProvider } from './providers/httpAuthProvider';
+import { DEV_TOOLS } from '../config/build';
+
+// --- FUNCTION: CREATE AUTH PROVIDER ---
+// The demo accounts are dev tooling: production builds always use the HTTP provider.
+export const createAuthProvider = ({ kind = 'mock', url } = {}) => {
+  if (kind === 'http' || !DEV_TOOLS) return createHttpAuthProvider({ url: url || '/api/auth' });
+  return createMockAuthProvider();
+};
+
+// --- FUNCTION: PROVIDER FROM BUILD CONFIG ---
+// Set VITE_AUTH_PROVIDER (mock | http) and VITE_AUTH_URL in a .env.local file
+export const createAuthProviderFromEnv = () => createAuthProvider({
+  kind: import.meta.env.VITE_AUTH_PROVIDER,
+  url: import.meta.env.VITE_AUTH_URL,
+});
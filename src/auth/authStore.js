@@ -0,0 +1,66 @@
+// ==================================================================================
+// AUTH STORE
+// Who is signed in, kept outside React like the other stores.
+// State: { status, user, error }
+//   status - 'loading' (checking for an earlier session) | 'signed-out'
+//            | 'signing-in' | 'signed-in'
+//   error  - message of the last failed sign-in, shown on the login screen
+// ==================================================================================
+
+export const createAuthStore = (provider) => {
+  let state = { status: 'loading', user: null, error: null };
+  let restoring = null;
+  const listeners = new Set();
+
+  const set = (next) => {
+    state = next;
+    listeners.forEach(listener => listener());
+  };
+
+  return {
+    provider,
+    getSnapshot: () => state,
+
+    // --- FUNCTION: RESTORE ---
+    // Picks up a session from before a refresh. Safe to call more than once.
+    restore() {
+      if (!restoring) {
+        restoring = provider.restore()
+          .catch(err => {
+            console.warn('Could not restore the session:', err);
+            return null;
+          })
+          .then(user => {
+            if (state.status === 'loading') set({ status: user ? 'signed-in' : 'signed-out', user, error: null });
+          });
+      }
+      return restoring;
+    },
+
+    // --- FUNCTION: SIGN IN ---
+    // Resolves to the user; rejects (and keeps the message in `error`) on failure
+    async login(credentials) {
+      set({ status: 'signing-in', user: null, error: null });
+      try {
+        const user = await provider.login(credentials);
+        set({ status: 'signed-in', user, error: null });
+        return user;
+      } catch (err) {
+        set({ status: 'signed-out', user: null, error: err.message });
+        throw err;
+      }
+    },
+
+    // --- FUNCTION: SIGN OUT ---
+    // The dashboard is locked straight away, even if the provider call fails
+    async logout() {
+      set({ status: 'signed-out', user: null, error: null });
+      await provider.logout().catch(err => console.warn('Sign-out request failed:', err));
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
@@ -0,0 +1,72 @@
+// ==================================================================================
+// HTTP AUTH PROVIDER
+// Signs in against your own backend (see docs/auth.md):
+//   POST {url}/login   { username, password } -> { token, user: { username, name, role } }
+//   GET  {url}/me      Authorization: Bearer <token> -> { user }
+//   POST {url}/logout  Authorization: Bearer <token>
+// The token is kept in sessionStorage until sign-out or the tab is closed.
+// When the backend cannot be reached or fails (5xx) on a reload, the user this
+// tab last confirmed is kept, so the dashboard stays usable offline
+// (docs/offline.md). Only a 401/403 ends the session.
+// ==================================================================================
+
+const TOKEN_KEY = 'safe.authToken';
+const USER_KEY = 'safe.authUser';
+
+// --- FACTORY: HTTP PROVIDER ---
+export const createHttpAuthProvider = ({ url, storage = globalThis.sessionStorage }) => {
+  // --- HELPER: CALL THE AUTH API ---
+  const request = (path, { method = 'GET', body } = {}) => {
+    const token = storage?.getItem(TOKEN_KEY);
+    return fetch(`${url}${path}`, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  };
+
+  return {
+    kind: 'http',
+
+    async restore() {
+      if (!storage?.getItem(TOKEN_KEY)) return null;
+      let response;
+      try {
+        response = await request('/me');
+      } catch {
+        return JSON.parse(storage.getItem(USER_KEY)); // Offline: the last confirmed user of this tab
+      }
+      if (response.status === 401 || response.status === 403) {
+        storage.removeItem(TOKEN_KEY); // Expired or revoked
+        storage.removeItem(USER_KEY);
+        return null;
+      }
+      if (!response.ok) return JSON.parse(storage.getItem(USER_KEY)); // Backend trouble, not a sign-out
+      const { user } = await response.json();
+      storage.setItem(USER_KEY, JSON.stringify(user));
+      return user;
+    },
+
+    async login({ username, password }) {
+      const response = await request('/login', { method: 'POST', body: { username: username.trim(), password } });
+      if (response.status === 401 || response.status === 403) throw new Error('Wrong username or password');
+      if (!response.ok) throw new Error(`Sign-in failed (${response.status})`);
+      const { token, user } = await response.json();
+      storage?.setItem(TOKEN_KEY, token);
+      storage?.setItem(USER_KEY, JSON.stringify(user));
+      return user;
+    },
+
+    async logout() {
+      try {
+        await request('/logout', { method: 'POST' });
+      } finally {
+        storage?.removeItem(TOKEN_KEY);
+        storage?.removeItem(USER_KEY);
+      }
+    },
+  };
+};
@@ -0,0 +1,39 @@
+// ==================================================================================
+// MOCK AUTH PROVIDER
+// Local accounts for development and demos: no server needed. The password of
+// each demo account is its username. Not for real sites - use the HTTP provider.
+// ==================================================================================
+
+const SESSION_KEY = 'safe.mockSession';
+
+// One account per role
+export const MOCK_USERS = [
+  { username: 'viewer', password: 'viewer', name: 'Demo Viewer', role: 'viewer' },
+  { username: 'operator', password: 'operator', name: 'Demo Operator', role: 'operator' },
+  { username: 'admin', password: 'admin', name: 'Demo Admin', role: 'admin' },
+];
+
+// --- HELPER: ACCOUNT -> USER (never hand out the password) ---
+const toUser = ({ username, name, role }) => ({ username, name, role });
+
+// --- FACTORY: MOCK PROVIDER ---
+// The session lasts until the browser tab is closed (sessionStorage)
+export const createMockAuthProvider = ({ users = MOCK_USERS, storage = globalThis.sessionStorage } = {}) => ({
+  kind: 'mock',
+
+  async restore() {
+    const account = users.find(u => u.username === storage?.getItem(SESSION_KEY));
+    return account ? toUser(account) : null;
+  },
+
+  async login({ username, password }) {
+    const account = users.find(u => u.username === username.trim() && u.password === password);
+    if (!account) throw new Error('Wrong username or password');
+    storage?.setItem(SESSION_KEY, account.username);
+    return toUser(account);
+  },
+
+  async logout() {
+    storage?.removeItem(SESSION_KEY);
+  },
+});
@@ -0,0 +1,17 @@
+// ==================================================================================
+// ROLE CHECKS
+// can(user, 'simulate') decides what the signed-in user sees and may do.
+// The rules themselves are in src/config/auth.js.
+// ==================================================================================
+
+import { ROLES, PERMISSIONS } from '../config/auth';
+
+const rank = (role) => ROLES.indexOf(role);
+
+// --- FUNCTION: IS THE USER ALLOWED? ---
+// Unknown actions and unknown roles are never allowed
+export const can = (user, permission) =>
+  Boolean(user) && permission in PERMISSIONS && rank(user.role) >= rank(PERMISSIONS[permission]);
+
+// --- HELPER: "Dana Ortiz (operator)" (for the audit log) ---
+export const userLabel = (user) => (user ? `${user.name} (${user.role})` : 'unknown user');
@@ -0,0 +1,66 @@
+// ==================================================================================
+// ACTUATOR COMMAND DIALOG
+// The confirmation step before a command is sent: which actuator, where, and
+// what it will change from and to.
+// ==================================================================================
+
+import React from 'react';
+import { motion } from 'framer-motion';
+import { AlertTriangle } from 'lucide-react';
+import { ACTUATOR_TYPES } from '../config/actuators';
+import { actionLabel } from '../data/actuators';
+import { placeName } from '../data/siteModel';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+// request: { room, actuator, state } - `state` is the state asked for
+const ActuatorCommandDialog = ({ request, onConfirm, onCancel, cardStyle, textMain, textSub, i18n }) => {
+  const dialogRef = useFocusTrap();
+  const { t, term } = i18n;
+  const { room, actuator, state } = request;
+  const config = ACTUATOR_TYPES[actuator];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onCancel}
+    >
+      <motion.div
+        initial={{ scale: 0.95 }} animate={{ scale: 1 }} exit={{ scale: 0.95 }}
+        className={`w-full max-w-md rounded-2xl p-6 ${cardStyle}`}
+        onClick={(e) => e.stopPropagation()} // Clicks inside the dialog should not cancel it
+        role="alertdialog"
+        aria-modal="true"
+        ref={dialogRef}
+        tabIndex={-1}
+        aria-label={t('actuators.confirmTitle')}
+      >
+        <h3 className={`font-bold text-xl flex items-center gap-2 ${textMain}`}>
+          <AlertTriangle className="text-amber-500" /> {term(actionLabel(actuator, state))}?
+        </h3>
+        <p className={`text-sm mt-3 ${textSub}`}>
+          {config.icon} {term(config.label)} {t('actuators.in')} <span className={`font-bold ${textMain}`}>{placeName(room.name, room.location)}</span>
+        </p>
+        <p className="font-mono text-sm mt-2">
+          <span className={textSub}>{room.actuators?.[actuator] ? term(room.actuators[actuator]) : t('actuators.unknown')}</span>
+          <span className={textSub}> → </span>
+          <span className="font-bold text-sky-400">{term(state)}</span>
+        </p>
+        <p className={`text-xs mt-3 ${textSub}`}>
+          {t('actuators.confirmNote')}
+        </p>
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-bold bg-slate-500/20 text-slate-500 hover:bg-slate-500/30" autoFocus>
+            {t('common.cancel')}
+          </button>
+          <button onClick={onConfirm} className="px-4 py-2 rounded-lg text-sm font-bold bg-blue-600 text-white hover:bg-blue-500">
+            {t('common.confirm')}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ActuatorCommandDialog;
@@ -0,0 +1,56 @@
+// ==================================================================================
+// ACTUATOR CONTROLS
+// The actuator row on a room card: what each actuator is doing now (as reported
+// by the node), "..." while a command waits for its ack, "⏸" while it waits
+// for the connection, a red ring when the last command failed. Operators click a chip to change it; the change is
+// confirmed in ActuatorCommandDialog first.
+// ==================================================================================
+
+import React from 'react';
+import { ACTUATOR_TYPES } from '../config/actuators';
+import { isActuatorActive, toggledState, actionLabel } from '../data/actuators';
+
+// --- HELPER: HOVER TEXT ---
+const chipTitle = (config, state, last, canActuate, next, { t, term }) => [
+  `${term(config.label)}: ${term(state)}`,
+  last?.status === 'pending' ? t('actuators.pending', { state: term(last.state) }) : null,
+  last?.status === 'queued' ? t('actuators.queued', { state: term(last.state) }) : null,
+  last?.status === 'failed' ? t('actuators.failed', { error: last.error }) : null,
+  canActuate && !['pending', 'queued'].includes(last?.status) ? t('actuators.clickTo', { action: term(next) }) : null,
+].filter(Boolean).join(' · ');
+
+const ActuatorControls = ({ room, commands, canActuate, onRequest, i18n }) => {
+  const types = Object.keys(ACTUATOR_TYPES).filter(type => room.actuators?.[type]);
+  if (!types.length) return null;
+
+  return (
+    // Clicks here must not open the room history like the rest of the card
+    <div className="flex flex-wrap gap-1.5 mt-3" onClick={(e) => e.stopPropagation()}>
+      {types.map(type => {
+        const config = ACTUATOR_TYPES[type];
+        const state = room.actuators[type];
+        const target = toggledState(type, state);
+        const last = commands.find(c => c.roomId === room.id && c.actuator === type); // Newest first
+        const pending = last?.status === 'pending' || last?.status === 'queued';
+        return (
+          <button
+            key={type}
+            onClick={() => onRequest({ room, actuator: type, state: target })}
+            disabled={!canActuate || pending}
+            title={chipTitle(config, state, last, canActuate, actionLabel(type, target), i18n)}
+            aria-label={chipTitle(config, state, last, canActuate, actionLabel(type, target), i18n)}
+            className={`flex items-center gap-1 px-2 py-0.5 rounded border text-[10px] font-mono font-bold uppercase disabled:cursor-default ${isActuatorActive(type, state)
+              ? 'bg-sky-500/15 text-sky-400 border-sky-500/30'
+              : 'bg-slate-500/10 text-slate-500 border-gray-500/20'
+              } ${last?.status === 'failed' ? 'ring-1 ring-red-500' : ''} ${canActuate && !pending ? 'hover:border-blue-500' : ''}`}
+          >
+            <span>{config.icon}</span>
+            {last?.status === 'queued' ? '⏸' : pending ? '...' : i18n.term(state)}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ActuatorControls;
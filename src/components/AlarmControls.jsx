@@ -0,0 +1,82 @@
+// ==================================================================================
+// ALARM CONTROLS
+// Header buttons for the audible alarm: mute, snooze and desktop notifications.
+// Without `canSilence` (viewers) the bell only shows the alert count.
+// ==================================================================================
+
+import React, { useState } from 'react';
+import { Bell, BellOff, BellRing, AlarmClockOff, MonitorUp } from 'lucide-react';
+import { SNOOZE_MINUTES } from '../config/alarms';
+import { getHazardStyle } from '../styles/hazardStyles';
+
+// --- SUB-COMPONENT: HOVER LABEL (same as the Save Report button) ---
+const Tooltip = ({ children }) => (
+  <span className="absolute -bottom-8 left-1/2 -translate-x-1/2 text-xs bg-black text-white px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap pointer-events-none">
+    {children}
+  </span>
+);
+
+const AlarmControls = ({ alarms, canSilence, cardStyle, textMain, i18n }) => {
+  const { t } = i18n;
+  const { alerts, worstType, muted, snoozed, snoozeUntil, permission, toggleMute, snoozeFor, cancelSnooze, enableNotifications } = alarms;
+  const [snoozeOpen, setSnoozeOpen] = useState(false);
+  const ringing = alerts.length > 0 && !muted && !snoozed;
+
+  const BellIcon = muted ? BellOff : ringing ? BellRing : Bell;
+  const bellColor = muted ? 'text-slate-500' : alerts.length ? getHazardStyle(worstType).text : 'text-emerald-500';
+  const bellLabel = !canSilence ? t('alarm.unacknowledged', { count: alerts.length }) : muted ? t('alarm.unmute') : t('alarm.mute');
+  const snoozeLabel = snoozed ? t('alarm.snoozedUntil', { time: i18n.time(snoozeUntil) }) : t('alarm.snooze');
+
+  return (
+    <div className="flex gap-3 items-center">
+      {/* Mute toggle with the number of unacknowledged alerts */}
+      <button onClick={toggleMute} disabled={!canSilence} aria-label={bellLabel} className={`p-3 rounded-lg transition-all group relative ${cardStyle}`}>
+        <BellIcon size={20} className={`${bellColor} ${ringing ? 'animate-bounce' : ''}`} />
+        {alerts.length > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full bg-red-600 text-white text-[10px] font-bold flex items-center justify-center">
+            {alerts.length}
+          </span>
+        )}
+        <Tooltip>{bellLabel}</Tooltip>
+      </button>
+
+      {/* Snooze */}
+      {canSilence && (
+        <div className="relative">
+          <button
+            onClick={() => (snoozed ? cancelSnooze() : setSnoozeOpen(!snoozeOpen))}
+            aria-label={snoozeLabel}
+            aria-expanded={snoozed ? undefined : snoozeOpen}
+            className={`p-3 rounded-lg transition-all group relative ${cardStyle} ${snoozed ? 'ring-2 ring-amber-500/50' : ''}`}
+          >
+            <AlarmClockOff size={20} className={snoozed ? 'text-amber-500' : 'text-slate-500'} />
+            <Tooltip>{snoozeLabel}</Tooltip>
+          </button>
+          {snoozeOpen && !snoozed && (
+            <div className={`absolute right-0 mt-2 w-32 rounded-lg overflow-hidden shadow-xl z-20 ${cardStyle}`}>
+              {SNOOZE_MINUTES.map(minutes => (
+                <button
+                  key={minutes}
+                  onClick={() => { setSnoozeOpen(false); snoozeFor(minutes); }}
+                  className={`w-full px-3 py-2 text-sm text-left hover:bg-blue-500/10 ${textMain}`}
+                >
+                  {t('alarm.minutes', { count: minutes })}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Desktop notifications need a one-time permission */}
+      {permission === 'default' && (
+        <button onClick={enableNotifications} aria-label={t('alarm.enableDesktop')} className={`p-3 rounded-lg transition-all group relative ${cardStyle}`}>
+          <MonitorUp size={20} className="text-blue-500" />
+          <Tooltip>{t('alarm.enableDesktop')}</Tooltip>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AlarmControls;
@@ -0,0 +1,106 @@
+// ==================================================================================
+// AUTOMATION PANEL
+// Admin screen for the automatic actuator rules ("when a room turns FIRE ...")
+// and the most recent actuator commands with their result.
+// Changes go through onChange so they are written to System Logs.
+// ==================================================================================
+
+import React, { useSyncExternalStore } from 'react';
+import { motion } from 'framer-motion';
+import { X } from 'lucide-react';
+import { ACTUATOR_TYPES, RULE_SCOPES } from '../config/actuators';
+import { actionLabel } from '../data/actuators';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+const VISIBLE_COMMANDS = 15;
+
+const STATUS_STYLES = {
+  queued: 'text-slate-400',
+  pending: 'text-amber-500',
+  done: 'text-emerald-500',
+  failed: 'text-red-500',
+};
+
+const AutomationPanel = ({ automationStore, commands, onChange, onClose, cardStyle, textMain, textSub, i18n }) => {
+  const dialogRef = useFocusTrap();
+  const { t, term } = i18n;
+  const rules = useSyncExternalStore(automationStore.subscribe, automationStore.getSnapshot);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95 }} animate={{ scale: 1 }} exit={{ scale: 0.95 }}
+        className={`w-full max-w-2xl max-h-[85vh] overflow-y-auto rounded-2xl p-6 ${cardStyle}`}
+        onClick={(e) => e.stopPropagation()} // Clicks inside the panel should not close it
+        role="dialog"
+        aria-modal="true"
+        ref={dialogRef}
+        tabIndex={-1}
+        aria-label={t('automation.title')}
+      >
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className={`font-bold text-xl ${textMain}`}>{t('automation.title')}</h3>
+            <p className={`text-xs ${textSub}`}>
+              {t('automation.intro')}
+            </p>
+          </div>
+          <button onClick={onClose} aria-label={t('common.close')} className="p-1 rounded-lg text-slate-500 hover:bg-slate-500/20" autoFocus>
+            <X size={18} />
+          </button>
+        </div>
+
+        {/* 1. RULES */}
+        <div className="space-y-2">
+          {rules.map(rule => {
+            const config = ACTUATOR_TYPES[rule.actuator];
+            return (
+              <div key={rule.id} className="flex flex-wrap items-center gap-3 p-3 rounded-lg bg-slate-500/5 border border-gray-500/10">
+                <label className={`flex items-center gap-2 text-sm font-bold flex-1 ${textMain}`}>
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => onChange(rule, { enabled: e.target.checked })}
+                  />
+                  {config.icon} {term(actionLabel(rule.actuator, rule.state))}
+                </label>
+                <label className={`text-xs flex items-center gap-2 ${textSub}`}>
+                  {t('actuators.in')}
+                  <select
+                    value={rule.scope}
+                    onChange={(e) => onChange(rule, { scope: e.target.value })}
+                    disabled={!rule.enabled}
+                    className={`px-2 py-1 rounded bg-slate-500/10 border border-gray-500/20 ${textMain}`}
+                  >
+                    {Object.entries(RULE_SCOPES).map(([scope, label]) => <option key={scope} value={scope}>{term(label)}</option>)}
+                  </select>
+                </label>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* 2. RECENT COMMANDS */}
+        <h4 className={`text-xs font-bold uppercase tracking-widest mt-6 mb-2 ${textSub}`}>{t('automation.recent')}</h4>
+        <ul className="space-y-1">
+          {commands.slice(0, VISIBLE_COMMANDS).map(command => (
+            <li key={command.id} className="text-xs font-mono">
+              <span className="text-blue-500 mr-2">[{i18n.time(command.sentAt)}]</span>
+              <span className={textMain}>{ACTUATOR_TYPES[command.actuator].icon} {command.roomName}: {term(ACTUATOR_TYPES[command.actuator].label)} → {term(command.state)}</span>
+              <span className={textSub}> ({command.auto ? t('automation.automatic') : command.user})</span>
+              <span className={`ml-2 font-bold uppercase ${STATUS_STYLES[command.status]}`}>{term(command.status)}</span>
+              {command.error && <span className="text-red-400"> - {command.error}</span>}
+            </li>
+          ))}
+        </ul>
+        {commands.length === 0 && <p className={`text-xs ${textSub}`}>{t('automation.none')}</p>}
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default AutomationPanel;
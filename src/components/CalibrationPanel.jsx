@@ -0,0 +1,153 @@
+// ==================================================================================
+// CALIBRATION PANEL
+// Technician screen: every sensor the dashboard has heard from, its raw and
+// corrected readings, any fault, and its calibration (value * scale + offset).
+// Saving goes through onSave so the change is written to System Logs.
+// ==================================================================================
+
+import React, { useState, useSyncExternalStore } from 'react';
+import { motion } from 'framer-motion';
+import { X, RotateCcw, Save } from 'lucide-react';
+import { DEFAULT_CALIBRATION } from '../config/sensorFaults';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+// Labels: calibration.fields.<key> in src/i18n/messages
+const FIELDS = [
+  { key: 'tempOffset', step: 0.1 },
+  { key: 'tempScale', step: 0.01 },
+  { key: 'smokeOffset', step: 0.1 },
+  { key: 'smokeScale', step: 0.01 },
+];
+
+// --- HELPER: VALID INPUT? (a scale must be above zero) ---
+const isValidField = (key, text) => {
+  const value = Number(text);
+  return text !== '' && Number.isFinite(value) && (!key.endsWith('Scale') || value > 0);
+};
+
+// --- HELPER: TEXT INPUTS -> NUMBERS (null while any input is invalid) ---
+const parseDraft = (draft) => (FIELDS.every(({ key }) => isValidField(key, draft[key]))
+  ? Object.fromEntries(FIELDS.map(({ key }) => [key, Number(draft[key])]))
+  : null);
+
+const toDraft = (calibration) => Object.fromEntries(FIELDS.map(({ key }) => [key, String(calibration[key])]));
+
+// --- SUB-COMPONENT: ONE SENSOR ---
+const CalibrationRow = ({ sensor, room, saved, onSave, textMain, textSub, i18n }) => {
+  const { t, number } = i18n;
+  const [draft, setDraft] = useState(() => toDraft(saved));
+  const values = parseDraft(draft);
+  const changed = values && FIELDS.some(({ key }) => values[key] !== saved[key]);
+  const fault = sensor.fault || (room.faults?.some(f => f.kind === 'disagree') ? 'disagree' : null);
+
+  return (
+    <tr className="border-b border-gray-500/10 align-top">
+      <td className="py-2 pr-3">
+        <div className={`font-mono font-bold ${textMain}`}>{sensor.id}</div>
+        <div className={`text-[10px] ${textSub}`}>{room.name}</div>
+        {fault && <div className="text-[10px] font-bold text-violet-400">{t(`calibration.faults.${fault}`)}</div>}
+      </td>
+      <td className={`py-2 pr-3 font-mono text-xs ${textSub}`}>
+        {sensor.raw ? `${number(sensor.raw.temp)}° / ${number(sensor.raw.smoke)}%` : '-'}
+        <div className={textMain}>→ {number(sensor.temp)}° / {number(sensor.smoke)}%</div>
+      </td>
+      {FIELDS.map(({ key, step }) => (
+        <td key={key} className="py-2 pr-2">
+          <input
+            type="number"
+            step={step}
+            value={draft[key]}
+            onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+            aria-label={`${sensor.id} ${t(`calibration.fields.${key}`)}`}
+            className={`w-20 px-2 py-1 rounded bg-slate-500/10 border text-xs ${textMain} ${isValidField(key, draft[key]) ? 'border-gray-500/20' : 'border-red-500'}`}
+          />
+        </td>
+      ))}
+      <td className="py-2 whitespace-nowrap">
+        <button
+          onClick={() => onSave(sensor, room, values)}
+          disabled={!changed}
+          className="p-1.5 rounded bg-blue-600 text-white disabled:opacity-30 mr-1"
+          title={t('calibration.save')}
+          aria-label={t('calibration.save')}
+        >
+          <Save size={14} />
+        </button>
+        <button
+          onClick={() => { setDraft(toDraft(DEFAULT_CALIBRATION)); onSave(sensor, room, DEFAULT_CALIBRATION); }}
+          className="p-1.5 rounded bg-slate-500/20 text-slate-500 hover:bg-slate-500/30"
+          title={t('calibration.reset')}
+          aria-label={t('calibration.reset')}
+        >
+          <RotateCcw size={14} />
+        </button>
+      </td>
+    </tr>
+  );
+};
+
+const CalibrationPanel = ({ rooms, calibrationStore, onSave, onClose, cardStyle, textMain, textSub, i18n }) => {
+  const dialogRef = useFocusTrap();
+  const { t } = i18n;
+  const calibration = useSyncExternalStore(calibrationStore.subscribe, calibrationStore.getSnapshot);
+  const sensors = rooms.flatMap(room => (room.sensors || []).map(sensor => ({ sensor, room })));
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95 }} animate={{ scale: 1 }} exit={{ scale: 0.95 }}
+        className={`w-full max-w-4xl max-h-[85vh] overflow-y-auto rounded-2xl p-6 ${cardStyle}`}
+        onClick={(e) => e.stopPropagation()} // Clicks inside the panel should not close it
+        role="dialog"
+        aria-modal="true"
+        ref={dialogRef}
+        tabIndex={-1}
+        aria-label={t('calibration.title')}
+      >
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className={`font-bold text-xl ${textMain}`}>{t('calibration.title')}</h3>
+            <p className={`text-xs ${textSub}`}>
+              {t('calibration.intro')}
+            </p>
+          </div>
+          <button onClick={onClose} aria-label={t('common.close')} className="p-1 rounded-lg text-slate-500 hover:bg-slate-500/20" autoFocus>
+            <X size={18} />
+          </button>
+        </div>
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className={`text-left text-[10px] uppercase tracking-widest ${textSub}`}>
+              <th className="pb-2">{t('calibration.sensor')}</th>
+              <th className="pb-2">{t('calibration.rawCorrected')}</th>
+              {FIELDS.map(({ key }) => <th key={key} className="pb-2">{t(`calibration.fields.${key}`)}</th>)}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {sensors.map(({ sensor, room }) => (
+              <CalibrationRow
+                key={sensor.id}
+                sensor={sensor}
+                room={room}
+                saved={{ ...DEFAULT_CALIBRATION, ...calibration[sensor.id] }}
+                onSave={onSave}
+                textMain={textMain}
+                textSub={textSub}
+                i18n={i18n}
+              />
+            ))}
+          </tbody>
+        </table>
+        {sensors.length === 0 && <p className={`text-xs mt-4 ${textSub}`}>{t('calibration.none')}</p>}
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default CalibrationPanel;
@@ -0,0 +1,46 @@
+// ==================================================================================
+// CONNECTION BANNER
+// Full-width warning while the dashboard is not receiving live data, with the
+// reconnect/backoff status, how many actions wait to be sent, and a button to
+// retry straight away.
+// ==================================================================================
+
+import React from 'react';
+import { WifiOff, RefreshCw } from 'lucide-react';
+
+// A first connection gets this long before the banner appears
+const GRACE_MS = 5000;
+
+// queued: messages waiting in the outbox (outboxStore.js)
+const ConnectionBanner = ({ connection, now, queued = 0, onReconnect, i18n }) => {
+  const { status, attempt, retryAt, since } = connection;
+  if (status === 'online') return null;
+  if (status === 'connecting' && attempt === 0 && now - since < GRACE_MS) return null;
+
+  const retryIn = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : null;
+  const { t } = i18n;
+  const detail = status === 'offline'
+    ? t(retryIn !== null ? 'banner.retryIn' : 'banner.retry', { attempt, seconds: retryIn })
+    : t(attempt ? 'banner.reconnectingAttempt' : 'banner.reconnecting', { attempt });
+
+  return (
+    <div role="alert" className="mb-6 flex flex-wrap items-center gap-3 px-5 py-3 rounded-xl border border-red-500/40 bg-red-600/15 text-red-500">
+      <WifiOff size={20} className="shrink-0" />
+      <div className="flex-1 min-w-0">
+        <p className="font-bold text-sm uppercase tracking-wide">{t('banner.title')}</p>
+        <p className="text-xs opacity-80">
+          {t('banner.since', { time: i18n.time(since) })} {detail} {t('banner.lastValues')}
+          {queued > 0 && ` ${t('banner.queued', { count: queued })}`}
+        </p>
+      </div>
+      <button
+        onClick={onReconnect}
+        className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs font-bold bg-red-600 hover:bg-red-500 text-white"
+      >
+        <RefreshCw size={14} /> {t('banner.retryNow')}
+      </button>
+    </div>
+  );
+};
+
+export default ConnectionBanner;
@@ -0,0 +1,35 @@
+// ==================================================================================
+// CONNECTION STATUS
+// Header indicator for the link to the Master Node (the data source).
+// ==================================================================================
+
+import React from 'react';
+
+// text: message key (src/i18n/messages)
+const STATES = {
+  online: { dot: 'bg-emerald-500', ping: 'bg-emerald-400', text: 'connection.online' },
+  connecting: { dot: 'bg-amber-500', ping: 'bg-amber-400', text: 'connection.connecting' },
+  reconnecting: { dot: 'bg-amber-500', ping: 'bg-amber-400', text: 'connection.reconnecting' },
+  offline: { dot: 'bg-red-500', ping: 'bg-red-400', text: 'connection.offline' },
+};
+
+const ConnectionStatus = ({ connection, sourceKind, textSub, i18n }) => {
+  const key = connection.status === 'connecting' && connection.attempt > 0 ? 'reconnecting' : connection.status;
+  const state = STATES[key] || STATES.offline;
+
+  return (
+    <div className="flex items-center gap-2 mt-1">
+      {/* Live Connection Indicator */}
+      <span className="relative flex h-3 w-3">
+        <span className={`animate-ping absolute inline-flex h-full w-full rounded-full opacity-75 ${state.ping}`}></span>
+        <span className={`relative inline-flex rounded-full h-3 w-3 ${state.dot}`}></span>
+      </span>
+      <p className={`${textSub} text-sm`}>
+        {i18n.t(state.text)}
+        <span className="ml-2 text-xs font-mono uppercase opacity-60">{sourceKind}</span>
+      </p>
+    </div>
+  );
+};
+
+export default ConnectionStatus;
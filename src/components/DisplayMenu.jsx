@@ -0,0 +1,86 @@
+// ==================================================================================
+// DISPLAY MENU
+// Header button for how the dashboard looks and reads: theme (dark, light, high
+// contrast), motion, language and the keyboard shortcut list. Saved per browser
+// by the preferences store.
+// ==================================================================================
+
+import React, { useState } from 'react';
+import { Eye } from 'lucide-react';
+import { THEMES } from '../styles/themes';
+import { MOTION_MODES } from '../data/preferencesStore';
+import { LOCALES } from '../i18n';
+
+// --- SUB-COMPONENT: ONE GROUP OF CHOICES ---
+const Choices = ({ label, options, value, onChange, textSub }) => (
+  <div role="radiogroup" aria-label={label} className="px-3 py-2">
+    <p className={`text-[10px] uppercase font-bold tracking-widest mb-1 ${textSub}`}>{label}</p>
+    <div className="flex flex-wrap gap-1">
+      {options.map(([key, text]) => (
+        <button
+          key={key}
+          role="radio"
+          aria-checked={value === key}
+          onClick={() => onChange(key)}
+          className={`px-2 py-1 rounded text-xs font-bold border ${value === key ? 'bg-blue-600 border-blue-500 text-white' : 'border-gray-500/30 text-slate-500 hover:bg-slate-500/10'}`}
+        >
+          {text}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+// preferences: { theme, motion, locale } from the preferences store; onChange(changes)
+const DisplayMenu = ({ preferences, onChange, onShowShortcuts, cardStyle, textMain, textSub, i18n }) => {
+  const { t } = i18n;
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-label={t('display.button')}
+        aria-expanded={open}
+        className={`p-3 rounded-lg transition-all group relative ${cardStyle}`}
+      >
+        <Eye size={20} className="text-yellow-400" />
+        <span className="absolute -bottom-8 left-1/2 -translate-x-1/2 text-xs bg-black text-white px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap">{t('display.button')}</span>
+      </button>
+
+      {open && (
+        <div className={`absolute right-0 mt-2 w-64 rounded-lg shadow-xl z-20 py-1 ${cardStyle}`}>
+          <Choices
+            label={t('display.theme')}
+            options={Object.keys(THEMES).map(key => [key, t(`display.themes.${key}`)])}
+            value={preferences.theme}
+            onChange={(theme) => onChange({ theme })}
+            textSub={textSub}
+          />
+          <Choices
+            label={t('display.motion')}
+            options={MOTION_MODES.map(key => [key, t(`display.motions.${key}`)])}
+            value={preferences.motion}
+            onChange={(motion) => onChange({ motion })}
+            textSub={textSub}
+          />
+          <Choices
+            label={t('display.language')}
+            options={Object.entries(LOCALES).map(([key, locale]) => [key, locale.name])}
+            value={preferences.locale}
+            onChange={(locale) => onChange({ locale })}
+            textSub={textSub}
+          />
+          <button
+            onClick={() => { setOpen(false); onShowShortcuts(); }}
+            className={`w-full px-3 py-2 text-sm text-left hover:bg-blue-500/10 ${textMain}`}
+          >
+            {t('display.shortcuts')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DisplayMenu;
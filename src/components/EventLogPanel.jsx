@@ -0,0 +1,111 @@
+// ==================================================================================
+// EVENT LOG PANEL
+// The "System Logs" card: persisted, structured entries with filters for
+// severity, room and date range, plus free-text search.
+// ==================================================================================
+
+import React, { useState, useMemo } from 'react';
+import { Activity, FileText, Search, Wifi } from 'lucide-react';
+import { filterLogEntries } from '../data/eventLogStore';
+
+const VISIBLE_LOG = 200; // Entries rendered at once; narrow the filter to see older ones
+
+const SEVERITY_STYLES = {
+  info: 'text-blue-500',
+  warning: 'text-amber-500',
+  critical: 'text-red-500',
+};
+
+// --- HELPER: "2025-03-14" (local day) -> ms range ---
+const dayStart = (value) => (value ? new Date(`${value}T00:00:00`).getTime() : null);
+const dayEnd = (value) => (value ? new Date(`${value}T23:59:59.999`).getTime() : null);
+
+const EventLogPanel = ({ entries, rooms, cardStyle, textMain, textSub, i18n }) => {
+  const { t, term } = i18n;
+  const [severity, setSeverity] = useState('');
+  const [roomId, setRoomId] = useState('');
+  const [fromDay, setFromDay] = useState('');
+  const [toDay, setToDay] = useState('');
+  const [text, setText] = useState('');
+
+  // Rooms that are reporting now, plus any room that appears in the log
+  const roomOptions = useMemo(() => {
+    const names = new Map(rooms.map(r => [String(r.id), r.name]));
+    entries.forEach(e => {
+      if (e.roomId !== null && !names.has(String(e.roomId))) names.set(String(e.roomId), t('log.room', { id: String(e.roomId) }));
+    });
+    return [...names.entries()];
+  }, [entries, rooms, t]);
+
+  const filtered = useMemo(
+    () => filterLogEntries(entries, { severity, roomId, from: dayStart(fromDay), to: dayEnd(toDay), text }),
+    [entries, severity, roomId, fromDay, toDay, text]
+  );
+  const filtering = severity || roomId || fromDay || toDay || text;
+
+  const inputClass = 'px-2 py-1 rounded bg-slate-500/10 border border-gray-500/20 text-xs';
+
+  return (
+    <div className={`${cardStyle} rounded-2xl p-6 h-[28rem] flex flex-col`}>
+      <div className="flex justify-between items-center mb-3">
+        <h3 className={`text-sm font-bold uppercase tracking-widest ${textSub} flex items-center gap-2`}>
+          <FileText size={16} /> {t('log.title')}
+          <span className="text-xs font-mono normal-case tracking-normal">
+            ({filtering ? t('log.countOf', { shown: filtered.length, total: entries.length }) : i18n.number(entries.length)})
+          </span>
+        </h3>
+        <Wifi size={14} className="text-emerald-500" />
+      </div>
+
+      {/* Filters */}
+      <div className={`space-y-2 mb-3 ${textMain}`}>
+        <label className={`flex items-center gap-2 ${inputClass}`}>
+          <Search size={12} className="text-slate-500" />
+          <input
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={t('log.search')}
+            aria-label={t('log.search')}
+            className="bg-transparent outline-none flex-1"
+          />
+        </label>
+        <div className="grid grid-cols-2 gap-2">
+          <select value={severity} onChange={(e) => setSeverity(e.target.value)} className={inputClass} title={t('log.minSeverity')} aria-label={t('log.minSeverity')}>
+            <option value="">{t('log.allSeverities')}</option>
+            <option value="warning">{t('log.warningUp')}</option>
+            <option value="critical">{t('log.criticalOnly')}</option>
+          </select>
+          <select value={roomId} onChange={(e) => setRoomId(e.target.value)} className={inputClass} title={t('log.roomFilter')} aria-label={t('log.roomFilter')}>
+            <option value="">{t('log.allRooms')}</option>
+            {roomOptions.map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+          </select>
+          <input type="date" value={fromDay} onChange={(e) => setFromDay(e.target.value)} className={inputClass} title={t('log.from')} aria-label={t('log.from')} />
+          <input type="date" value={toDay} onChange={(e) => setToDay(e.target.value)} className={inputClass} title={t('log.to')} aria-label={t('log.to')} />
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto space-y-3 pr-2 custom-scrollbar">
+        {filtered.slice(0, VISIBLE_LOG).map((log) => (
+          <div key={log.id} className="text-xs border-b border-gray-500/10 pb-2 last:border-0">
+            <span className={`font-mono mr-2 ${SEVERITY_STYLES[log.severity] || SEVERITY_STYLES.info}`} title={log.timestamp}>
+              [{i18n.dateTime(log.ts)}]
+            </span>
+            <span className="text-[10px] uppercase font-bold text-slate-500 mr-2">{term(log.category)}</span>
+            <span className={textMain}>{log.message}</span>
+          </div>
+        ))}
+        {entries.length === 0 && (
+          <div className="flex flex-col items-center justify-center h-full text-slate-500 opacity-50">
+            <Activity size={24} className="mb-2" />
+            <span className="text-xs">{t('log.empty')}</span>
+          </div>
+        )}
+        {entries.length > 0 && filtered.length === 0 && (
+          <p className="text-xs text-slate-500">{t('log.noMatch')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EventLogPanel;
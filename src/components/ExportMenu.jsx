@@ -0,0 +1,46 @@
+// ==================================================================================
+// EXPORT MENU
+// Header button for the machine-readable session export (CSV or JSON).
+// ==================================================================================
+
+import React, { useState } from 'react';
+import { Database, FileJson, FileSpreadsheet } from 'lucide-react';
+import { SHORTCUTS } from '../config/accessibility';
+
+const ExportMenu = ({ onExport, cardStyle, textMain, i18n }) => {
+  const [open, setOpen] = useState(false);
+
+  const choose = (format) => {
+    setOpen(false);
+    onExport(format);
+  };
+
+  const itemClass = `w-full flex items-center gap-2 px-3 py-2 text-sm text-left hover:bg-blue-500/10 ${textMain}`;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-label={i18n.t('export.button')}
+        aria-expanded={open}
+        className={`p-3 rounded-lg transition-all group relative ${cardStyle}`}
+      >
+        <Database size={20} className="text-blue-500" />
+        <span className="absolute -bottom-8 left-1/2 -translate-x-1/2 text-xs bg-black text-white px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap">{i18n.t('export.button')} ({SHORTCUTS.exportData.toUpperCase()}: CSV)</span>
+      </button>
+
+      {open && (
+        <div className={`absolute right-0 mt-2 w-44 rounded-lg overflow-hidden shadow-xl z-20 ${cardStyle}`}>
+          <button onClick={() => choose('csv')} className={itemClass}>
+            <FileSpreadsheet size={16} className="text-emerald-500" /> {i18n.t('export.csv')}
+          </button>
+          <button onClick={() => choose('json')} className={itemClass}>
+            <FileJson size={16} className="text-amber-500" /> {i18n.t('export.json')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,298 @@
+// ==================================================================================
+// FLOOR PLAN MAP
+// Draws the building layout and colours every room by its live hazard type.
+// Drag to pan, scroll (or the +/- buttons) to zoom, click a room to select it.
+// Evacuation routes are drawn during an emergency, or for the selected room.
+// Actuators in their emergency state are badged in the room's corner.
+// `highContrast` draws walls and labels in white (the high-contrast theme).
+// ==================================================================================
+
+import React, { useState, useRef, useEffect } from 'react';
+import { Plus, Minus, Maximize2, DoorOpen } from 'lucide-react';
+import { polygonCentroid } from '../data/floorPlan';
+import { getHazardStyle, getRoomStyle, NODE_HEALTH_STYLES, UNMONITORED_FILL } from '../styles/hazardStyles';
+import { isSilent } from '../data/nodeHealth';
+import { isActuatorActive } from '../data/actuators';
+import { ACTUATOR_TYPES } from '../config/actuators';
+
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 6;
+const DRAG_THRESHOLD_PX = 4; // Moving less than this still counts as a click
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+// --- HELPER: ZOOM AROUND A POINT ---
+// Keeps the plan point (cx, cy) fixed on screen while the scale changes
+const zoomView = (view, factor, cx, cy) => {
+  const scale = clampScale(view.scale * factor);
+  const ratio = scale / view.scale;
+  return { scale, x: cx - (cx - view.x) * ratio, y: cy - (cy - view.y) * ratio };
+};
+
+// --- HELPER: SCREEN -> PLAN COORDINATES ---
+const toPlanPoint = (svg, clientX, clientY) => {
+  const point = svg.createSVGPoint();
+  point.x = clientX;
+  point.y = clientY;
+  return point.matrixTransform(svg.getScreenCTM().inverse());
+};
+
+// --- SUB-COMPONENT: ZOOM BUTTON ---
+const ZoomButton = ({ label, onClick, darkMode, children }) => (
+  <button
+    onClick={onClick}
+    title={label}
+    aria-label={label}
+    className={`p-2 rounded-lg border ${darkMode ? 'bg-slate-900/80 border-slate-700 text-slate-300' : 'bg-white/80 border-gray-200 text-slate-600'}`}
+  >
+    {children}
+  </button>
+);
+
+const FloorPlanMap = ({ plan, rooms, routes = [], selectedRoomId, onSelectRoom, darkMode, highContrast = false, i18n }) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null); // { x, y, moved } while the pointer is down
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+
+  const roomsById = new Map(rooms.map(r => [r.id, r]));
+
+  // Show every route once something is wrong; otherwise only the selected room's
+  const hazardActive = rooms.some(r => r.type !== 'safe');
+  const visibleRoutes = routes.filter(r => hazardActive || r.roomId === selectedRoomId);
+
+  // --- EFFECT: WHEEL ZOOM ---
+  // Registered by hand because React's onWheel is passive and cannot stop page scrolling
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const { x, y } = toPlanPoint(svg, e.clientX, e.clientY);
+      setView(prev => zoomView(prev, e.deltaY < 0 ? 1.15 : 1 / 1.15, x, y));
+    };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  }, [plan]);
+
+  // --- PAN HANDLERS ---
+  const onPointerDown = (e) => {
+    dragRef.current = { x: e.clientX, y: e.clientY, moved: false };
+  };
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+    if (!drag.moved) e.currentTarget.setPointerCapture(e.pointerId);
+    drag.moved = true;
+
+    // Convert screen pixels into plan units
+    const pixelsPerUnit = svgRef.current.getScreenCTM().a;
+    setView(prev => ({ ...prev, x: prev.x + dx / pixelsPerUnit, y: prev.y + dy / pixelsPerUnit }));
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+  };
+  const onPointerUp = () => {
+    // Keep the "moved" flag until the click event has been seen
+    setTimeout(() => { dragRef.current = null; }, 0);
+  };
+
+  const selectRoom = (roomId) => {
+    if (dragRef.current?.moved) return; // It was a pan, not a click
+    onSelectRoom(roomId);
+  };
+
+  const zoomCenter = (factor) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const { x, y } = toPlanPoint(svgRef.current, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    setView(prev => zoomView(prev, factor, x, y));
+  };
+
+  const { t, term } = i18n;
+  const wallColor = highContrast ? '#ffffff' : darkMode ? '#334155' : '#cbd5e1';
+  const labelColor = highContrast ? '#ffffff' : darkMode ? '#e2e8f0' : '#1e293b';
+  const doorColor = highContrast ? '#000000' : darkMode ? '#0F1623' : '#ffffff';
+
+  return (
+    <div className="absolute inset-0">
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${plan.width} ${plan.height}`}
+        role="img"
+        aria-label={t('map.label', { name: plan.name })}
+        className="w-full h-full touch-none cursor-grab active:cursor-grabbing select-none"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerLeave={onPointerUp}
+      >
+        {/* Arrow heads for the route lines */}
+        <defs>
+          <marker id="route-arrow" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="5" markerHeight="5" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#22c55e" />
+          </marker>
+          <marker id="route-arrow-warn" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="5" markerHeight="5" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#f59e0b" />
+          </marker>
+        </defs>
+
+        <g transform={`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+
+          {/* 1. ROOMS (coloured by hazard type, or node health when a safe room goes silent) */}
+          {plan.rooms.map(zone => {
+            const room = roomsById.get(zone.id);
+            const fill = room ? getRoomStyle(room).fill : UNMONITORED_FILL;
+            const selected = zone.id === selectedRoomId;
+            const [cx, cy] = polygonCentroid(zone.polygon);
+            return (
+              <g key={zone.id} onClick={() => room && selectRoom(zone.id)} className={room ? 'cursor-pointer' : ''}>
+                <polygon
+                  points={zone.polygon.map(p => p.join(',')).join(' ')}
+                  fill={fill}
+                  fillOpacity={room ? (room.type === 'safe' && !isSilent(room) ? 0.12 : 0.35) : 0.06}
+                  stroke={selected ? '#3b82f6' : wallColor}
+                  strokeWidth={selected ? 4 : 2}
+                  vectorEffect="non-scaling-stroke"
+                />
+                <text x={cx} y={cy - 8} textAnchor="middle" fontSize="14" fontWeight="700" fill={labelColor} opacity="0.8">
+                  {room?.name || zone.name}
+                </text>
+                {room && (
+                  <text x={cx} y={cy + 10} textAnchor="middle" fontSize="11" fontFamily="monospace" fill={labelColor} opacity="0.6">
+                    {i18n.number(room.temp)}° · {i18n.number(room.smoke)}%
+                  </text>
+                )}
+              </g>
+            );
+          })}
+
+          {/* 2. DOORS (gaps in the wall) */}
+          {plan.doors.map(door => (
+            <line
+              key={door.id}
+              x1={door.points[0][0]} y1={door.points[0][1]}
+              x2={door.points[1][0]} y2={door.points[1][1]}
+              stroke={doorColor}
+              strokeWidth="5"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+
+          {/* 3. EXITS */}
+          {plan.exits.map(exit => (
+            <g key={exit.id} transform={`translate(${exit.position[0]} ${exit.position[1]})`}>
+              <rect x="-14" y="-14" width="28" height="28" rx="4" fill="#22c55e" />
+              <DoorOpen x="-9" y="-9" width="18" height="18" color="#ffffff" />
+              <title>{exit.name}</title>
+            </g>
+          ))}
+
+          {/* 4. SENSORS */}
+          {plan.sensors.map(sensor => {
+            const room = roomsById.get(sensor.roomId);
+            return (
+              <circle
+                key={sensor.id}
+                cx={sensor.position[0]} cy={sensor.position[1]} r="5"
+                fill={room ? getRoomStyle(room).fill : UNMONITORED_FILL}
+                stroke={labelColor} strokeWidth="1"
+              >
+                <title>{t('map.sensor', { id: sensor.id })}</title>
+              </circle>
+            );
+          })}
+
+          {/* 5. EVACUATION ROUTES (amber dashes = no clean route, passes a hazard) */}
+          {visibleRoutes.map(({ roomId, route }) => {
+            if (!route) {
+              const zone = plan.rooms.find(z => z.id === roomId);
+              const [cx, cy] = polygonCentroid(zone.polygon);
+              return (
+                <text key={`route-${roomId}`} x={cx} y={cy + 28} textAnchor="middle" fontSize="11" fontWeight="800" fill="#ef4444" className="pointer-events-none">
+                  {t('map.noSafeExit')}
+                </text>
+              );
+            }
+            const color = route.compromised ? '#f59e0b' : '#22c55e';
+            return (
+              <g key={`route-${roomId}`} className="pointer-events-none">
+                <polyline
+                  points={route.path.map(p => p.join(',')).join(' ')}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth="3"
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeDasharray={route.compromised ? '8 6' : undefined}
+                  markerEnd={route.compromised ? 'url(#route-arrow-warn)' : 'url(#route-arrow)'}
+                  opacity="0.85"
+                  vectorEffect="non-scaling-stroke"
+                />
+              </g>
+            );
+          })}
+
+          {/* 6. HAZARD MARKERS (only on rooms that are actually affected) */}
+          {plan.rooms.map(zone => {
+            const room = roomsById.get(zone.id);
+            if (!room || room.type === 'safe') return null;
+            const style = getHazardStyle(room.type);
+            const [cx, cy] = polygonCentroid(zone.polygon);
+            return (
+              <g key={`marker-${zone.id}`} transform={`translate(${cx} ${cy - 40})`} className="pointer-events-none">
+                <circle r="16" fill={style.fill} opacity="0.3" className="animate-ping" style={{ transformOrigin: 'center', transformBox: 'fill-box' }} />
+                <rect x="-36" y="-11" width="72" height="22" rx="6" fill={style.fill} />
+                <text textAnchor="middle" y="4" fontSize="11" fontWeight="800" fill="#ffffff">⚠ {term(style.label)}</text>
+              </g>
+            );
+          })}
+
+          {/* 7. SILENT NODES (stale or offline: the readings shown are old) */}
+          {plan.rooms.map(zone => {
+            const room = roomsById.get(zone.id);
+            if (!room || !isSilent(room)) return null;
+            const style = NODE_HEALTH_STYLES[room.health];
+            const [cx, cy] = polygonCentroid(zone.polygon);
+            return (
+              <g key={`health-${zone.id}`} transform={`translate(${cx} ${cy + 46})`} className="pointer-events-none">
+                <rect x="-40" y="-10" width="80" height="20" rx="6" fill={style.fill} />
+                <text textAnchor="middle" y="4" fontSize="10" fontWeight="800" fill="#ffffff">📵 {term(style.label)}</text>
+              </g>
+            );
+          })}
+
+          {/* 8. ACTIVE ACTUATORS (top-left corner: sprinkler open, sounder on, doors released, HVAC off) */}
+          {plan.rooms.map(zone => {
+            const room = roomsById.get(zone.id);
+            const active = Object.keys(ACTUATOR_TYPES).filter(type => isActuatorActive(type, room?.actuators?.[type]));
+            if (!active.length) return null;
+            const left = Math.min(...zone.polygon.map(p => p[0]));
+            const top = Math.min(...zone.polygon.map(p => p[1]));
+            return (
+              <g key={`actuators-${zone.id}`} transform={`translate(${left + 6} ${top + 6})`} className="pointer-events-none">
+                <rect width={active.length * 20 + 6} height="22" rx="6" fill="#0ea5e9" opacity="0.85" />
+                <text x="4" y="16" fontSize="13">{active.map(type => ACTUATOR_TYPES[type].icon).join(' ')}</text>
+                <title>{active.map(type => `${term(ACTUATOR_TYPES[type].label)}: ${term(room.actuators[type])}`).join(', ')}</title>
+              </g>
+            );
+          })}
+        </g>
+      </svg>
+
+      {/* ZOOM CONTROLS */}
+      <div className="absolute bottom-4 right-4 flex flex-col gap-1">
+        <ZoomButton label={t('map.zoomIn')} onClick={() => zoomCenter(1.25)} darkMode={darkMode}><Plus size={16} /></ZoomButton>
+        <ZoomButton label={t('map.zoomOut')} onClick={() => zoomCenter(0.8)} darkMode={darkMode}><Minus size={16} /></ZoomButton>
+        <ZoomButton label={t('map.resetView')} onClick={() => setView({ x: 0, y: 0, scale: 1 })} darkMode={darkMode}><Maximize2 size={16} /></ZoomButton>
+      </div>
+
+      {/* PLAN NAME */}
+      <div className="absolute top-4 left-4 text-xs font-bold tracking-widest text-slate-500 uppercase pointer-events-none">
+        {plan.name}
+      </div>
+    </div>
+  );
+};
+
+export default FloorPlanMap;
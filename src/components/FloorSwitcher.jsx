@@ -0,0 +1,32 @@
+// ==================================================================================
+// FLOOR SWITCHER
+// Buttons over the map for picking the floor plan. A dot shows each floor's worst
+// status, so trouble on a floor you are not looking at is still visible.
+// ==================================================================================
+
+import React from 'react';
+import { rollup } from '../data/siteModel';
+import { getRoomStyle } from '../styles/hazardStyles';
+
+// floors: floor nodes from groupRooms() ({ key, name, ref, rooms }), plus an optional `label`
+const FloorSwitcher = ({ floors, currentKey, onSelect, darkMode, i18n }) => (
+  <div role="group" aria-label={i18n.t('map.floors')} className={`flex rounded-lg border overflow-hidden text-xs font-bold ${darkMode ? 'bg-slate-900/80 border-slate-700' : 'bg-white/80 border-gray-200'}`}>
+    {floors.map(floor => {
+      const { worst, attention } = rollup(floor.rooms);
+      const active = floor.ref.key === currentKey;
+      return (
+        <button
+          key={floor.key}
+          onClick={() => onSelect(floor.ref.key)}
+          aria-pressed={active}
+          className={`flex items-center gap-1.5 px-3 py-1.5 transition-colors ${active ? 'bg-blue-600 text-white' : 'text-slate-500 hover:bg-slate-500/20'}`}
+        >
+          {attention > 0 && <span className="w-2 h-2 rounded-full" style={{ backgroundColor: getRoomStyle(worst).fill }} />}
+          {floor.label ?? floor.name}
+        </button>
+      );
+    })}
+  </div>
+);
+
+export default FloorSwitcher;
@@ -0,0 +1,150 @@
+// ==================================================================================
+// INCIDENT PANEL
+// Lists every incident with its own timer and lets the operator acknowledge,
+// escalate and resolve it. Resolved incidents stay listed with their history.
+// `user` is the name recorded on each action; without one (viewers) the list is read-only.
+// ==================================================================================
+
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle2, ChevronDown, ChevronRight, Siren, UserCheck } from 'lucide-react';
+import { isOpen, isHazardPresent, incidentDuration, describeDetail } from '../data/incidents';
+import { getHazardStyle } from '../styles/hazardStyles';
+import { SHORTCUTS } from '../config/accessibility';
+
+const STATUS_BADGES = {
+  active: 'bg-red-500/15 text-red-500 border-red-500/30',
+  acknowledged: 'bg-amber-500/15 text-amber-500 border-amber-500/30',
+  resolved: 'bg-emerald-500/15 text-emerald-500 border-emerald-500/30',
+};
+
+// --- SUB-COMPONENT: ONE INCIDENT ROW ---
+const IncidentRow = ({ incident, now, user, incidentStore, textMain, textSub, i18n }) => {
+  const { t, term } = i18n;
+  const [expanded, setExpanded] = useState(false);
+  const open = isOpen(incident);
+  const hazard = isHazardPresent(incident);
+  const style = getHazardStyle(incident.peakType);
+
+  return (
+    <div className="border-b border-gray-500/10 pb-3 last:border-0">
+      <div className="flex flex-wrap items-center gap-3">
+        <button onClick={() => setExpanded(!expanded)} className="text-slate-500" title={t('incidents.history')} aria-label={t('incidents.historyOf', { id: incident.id })} aria-expanded={expanded}>
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </button>
+        <span className="font-mono text-xs text-blue-500">{incident.id}</span>
+        <span className={`font-bold ${textMain}`}>{incident.roomName}</span>
+        {incident.location && <span className={`text-xs ${textSub}`}>{incident.location.label}</span>}
+        <span className={`text-xs font-mono font-bold ${style.text}`}>{term(style.label)}</span>
+        <span className={`text-[10px] uppercase font-bold px-2 py-0.5 rounded border ${STATUS_BADGES[incident.status]}`}>
+          {term(incident.status)}
+          {incident.escalationLevel > 0 && ` · L${incident.escalationLevel + 1}`}
+        </span>
+        {incident.replay && <span className="text-[10px] uppercase font-bold px-2 py-0.5 rounded border border-purple-500/40 text-purple-400">{t('incidents.replay')}</span>}
+        {open && !hazard && <span className="text-[10px] uppercase font-bold text-slate-500">{t(incident.lostAt ? 'incidents.lost' : 'incidents.cleared')}</span>}
+
+        <span className={`ml-auto font-mono text-lg ${textMain}`}>
+          {i18n.duration(Math.floor(incidentDuration(incident, now) / 1000))}
+        </span>
+
+        {/* Lifecycle actions */}
+        {open && user && (
+          <div className="flex gap-2">
+            {!incident.acknowledgedAt && (
+              <button
+                onClick={() => incidentStore.acknowledge(incident.id, user)}
+                title={`${t('incidents.acknowledge')} (${SHORTCUTS.acknowledge.toUpperCase()})`}
+                className="flex items-center gap-1 px-3 py-1 rounded-lg text-xs font-bold bg-amber-500 hover:bg-amber-400 text-white"
+              >
+                <UserCheck size={14} /> {t('incidents.ack')}
+              </button>
+            )}
+            <button
+              onClick={() => incidentStore.escalate(incident.id, user, 'Escalated by operator')}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg text-xs font-bold bg-red-600 hover:bg-red-500 text-white"
+            >
+              <Siren size={14} /> {t('incidents.escalate')}
+            </button>
+            <button
+              onClick={() => incidentStore.resolve(incident.id, user)}
+              disabled={hazard}
+              title={hazard ? t('incidents.stillHazard') : t('incidents.close')}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg text-xs font-bold bg-emerald-600 hover:bg-emerald-500 text-white disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <CheckCircle2 size={14} /> {t('incidents.resolve')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Who did what */}
+      <div className={`text-[11px] mt-1 ml-7 ${textSub}`}>
+        {t('incidents.started', { time: i18n.time(incident.startedAt) })}
+        {incident.acknowledgedAt && ` · ${t('incidents.ackedBy', { time: i18n.time(incident.acknowledgedAt), user: incident.acknowledgedBy })}`}
+        {incident.resolvedAt && ` · ${incident.resolvedBy
+          ? t('incidents.resolvedBy', { time: i18n.time(incident.resolvedAt), user: incident.resolvedBy })
+          : t('incidents.replayEnded', { time: i18n.time(incident.resolvedAt) })}`}
+      </div>
+
+      {expanded && (
+        <ul className="mt-2 ml-7 space-y-1">
+          {incident.history.map((entry, i) => (
+            <li key={i} className="text-xs font-mono">
+              <span className="text-blue-500 mr-2">[{i18n.time(entry.ts)}]</span>
+              <span className={textMain}>{term(entry.action).toUpperCase()}</span>
+              {entry.detail && <span className={textSub}> - {describeDetail(entry.detail, i18n)}</span>}
+              {entry.user && <span className={textSub}> ({entry.user})</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const IncidentPanel = ({ incidents, incidentStore, user, now, cardStyle, textMain, textSub, i18n }) => {
+  const { t } = i18n;
+  const [showResolved, setShowResolved] = useState(false);
+
+  const openIncidents = incidents.filter(isOpen);
+  const resolved = incidents.filter(i => !isOpen(i)).reverse(); // Newest first
+
+  return (
+    <div className={`${cardStyle} rounded-2xl p-6`}>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h3 className={`text-sm font-bold uppercase tracking-widest ${textSub} flex items-center gap-2`}>
+          <AlertTriangle size={16} /> {t('incidents.title')}
+          <span className="text-xs font-mono normal-case tracking-normal">({t('incidents.open', { count: openIncidents.length })})</span>
+        </h3>
+        <span className={`text-xs ${textSub}`}>
+          {user ? <>{t('incidents.actingAs')} <span className="font-mono">{user}</span></> : t('incidents.viewOnly')}
+        </span>
+      </div>
+
+      <div className="space-y-3">
+        {openIncidents.map(incident => (
+          <IncidentRow key={incident.id} {...{ incident, now, user, incidentStore, textMain, textSub, i18n }} />
+        ))}
+        {openIncidents.length === 0 && (
+          <p className="text-xs text-slate-500">{t('incidents.none')}</p>
+        )}
+      </div>
+
+      {resolved.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-gray-500/10">
+          <button onClick={() => setShowResolved(!showResolved)} className={`text-xs font-bold uppercase flex items-center gap-1 ${textSub}`}>
+            {showResolved ? <ChevronDown size={14} /> : <ChevronRight size={14} />} {t('incidents.resolved', { count: resolved.length })}
+          </button>
+          {showResolved && (
+            <div className="space-y-3 mt-3">
+              {resolved.map(incident => (
+                <IncidentRow key={incident.id} {...{ incident, now, user, incidentStore, textMain, textSub, i18n }} />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IncidentPanel;
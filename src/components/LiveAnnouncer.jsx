@@ -0,0 +1,24 @@
+// ==================================================================================
+// LIVE ANNOUNCER
+// Invisible ARIA live regions: screen readers read out what the announcer
+// (src/alerts/announcer.js) puts in them, e.g. a fire being detected.
+// ==================================================================================
+
+import React, { useSyncExternalStore } from 'react';
+
+const LiveAnnouncer = ({ announcer }) => {
+  const { polite, assertive } = useSyncExternalStore(announcer.subscribe, announcer.getSnapshot);
+
+  return (
+    <div className="sr-only">
+      <div role="status" aria-live="polite">
+        {polite.map(message => <p key={message.id}>{message.text}</p>)}
+      </div>
+      <div role="alert" aria-live="assertive">
+        {assertive.map(message => <p key={message.id}>{message.text}</p>)}
+      </div>
+    </div>
+  );
+};
+
+export default LiveAnnouncer;
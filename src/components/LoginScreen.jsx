@@ -0,0 +1,89 @@
+// ==================================================================================
+// LOGIN SCREEN
+// Shown instead of the dashboard until someone signs in. In development builds
+// with the mock provider it also lists the demo accounts.
+// ==================================================================================
+
+import React, { useState } from 'react';
+import { LogIn, ShieldCheck } from 'lucide-react';
+import { MOCK_USERS } from '../auth/providers/mockAuthProvider';
+import { ROLE_DESCRIPTIONS } from '../config/auth';
+import { DEV_TOOLS } from '../config/build';
+
+const LoginScreen = ({ auth, providerKind, onLogin, i18n }) => {
+  const { t, term } = i18n;
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const busy = auth.status === 'signing-in';
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!busy && username.trim()) onLogin({ username, password });
+  };
+
+  const inputClass = 'w-full px-3 py-2 rounded-lg bg-slate-800 border border-slate-700 text-white focus:outline-none focus:border-blue-500';
+
+  return (
+    <div className="min-h-screen bg-[#0B1120] flex items-center justify-center p-4 font-sans">
+      <form onSubmit={submit} className="w-full max-w-sm p-8 rounded-2xl bg-slate-900/60 backdrop-blur-md border border-slate-700/50 shadow-xl">
+        <h1 className="text-3xl font-extrabold tracking-tight text-white flex items-center gap-3 mb-1">
+          <ShieldCheck className="text-blue-500" /> SAFE
+        </h1>
+        <p className="text-slate-400 text-sm mb-6">{t('login.intro')}</p>
+
+        <label className="block text-xs font-bold uppercase tracking-widest text-slate-400 mb-1" htmlFor="login-username">{t('login.username')}</label>
+        <input
+          id="login-username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          autoFocus
+          className={`${inputClass} mb-4`}
+        />
+
+        <label className="block text-xs font-bold uppercase tracking-widest text-slate-400 mb-1" htmlFor="login-password">{t('login.password')}</label>
+        <input
+          id="login-password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          className={`${inputClass} mb-4`}
+        />
+
+        {auth.error && <p role="alert" className="text-red-400 text-sm mb-4">{term(auth.error)}</p>}
+
+        <button
+          type="submit"
+          disabled={busy || !username.trim()}
+          className="w-full flex items-center justify-center gap-2 px-4 py-2.5 rounded-lg font-bold bg-blue-600 text-white hover:bg-blue-500 disabled:opacity-40"
+        >
+          <LogIn size={18} /> {busy ? t('login.signingIn') : t('login.signIn')}
+        </button>
+
+        {/* Demo accounts (development builds with the mock provider only) */}
+        {DEV_TOOLS && providerKind === 'mock' && (
+          <div className="mt-6 pt-4 border-t border-slate-700/50 text-xs text-slate-400">
+            <p className="font-bold uppercase tracking-widest mb-2">{t('login.demo')}</p>
+            <ul className="space-y-1">
+              {MOCK_USERS.map(user => (
+                <li key={user.username}>
+                  <button
+                    type="button"
+                    onClick={() => { setUsername(user.username); setPassword(user.password); }}
+                    className="font-mono text-blue-400 hover:underline mr-2"
+                  >
+                    {user.username}
+                  </button>
+                  {term(ROLE_DESCRIPTIONS[user.role])}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
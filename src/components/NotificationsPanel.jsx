@@ -0,0 +1,270 @@
+// ==================================================================================
+// NOTIFICATIONS PANEL
+// Admin screen for outbound alerts: webhook channels (with a test send), the
+// rules that pick which log entries go to which channel, and the most recent
+// deliveries with their result. Changes go through the on* props so they are
+// written to System Logs.
+// ==================================================================================
+
+import React, { useState, useSyncExternalStore } from 'react';
+import { motion } from 'framer-motion';
+import { X, Save, Trash2, Send, Plus } from 'lucide-react';
+import { WEBHOOK_TEMPLATES } from '../config/notifications';
+import { LOG_SEVERITIES } from '../config/eventLog';
+import { isValidWebhookUrl } from '../data/notificationRules';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+const VISIBLE_DELIVERIES = 15;
+
+const STATUS_STYLES = {
+  sending: 'text-amber-500',
+  retrying: 'text-amber-500',
+  delivered: 'text-emerald-500',
+  failed: 'text-red-500',
+};
+
+const NEW_CHANNEL = { name: '', url: '', template: 'slack', enabled: true };
+const NEW_RULE = { name: '', minSeverity: 'critical', rooms: [], channels: [], enabled: true };
+
+const inputClass = (textMain, valid = true) =>
+  `px-2 py-1 rounded bg-slate-500/10 border text-xs ${textMain} ${valid ? 'border-gray-500/20' : 'border-red-500'}`;
+
+// --- HELPER: SAME SETTINGS? (arrays compared by content) ---
+const sameAs = (draft, saved) => Object.keys(draft).every(key => JSON.stringify(draft[key]) === JSON.stringify(saved[key]));
+
+// --- HELPER: ADD OR REMOVE ONE ID ---
+const toggle = (list, id) => (list.includes(id) ? list.filter(x => x !== id) : [...list, id]);
+
+// --- SUB-COMPONENT: TOGGLE CHIP (rooms and channels of a rule) ---
+const Chip = ({ active, onClick, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    aria-pressed={active}
+    className={`px-2 py-0.5 rounded-full text-[10px] font-bold border transition-colors ${active ? 'bg-blue-600 border-blue-500 text-white' : 'border-gray-500/30 text-slate-500 hover:bg-slate-500/10'}`}
+  >
+    {children}
+  </button>
+);
+
+// --- SUB-COMPONENT: ONE CHANNEL (channel = null for the "new channel" row) ---
+const ChannelRow = ({ channel, onSave, onRemove, onTest, textMain, i18n }) => {
+  const { t } = i18n;
+  const saved = channel ?? NEW_CHANNEL;
+  const [draft, setDraft] = useState(() => ({ name: saved.name, url: saved.url, template: saved.template, enabled: saved.enabled }));
+  const urlValid = isValidWebhookUrl(draft.url);
+  const valid = draft.name.trim() !== '' && urlValid;
+  const set = (changes) => setDraft({ ...draft, ...changes });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 p-3 rounded-lg bg-slate-500/5 border border-gray-500/10">
+      <input type="checkbox" checked={draft.enabled} onChange={(e) => set({ enabled: e.target.checked })} aria-label={t('notifications.channelEnabled')} />
+      <input
+        value={draft.name}
+        onChange={(e) => set({ name: e.target.value })}
+        placeholder={t('notifications.channelPlaceholder')}
+        aria-label={t('notifications.channelName')}
+        className={`w-36 ${inputClass(textMain, draft.name.trim() !== '' || !channel)}`}
+      />
+      <input
+        value={draft.url}
+        onChange={(e) => set({ url: e.target.value })}
+        placeholder="https://..."
+        aria-label={t('notifications.url')}
+        className={`flex-1 min-w-[12rem] font-mono ${inputClass(textMain, urlValid || draft.url === '')}`}
+      />
+      <select value={draft.template} onChange={(e) => set({ template: e.target.value })} aria-label={t('notifications.format')} className={inputClass(textMain)}>
+        {Object.entries(WEBHOOK_TEMPLATES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+      <div className="flex gap-1">
+        <button
+          onClick={() => onTest({ ...channel, ...draft, id: channel?.id ?? 'draft' })}
+          disabled={!urlValid}
+          className="p-1.5 rounded bg-slate-500/20 text-sky-500 hover:bg-slate-500/30 disabled:opacity-30"
+          title={t('notifications.test')}
+          aria-label={t('notifications.test')}
+        >
+          <Send size={14} />
+        </button>
+        <button
+          onClick={() => onSave(channel ? { ...channel, ...draft } : draft)}
+          disabled={!valid || (channel && sameAs(draft, channel))}
+          className="p-1.5 rounded bg-blue-600 text-white disabled:opacity-30"
+          title={channel ? t('notifications.saveChannel') : t('notifications.addChannel')}
+          aria-label={channel ? t('notifications.saveChannel') : t('notifications.addChannel')}
+        >
+          {channel ? <Save size={14} /> : <Plus size={14} />}
+        </button>
+        {channel && (
+          <button onClick={() => onRemove(channel)} className="p-1.5 rounded bg-slate-500/20 text-red-500 hover:bg-slate-500/30" title={t('notifications.deleteChannel')} aria-label={t('notifications.deleteChannel')}>
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- SUB-COMPONENT: ONE RULE (rule = null for the "new rule" row) ---
+const RuleRow = ({ rule, channels, rooms, onSave, onRemove, textMain, textSub, i18n }) => {
+  const { t, term } = i18n;
+  const saved = rule ?? NEW_RULE;
+  const [draft, setDraft] = useState(() => ({
+    name: saved.name, minSeverity: saved.minSeverity, rooms: saved.rooms, channels: saved.channels, enabled: saved.enabled,
+  }));
+  const valid = draft.name.trim() !== '' && draft.channels.length > 0;
+  const set = (changes) => setDraft({ ...draft, ...changes });
+
+  // Rooms the rule names but that are not reporting right now stay selectable
+  const roomOptions = [
+    ...rooms.map(room => ({ id: String(room.id), name: room.name })),
+    ...draft.rooms.filter(id => !rooms.some(room => String(room.id) === id)).map(id => ({ id, name: t('log.room', { id }) })),
+  ];
+
+  return (
+    <div className="p-3 rounded-lg bg-slate-500/5 border border-gray-500/10 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <input type="checkbox" checked={draft.enabled} onChange={(e) => set({ enabled: e.target.checked })} aria-label={t('notifications.ruleEnabled')} />
+        <input
+          value={draft.name}
+          onChange={(e) => set({ name: e.target.value })}
+          placeholder={t('notifications.rulePlaceholder')}
+          aria-label={t('notifications.ruleName')}
+          className={`flex-1 min-w-[10rem] ${inputClass(textMain, draft.name.trim() !== '' || !rule)}`}
+        />
+        <label className={`text-xs flex items-center gap-2 ${textSub}`}>
+          {t('notifications.severity')}
+          <select value={draft.minSeverity} onChange={(e) => set({ minSeverity: e.target.value })} className={inputClass(textMain)}>
+            {LOG_SEVERITIES.map(severity => <option key={severity} value={severity}>{t('notifications.andAbove', { severity: term(severity) })}</option>)}
+          </select>
+        </label>
+        <div className="flex gap-1">
+          <button
+            onClick={() => onSave(rule ? { ...rule, ...draft } : draft)}
+            disabled={!valid || (rule && sameAs(draft, rule))}
+            className="p-1.5 rounded bg-blue-600 text-white disabled:opacity-30"
+            title={rule ? t('notifications.saveRule') : t('notifications.addRule')}
+            aria-label={rule ? t('notifications.saveRule') : t('notifications.addRule')}
+          >
+            {rule ? <Save size={14} /> : <Plus size={14} />}
+          </button>
+          {rule && (
+            <button onClick={() => onRemove(rule)} className="p-1.5 rounded bg-slate-500/20 text-red-500 hover:bg-slate-500/30" title={t('notifications.deleteRule')} aria-label={t('notifications.deleteRule')}>
+              <Trash2 size={14} />
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-1">
+        <span className={`text-[10px] uppercase tracking-widest mr-1 ${textSub}`}>{t('notifications.rooms')}</span>
+        <Chip active={draft.rooms.length === 0} onClick={() => set({ rooms: [] })}>{t('notifications.all')}</Chip>
+        {roomOptions.map(room => (
+          <Chip key={room.id} active={draft.rooms.includes(room.id)} onClick={() => set({ rooms: toggle(draft.rooms, room.id) })}>{room.name}</Chip>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-1">
+        <span className={`text-[10px] uppercase tracking-widest mr-1 ${textSub}`}>{t('notifications.sendTo')}</span>
+        {channels.map(channel => (
+          <Chip key={channel.id} active={draft.channels.includes(channel.id)} onClick={() => set({ channels: toggle(draft.channels, channel.id) })}>{channel.name}</Chip>
+        ))}
+        {channels.length === 0 && <span className={`text-[10px] ${textSub}`}>{t('notifications.addChannelFirst')}</span>}
+      </div>
+    </div>
+  );
+};
+
+const NotificationsPanel = ({
+  notificationStore, dispatcher, rooms,
+  onSaveChannel, onRemoveChannel, onSaveRule, onRemoveRule, onTest, onClose,
+  cardStyle, textMain, textSub, i18n,
+}) => {
+  const dialogRef = useFocusTrap();
+  const { t, term } = i18n;
+  const { channels, rules } = useSyncExternalStore(notificationStore.subscribe, notificationStore.getSnapshot);
+  const deliveries = useSyncExternalStore(dispatcher.subscribe, dispatcher.getSnapshot);
+  // Bumped after an add so the "new" rows start empty again
+  const [newKeys, setNewKeys] = useState({ channel: 0, rule: 0 });
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95 }} animate={{ scale: 1 }} exit={{ scale: 0.95 }}
+        className={`w-full max-w-4xl max-h-[85vh] overflow-y-auto rounded-2xl p-6 ${cardStyle}`}
+        onClick={(e) => e.stopPropagation()} // Clicks inside the panel should not close it
+        role="dialog"
+        aria-modal="true"
+        ref={dialogRef}
+        tabIndex={-1}
+        aria-label={t('notifications.title')}
+      >
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className={`font-bold text-xl ${textMain}`}>{t('notifications.title')}</h3>
+            <p className={`text-xs ${textSub}`}>
+              {t('notifications.intro')}
+            </p>
+          </div>
+          <button onClick={onClose} aria-label={t('common.close')} className="p-1 rounded-lg text-slate-500 hover:bg-slate-500/20" autoFocus>
+            <X size={18} />
+          </button>
+        </div>
+
+        {/* 1. CHANNELS */}
+        <h4 className={`text-xs font-bold uppercase tracking-widest mb-2 ${textSub}`}>{t('notifications.channels')}</h4>
+        <div className="space-y-2">
+          {channels.map(channel => (
+            <ChannelRow key={channel.id} channel={channel} onSave={onSaveChannel} onRemove={onRemoveChannel} onTest={onTest} textMain={textMain} i18n={i18n} />
+          ))}
+          <ChannelRow
+            key={`new-${newKeys.channel}`}
+            channel={null}
+            onSave={(channel) => { onSaveChannel(channel); setNewKeys({ ...newKeys, channel: newKeys.channel + 1 }); }}
+            onTest={onTest}
+            textMain={textMain}
+            i18n={i18n}
+          />
+        </div>
+
+        {/* 2. RULES */}
+        <h4 className={`text-xs font-bold uppercase tracking-widest mt-6 mb-2 ${textSub}`}>{t('notifications.rules')}</h4>
+        <div className="space-y-2">
+          {rules.map(rule => (
+            // Re-created when a deleted channel is taken out of the rule, so the draft follows
+            <RuleRow key={`${rule.id}:${rule.channels.join(',')}`} rule={rule} channels={channels} rooms={rooms} onSave={onSaveRule} onRemove={onRemoveRule} textMain={textMain} textSub={textSub} i18n={i18n} />
+          ))}
+          <RuleRow
+            key={`new-${newKeys.rule}`}
+            rule={null}
+            channels={channels}
+            rooms={rooms}
+            onSave={(rule) => { onSaveRule(rule); setNewKeys({ ...newKeys, rule: newKeys.rule + 1 }); }}
+            textMain={textMain}
+            textSub={textSub}
+            i18n={i18n}
+          />
+        </div>
+
+        {/* 3. RECENT DELIVERIES */}
+        <h4 className={`text-xs font-bold uppercase tracking-widest mt-6 mb-2 ${textSub}`}>{t('notifications.recent')}</h4>
+        <ul className="space-y-1">
+          {deliveries.slice(0, VISIBLE_DELIVERIES).map(delivery => (
+            <li key={delivery.id} className="text-xs font-mono">
+              <span className="text-blue-500 mr-2">[{i18n.time(delivery.sentAt)}]</span>
+              <span className={textMain}>{delivery.channelName}{delivery.test ? ` (${t('notifications.testTag')})` : ''}: {delivery.summary}</span>
+              <span className={`ml-2 font-bold uppercase ${STATUS_STYLES[delivery.status]}`}>{term(delivery.status)}</span>
+              {delivery.attempt > 1 && <span className={textSub}> ({t('notifications.attempt', { attempt: delivery.attempt })})</span>}
+              {delivery.error && delivery.status !== 'delivered' && <span className="text-red-400"> - {delivery.error}</span>}
+            </li>
+          ))}
+        </ul>
+        {deliveries.length === 0 && <p className={`text-xs ${textSub}`}>{t('notifications.none')}</p>}
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default NotificationsPanel;
@@ -0,0 +1,70 @@
+// ==================================================================================
+// PLAYBACK CONTROLS
+// Transport buttons, speed and progress for a useScenarioPlayer, shared by the
+// scenario player (ScenarioPanel.jsx) and the replay panel (ReplayPanel.jsx).
+// Extra buttons (children) go after Restart.
+// ==================================================================================
+
+import React from 'react';
+import { Play, Pause, StepForward, RotateCcw } from 'lucide-react';
+
+const SPEEDS = [0.5, 1, 2, 5, 10, 30, 60];
+
+// --- HELPER: 75 -> "1:15" ---
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+// --- SUB-COMPONENT: ICON BUTTON ---
+export const PlaybackButton = ({ label, onClick, disabled, className, children }) => (
+  <button onClick={onClick} disabled={disabled} className={className} title={label} aria-label={label}>
+    {children}
+  </button>
+);
+
+// buttonClass / selectClass / trackClass / textSub: the panel's look.
+// originalTime: also show the wall-clock time of a recording (scenario.startedAt)
+const PlaybackControls = ({ player, buttonClass, selectClass, trackClass, textSub, originalTime = false, i18n, children }) => {
+  const { t } = i18n;
+  const { scenario, time, playing, speed, setSpeed, load, play, pause, step } = player;
+
+  return (
+    <>
+      {/* Transport controls */}
+      <div className="flex items-center gap-2">
+        {playing ? (
+          <PlaybackButton label={t('playback.pause')} onClick={pause} className={buttonClass}><Pause size={16} /></PlaybackButton>
+        ) : (
+          <PlaybackButton label={t('playback.play')} onClick={play} disabled={!scenario} className={buttonClass}><Play size={16} /></PlaybackButton>
+        )}
+        <PlaybackButton label={t('playback.step')} onClick={step} disabled={!scenario || playing} className={buttonClass}><StepForward size={16} /></PlaybackButton>
+        <PlaybackButton label={t('playback.restart')} onClick={() => load(scenario)} disabled={!scenario} className={buttonClass}><RotateCcw size={16} /></PlaybackButton>
+        {children}
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          className={selectClass}
+          aria-label={t('playback.speed')}
+          title={t('playback.speed')}
+        >
+          {SPEEDS.map(s => <option key={s} value={s} className="text-black">{i18n.number(s)}x</option>)}
+        </select>
+      </div>
+
+      {/* Progress */}
+      {scenario && (
+        <div className="flex-1 flex items-center gap-3">
+          <div className={`flex-1 h-1.5 rounded-full overflow-hidden ${trackClass}`}>
+            <div className="h-full bg-purple-500 transition-all" style={{ width: `${scenario.duration ? (time / scenario.duration) * 100 : 100}%` }} />
+          </div>
+          <span className={`text-xs font-mono ${textSub}`}>{formatClock(time)} / {formatClock(scenario.duration)}</span>
+          {originalTime && scenario.startedAt !== null && (
+            <span className="text-xs font-mono text-purple-400" title={t('playback.originalTime')}>
+              {i18n.time(scenario.startedAt + time * 1000)}
+            </span>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default PlaybackControls;
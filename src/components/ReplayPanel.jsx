@@ -0,0 +1,102 @@
+// ==================================================================================
+// REPLAY PANEL
+// Plays back a session export (CSV/JSON) for audits and training. Readings go
+// through the replay channel (useSensorFeed), so the cards, map and incidents
+// react as they did, but nothing is reported outside the dashboard. Live data
+// for the replayed rooms waits until the replay is ended. Stays mounted while
+// collapsed so a running replay keeps playing.
+// ==================================================================================
+
+import React, { useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { History, Upload, Square } from 'lucide-react';
+import { useScenarioPlayer } from '../hooks/useScenarioPlayer';
+import { readSessionFile } from '../data/sessionData';
+import { describeFileError } from '../data/scenarioEngine';
+import PlaybackControls, { PlaybackButton } from './PlaybackControls';
+
+// channel: the replay channel of useSensorFeed; onEvent replays a recorded log event;
+// onLog(message, meta) writes to System Logs
+const ReplayPanel = ({ open, channel, onEvent, onLog, cardStyle, textMain, textSub, i18n }) => {
+  const { t } = i18n;
+  const player = useScenarioPlayer(channel, onEvent);
+  const { scenario, load } = player;
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  // --- FUNCTION: LOAD SESSION EXPORT FROM DISK ---
+  const loadFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+    try {
+      const next = { id: `file:${file.name}`, ...readSessionFile(await file.text(), file.name) };
+      setError(null);
+      load(next);
+      onLog(t('logs.replayLoaded', { file: file.name }), { category: 'replay' });
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  // --- FUNCTION: END REPLAY ---
+  // The replayed rooms go back to live data and their replay incidents close
+  const end = () => {
+    load(null);
+    onLog(t('logs.replayEnded', { file: scenario.name }), { category: 'replay' });
+  };
+
+  const buttonClass = `p-2 rounded-lg border border-gray-500/30 hover:bg-slate-500/20 disabled:opacity-40 disabled:cursor-not-allowed ${textMain}`;
+  const inputClass = `px-2 py-2 rounded-lg border border-gray-500/30 bg-transparent text-sm ${textMain}`;
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.section
+          initial={{ height: 0, opacity: 0 }} animate={{ height: 'auto', opacity: 1 }} exit={{ height: 0, opacity: 0 }}
+          className="overflow-hidden mb-8"
+          aria-label={t('replay.title')}
+        >
+          <div className={`p-6 rounded-2xl ${cardStyle}`}>
+            <h3 className={`font-bold text-lg flex items-center gap-2 ${textMain}`}>
+              <History className="text-purple-400" /> {t('replay.title')}
+            </h3>
+            <p className={`text-sm ${textSub}`}>{t('replay.intro')}</p>
+
+            <div className="flex flex-col md:flex-row gap-4 md:items-center mt-4">
+              <button onClick={() => fileRef.current.click()} className={`${buttonClass} flex items-center gap-2 text-sm font-bold`}>
+                <Upload size={16} /> {t('replay.load')}
+              </button>
+              <input ref={fileRef} type="file" accept=".json,.csv,application/json,text/csv" className="hidden" onChange={loadFile} />
+
+              <PlaybackControls
+                player={player}
+                buttonClass={buttonClass}
+                selectClass={inputClass}
+                trackClass="bg-slate-500/20"
+                textSub={textSub}
+                originalTime
+                i18n={i18n}
+              >
+                <PlaybackButton label={t('replay.end')} onClick={end} disabled={!scenario} className={buttonClass}><Square size={16} /></PlaybackButton>
+              </PlaybackControls>
+            </div>
+
+            {scenario && (
+              <p className={`text-xs mt-3 ${textSub}`}>
+                {scenario.name}: {t('replay.summary', {
+                  time: i18n.dateTime(scenario.startedAt),
+                  readings: i18n.number(scenario.readingCount),
+                  events: i18n.number(scenario.events.length),
+                })}
+              </p>
+            )}
+            {error && <p role="alert" className="text-red-400 text-xs mt-3">{t('playback.loadFailed', { error: describeFileError(error, i18n) })}</p>}
+          </div>
+        </motion.section>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ReplayPanel;
@@ -0,0 +1,120 @@
+// ==================================================================================
+// ROOM HISTORY MODAL
+// Opens when a room card is clicked: larger temperature and smoke charts with a
+// selectable time window.
+// ==================================================================================
+
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { X } from 'lucide-react';
+import { useRoomHistory } from '../hooks/useRoomHistory';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { summarizeSeries, toChartPoints } from '../data/historyStats';
+
+// --- TIME WINDOWS ---
+const WINDOWS = [
+  { minutes: 1, ms: 60 * 1000 },
+  { minutes: 15, ms: 15 * 60 * 1000 },
+  { hours: 1, ms: 60 * 60 * 1000 },
+];
+
+const TREND_MARKS = { rising: '▲', falling: '▼', steady: '■' };
+
+// --- SUB-COMPONENT: ONE CHART ---
+const HistoryChart = ({ samples, valueKey, title, unit, lineClass, textSub, i18n }) => {
+  const stats = summarizeSeries(samples, valueKey);
+
+  return (
+    <div>
+      <div className="flex justify-between items-end mb-2">
+        <h4 className={`text-xs font-bold uppercase tracking-widest ${textSub}`}>{title}</h4>
+        {stats && (
+          <span className="text-xs font-mono text-slate-500">
+            {TREND_MARKS[stats.trend]} {i18n.t(`room.trend.${stats.trend}`)} ({i18n.number(stats.slope, { signDisplay: 'exceptZero', minimumFractionDigits: 1, maximumFractionDigits: 1 })}{unit}/min)
+          </span>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        {/* Y axis: max at the top, min at the bottom */}
+        <div className="flex flex-col justify-between text-[10px] font-mono text-slate-500 w-10 text-right">
+          <span>{stats ? `${i18n.number(stats.max)}${unit}` : ''}</span>
+          <span>{stats ? `${i18n.number(stats.min)}${unit}` : ''}</span>
+        </div>
+
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" className={`flex-1 h-32 rounded bg-slate-500/5 ${lineClass}`}>
+          {stats && samples.length > 1 ? (
+            <polyline
+              points={toChartPoints(samples, valueKey, stats.min, stats.max)}
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+              vectorEffect="non-scaling-stroke"
+            />
+          ) : null}
+        </svg>
+      </div>
+
+      {/* X axis: first and last reading in the window */}
+      {samples.length > 1 && (
+        <div className="flex justify-between text-[10px] font-mono text-slate-500 mt-1 pl-12">
+          <span>{i18n.time(samples[0].ts)}</span>
+          <span>{i18n.time(samples[samples.length - 1].ts)}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const RoomHistoryModal = ({ room, history, onClose, cardStyle, textMain, textSub, i18n }) => {
+  const dialogRef = useFocusTrap();
+  const [windowMs, setWindowMs] = useState(WINDOWS[0].ms);
+  const samples = useRoomHistory(history, room.id, windowMs);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        role="dialog" aria-modal="true" ref={dialogRef} tabIndex={-1} aria-label={i18n.t('history.title', { room: room.name })}
+        initial={{ scale: 0.95 }} animate={{ scale: 1 }} exit={{ scale: 0.95 }}
+        className={`w-full max-w-2xl rounded-2xl p-6 ${cardStyle}`}
+        onClick={(e) => e.stopPropagation()} // Clicks inside the panel should not close it
+      >
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h3 className={`font-bold text-xl ${textMain}`}>{room.name}</h3>
+            <p className={`text-xs font-mono ${textSub}`}>{i18n.t('history.readings', { count: samples.length })}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            {WINDOWS.map(w => (
+              <button
+                key={w.ms}
+                onClick={() => setWindowMs(w.ms)}
+                aria-pressed={windowMs === w.ms}
+                className={`px-3 py-1 rounded-lg text-xs font-bold transition-all ${windowMs === w.ms
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-slate-500/10 text-slate-500 hover:bg-slate-500/20'
+                  }`}
+              >
+                {w.hours ? i18n.t('history.hours', { count: w.hours }) : i18n.t('history.minutes', { count: w.minutes })}
+              </button>
+            ))}
+            <button onClick={onClose} aria-label={i18n.t('common.close')} className="ml-2 p-1 rounded-lg text-slate-500 hover:bg-slate-500/20" autoFocus>
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          <HistoryChart samples={samples} valueKey="temp" title={i18n.t('room.temperature')} unit="°" lineClass="text-orange-500" textSub={textSub} i18n={i18n} />
+          <HistoryChart samples={samples} valueKey="smoke" title={i18n.t('room.smoke')} unit="%" lineClass="text-slate-400" textSub={textSub} i18n={i18n} />
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default RoomHistoryModal;
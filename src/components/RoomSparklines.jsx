@@ -0,0 +1,36 @@
+// ==================================================================================
+// ROOM SPARKLINES
+// The temperature and smoke mini charts at the bottom of each room card.
+// ==================================================================================
+
+import React from 'react';
+import Sparkline from './Sparkline';
+import { useRoomHistory } from '../hooks/useRoomHistory';
+import { getThresholds } from '../config/hazardThresholds';
+
+// Cards show the last 5 minutes; the detail view can show more
+const SPARKLINE_WINDOW_MS = 5 * 60 * 1000;
+
+const RoomSparklines = ({ room, history, textMain, i18n }) => {
+  const samples = useRoomHistory(history, room.id, SPARKLINE_WINDOW_MS);
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-500/10 grid grid-cols-2 gap-4">
+      <Sparkline
+        samples={samples} valueKey="temp" label={i18n.t('room.temp')} unit="°"
+        lineClass={room.type === 'fire' ? 'text-red-500' : 'text-blue-500'}
+        textMain={textMain}
+        i18n={i18n}
+      />
+      <Sparkline
+        samples={samples} valueKey="smoke" label={i18n.t('room.smoke')} unit="%"
+        lineClass="text-slate-400"
+        valueClass={room.smoke >= getThresholds(room.id).smoke ? 'text-red-500' : undefined}
+        textMain={textMain}
+        i18n={i18n}
+      />
+    </div>
+  );
+};
+
+export default RoomSparklines;
@@ -0,0 +1,80 @@
+// ==================================================================================
+// SCENARIO PANEL
+// Scenario picker and transport controls (PlaybackControls.jsx) inside the
+// Manual Override Panel.
+// The upload button takes scenario JSON files; session exports are replayed in
+// the replay panel (ReplayPanel.jsx).
+// ==================================================================================
+
+import React, { useRef, useState } from 'react';
+import { Upload } from 'lucide-react';
+import { SCENARIOS } from '../scenarios';
+import { parseScenario, describeFileError } from '../data/scenarioEngine';
+import PlaybackControls from './PlaybackControls';
+
+const ScenarioPanel = ({ player, onLog, i18n }) => {
+  const { t } = i18n;
+  const { scenario, load } = player;
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  // --- FUNCTION: PICK BUNDLED SCENARIO ---
+  const pick = (id) => {
+    const next = SCENARIOS.find(s => s.id === id) || null;
+    setError(null);
+    load(next);
+    if (next) onLog(t('logs.scenarioLoaded', { name: next.name }));
+  };
+
+  // --- FUNCTION: LOAD SCENARIO FROM DISK ---
+  const loadFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+    try {
+      const next = { id: `file:${file.name}`, ...parseScenario(JSON.parse(await file.text())) };
+      setError(null);
+      load(next);
+      onLog(t('logs.scenarioLoadedFile', { name: next.name, file: file.name }));
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const buttonClass = 'p-2 rounded-lg bg-slate-800 border border-slate-700 text-slate-200 hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div className="relative mt-6 pt-6 border-t border-purple-500/20">
+      <div className="flex flex-col md:flex-row gap-4 md:items-center">
+        {/* Scenario picker */}
+        <select
+          value={scenario?.id || ''}
+          onChange={(e) => pick(e.target.value)}
+          className="px-3 py-2 rounded-lg bg-slate-800 border border-slate-700 text-slate-200 text-sm md:w-72"
+        >
+          <option value="">{t('simulation.chooseScenario')}</option>
+          {SCENARIOS.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          {scenario?.id.startsWith('file:') && <option value={scenario.id}>{t('simulation.fromFile', { name: scenario.name })}</option>}
+        </select>
+        <button onClick={() => fileRef.current.click()} className={buttonClass} title={t('simulation.loadScenario')} aria-label={t('simulation.loadScenario')}>
+          <Upload size={16} />
+        </button>
+        <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={loadFile} />
+
+        <PlaybackControls
+          player={player}
+          buttonClass={buttonClass}
+          selectClass="px-2 py-2 rounded-lg bg-slate-800 border border-slate-700 text-slate-200 text-sm"
+          trackClass="bg-slate-800"
+          textSub="text-slate-400"
+          i18n={i18n}
+        />
+      </div>
+
+      {scenario?.description && <p className="text-slate-400 text-xs mt-3">{scenario.description}</p>}
+      {error && <p role="alert" className="text-red-400 text-xs mt-3">{t('playback.loadFailed', { error: describeFileError(error, i18n) })}</p>}
+    </div>
+  );
+};
+
+export default ScenarioPanel;
@@ -0,0 +1,79 @@
+// ==================================================================================
+// SENSOR TREE
+// The "Live Sensors" column, grouped building > floor > sector. Every group
+// header shows the worst status below it, so a collapsed group still shows trouble.
+// Groups holding the selected room always stay open.
+// ==================================================================================
+
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, Building2, Layers, LayoutGrid, FolderOpen } from 'lucide-react';
+import { rollup } from '../data/siteModel';
+import { getRoomStyle } from '../styles/hazardStyles';
+
+const KIND_ICONS = { building: Building2, floor: Layers, sector: LayoutGrid, group: FolderOpen };
+
+// --- SUB-COMPONENT: ROLLUP BADGE ---
+const RollupBadge = ({ rooms, i18n }) => {
+  const { worst, attention, total } = rollup(rooms);
+  if (!worst) return <span className="text-[10px] font-mono text-slate-500">{i18n.t('sensors.none')}</span>;
+  const style = getRoomStyle(worst);
+  return (
+    <span className={`flex items-center gap-1.5 text-[10px] font-mono font-bold ${attention ? style.text : 'text-emerald-500'}`}>
+      <span className="w-2 h-2 rounded-full" style={{ backgroundColor: style.fill }} />
+      {attention ? `${i18n.term(style.label)} · ${attention}/${total}` : `${i18n.t('sensors.allSafe')} · ${total}`}
+    </span>
+  );
+};
+
+// --- SUB-COMPONENT: ONE GROUP (recursive) ---
+const GroupNode = ({ node, depth, collapsed, toggle, selectedRoomId, renderRoom, textMain, textSub, i18n }) => {
+  const open = !collapsed.has(node.key) || node.rooms.some(room => room.id === selectedRoomId);
+  const Icon = KIND_ICONS[node.kind];
+  const Chevron = open ? ChevronDown : ChevronRight;
+
+  return (
+    <div className={depth ? 'ml-3 pl-3 border-l border-gray-500/20' : ''}>
+      <button
+        onClick={() => toggle(node.key)}
+        aria-expanded={open}
+        className="w-full flex items-center justify-between gap-2 py-1.5 text-left"
+      >
+        <span className={`flex items-center gap-2 text-xs font-bold uppercase tracking-wider ${depth ? textSub : textMain}`}>
+          <Chevron size={14} />
+          <Icon size={14} />
+          {i18n.term(node.name)}
+        </span>
+        <RollupBadge rooms={node.rooms} i18n={i18n} />
+      </button>
+      {open && (
+        <div className="space-y-3 mt-1 mb-3">
+          {node.children.map(child => (
+            <GroupNode key={child.key} {...{ node: child, depth: depth + 1, collapsed, toggle, selectedRoomId, renderRoom, textMain, textSub, i18n }} />
+          ))}
+          {node.ownRooms.map(renderRoom)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SensorTree = ({ groups, selectedRoomId, renderRoom, textMain, textSub, i18n }) => {
+  const [collapsed, setCollapsed] = useState(() => new Set()); // Group keys the operator closed
+
+  const toggle = (key) => {
+    const next = new Set(collapsed);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    setCollapsed(next);
+  };
+
+  return (
+    <div className="space-y-2">
+      {groups.map(node => (
+        <GroupNode key={node.key} {...{ node, depth: 0, collapsed, toggle, selectedRoomId, renderRoom, textMain, textSub, i18n }} />
+      ))}
+    </div>
+  );
+};
+
+export default SensorTree;
@@ -0,0 +1,60 @@
+// ==================================================================================
+// SHORTCUT HELP
+// Lists the keyboard shortcuts (press "?" or use the display menu).
+// ==================================================================================
+
+import React from 'react';
+import { motion } from 'framer-motion';
+import { X, Keyboard } from 'lucide-react';
+import { SHORTCUTS } from '../config/accessibility';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+const ShortcutHelp = ({ onClose, cardStyle, textMain, textSub, i18n }) => {
+  const dialogRef = useFocusTrap();
+  const { t } = i18n;
+  const rows = [
+    ...Object.entries(SHORTCUTS).map(([action, key]) => [key.toUpperCase(), t(`shortcuts.${action}`)]),
+    ['Esc', t('shortcuts.escape')],
+    ['Tab', t('shortcuts.tab')],
+  ];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95 }} animate={{ scale: 1 }} exit={{ scale: 0.95 }}
+        className={`w-full max-w-md rounded-2xl p-6 ${cardStyle}`}
+        onClick={(e) => e.stopPropagation()} // Clicks inside the panel should not close it
+        role="dialog"
+        aria-modal="true"
+        ref={dialogRef}
+        tabIndex={-1}
+        aria-label={t('shortcuts.title')}
+      >
+        <div className="flex justify-between items-start mb-4">
+          <h3 className={`font-bold text-xl flex items-center gap-2 ${textMain}`}>
+            <Keyboard className="text-blue-500" /> {t('shortcuts.title')}
+          </h3>
+          <button onClick={onClose} aria-label={t('common.close')} className="p-1 rounded-lg text-slate-500 hover:bg-slate-500/20" autoFocus>
+            <X size={18} />
+          </button>
+        </div>
+
+        <dl className="space-y-2">
+          {rows.map(([key, text]) => (
+            <div key={key} className="flex items-center gap-3">
+              <dt className={`min-w-10 text-center px-2 py-0.5 rounded border border-gray-500/40 font-mono text-xs font-bold ${textMain}`}>{key}</dt>
+              <dd className={`text-sm ${textSub}`}>{text}</dd>
+            </div>
+          ))}
+        </dl>
+        <p className={`text-xs mt-4 ${textSub}`}>{t('shortcuts.note')}</p>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ShortcutHelp;
@@ -0,0 +1,98 @@
+// ==================================================================================
+// SIMULATION PANEL (Manual Override Panel)
+// Dev tooling: pushes a fire / normal snapshot through the same path as live
+// data, and hosts the scenario player. Stays mounted while collapsed so a
+// running scenario keeps playing. Left out of production builds (DEV_TOOLS).
+// Recorded sessions are replayed in the replay panel (ReplayPanel.jsx).
+// ==================================================================================
+
+import React, { useState, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Flame, ShieldCheck, Zap } from 'lucide-react';
+import { MOCK_ROOMS } from '../data/sources/mockSource';
+import { useScenarioPlayer } from '../hooks/useScenarioPlayer';
+import ScenarioPanel from './ScenarioPanel';
+
+// --- SIMULATION SNAPSHOTS ---
+// Raw readings only: the hazard classifier decides which rooms are on fire.
+const NORMAL_SCENARIO = MOCK_ROOMS;
+const FIRE_SCENARIO = [
+  { id: 1, name: 'Room 1', temp: 28, smoke: 75 },
+  { id: 2, name: 'Room 2', temp: 85, smoke: 90 }, // The danger room
+  { id: 3, name: 'Room 3', temp: 45, smoke: 15 },
+  { id: 4, name: 'Room 4', temp: 26, smoke: 5 },
+  { id: 5, name: 'Room 5', temp: 31, smoke: 20 }, // Smoke rising through the stairwell
+  { id: 6, name: 'Room 6', temp: 25, smoke: 8 },
+];
+
+// inject(message) applies a snapshot at once; channel plays scenarios (useSensorFeed
+// playback); onLog(message, meta) writes to System Logs
+const SimulationPanel = ({ open, inject, channel, onLog, i18n }) => {
+  const { t } = i18n;
+  const [simulatedFire, setSimulatedFire] = useState(false); // True = the fire snapshot is applied
+
+  // --- SCENARIO PLAYER ---
+  // Timed QA scenarios, fed through the same path as live data
+  const logScenarioEvent = useCallback((event) => (
+    onLog(t('logs.scenarioEvent', { message: event.message }), { severity: event.severity, category: 'simulation', roomId: event.roomId })
+  ), [onLog, t]);
+  const scenarioPlayer = useScenarioPlayer(channel, logScenarioEvent);
+  const logSimulation = (message) => onLog(message, { category: 'simulation' });
+
+  // --- FUNCTION: TOGGLE SIMULATION ---
+  // This simulates what happens when the Hardware sends a "FIRE" signal.
+  // Incidents are opened by the readings themselves, not by this button.
+  const toggleEmergency = () => {
+    const newMode = !simulatedFire;
+    setSimulatedFire(newMode);
+    scenarioPlayer.pause(); // The snapshot below would fight a running scenario
+
+    if (newMode) {
+      // SCENARIO: FIRE DETECTED
+      onLog(t('logs.simulationFire'), { severity: 'warning', category: 'simulation' });
+      inject({ type: 'snapshot', rooms: FIRE_SCENARIO });
+    } else {
+      // SCENARIO: SYSTEM RESET
+      onLog(t('logs.simulationNormal'), { category: 'simulation' });
+      inject({ type: 'snapshot', rooms: NORMAL_SCENARIO });
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ height: 0, opacity: 0 }} animate={{ height: 'auto', opacity: 1 }} exit={{ height: 0, opacity: 0 }}
+          className="overflow-hidden mb-8"
+        >
+          <div className="p-6 rounded-2xl bg-slate-900 border border-purple-500/30 shadow-2xl relative overflow-hidden group">
+            <div className="absolute inset-0 bg-purple-600/5 group-hover:bg-purple-600/10 transition-colors" />
+            <div className="relative flex flex-col md:flex-row justify-between items-center gap-4">
+              <div>
+                <h3 className="text-white font-bold text-lg flex items-center gap-2">
+                  <Zap className="text-purple-400" /> {t('simulation.title')}
+                </h3>
+                <p className="text-slate-400 text-sm">{t('simulation.intro')}</p>
+              </div>
+              <button
+                onClick={toggleEmergency}
+                className={`px-8 py-3 rounded-xl font-black tracking-wider uppercase shadow-xl transition-all transform hover:scale-105 active:scale-95 flex items-center gap-3 ${simulatedFire
+                  ? 'bg-emerald-500 hover:bg-emerald-400 text-white ring-4 ring-emerald-500/20'
+                  : 'bg-red-500 hover:bg-red-400 text-white ring-4 ring-red-500/20 animate-pulse'
+                  }`}
+              >
+                {simulatedFire ? <ShieldCheck /> : <Flame />}
+                {simulatedFire ? t('simulation.restoreNormal') : t('simulation.triggerFire')}
+              </button>
+            </div>
+
+            {/* Scripted scenarios: timed, gradual changes instead of the all-or-nothing switch */}
+            <ScenarioPanel player={scenarioPlayer} onLog={logSimulation} i18n={i18n} />
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default SimulationPanel;
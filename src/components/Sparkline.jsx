@@ -0,0 +1,54 @@
+// ==================================================================================
+// SPARKLINE
+// Tiny line chart of one reading (temp or smoke) with min/max and trend arrow.
+// ==================================================================================
+
+import React from 'react';
+import { TrendingUp, TrendingDown, Minus } from 'lucide-react';
+import { summarizeSeries, toChartPoints } from '../data/historyStats';
+
+const TREND_ICONS = {
+  rising: TrendingUp,
+  falling: TrendingDown,
+  steady: Minus,
+};
+
+const Sparkline = ({ samples, valueKey, label, unit, lineClass, valueClass, textMain, i18n }) => {
+  const stats = summarizeSeries(samples, valueKey);
+  const trend = stats?.trend || 'steady';
+  const TrendIcon = TREND_ICONS[trend];
+
+  return (
+    <div>
+      <div className="flex justify-between items-center">
+        <span className="text-[10px] uppercase text-slate-500 font-bold">{label}</span>
+        <TrendIcon size={12} className={trend === 'rising' ? 'text-red-500' : trend === 'falling' ? 'text-blue-500' : 'text-slate-500'} aria-label={i18n.t(`room.trend.${trend}`)} />
+      </div>
+
+      <svg viewBox="0 0 100 100" preserveAspectRatio="none" className={`w-full h-6 mt-1 ${lineClass}`}>
+        {stats && (
+          <polyline
+            points={toChartPoints(samples, valueKey, stats.min, stats.max)}
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="2"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </svg>
+
+      <div className="flex items-baseline justify-between mt-1">
+        <span className={`text-lg font-mono leading-none ${valueClass || textMain}`}>
+          {stats ? `${i18n.number(stats.latest)}${unit}` : '--'}
+        </span>
+        {stats && (
+          <span className="text-[10px] font-mono text-slate-500">
+            {i18n.number(stats.min)}–{i18n.number(stats.max)}{unit}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Sparkline;
@@ -0,0 +1,27 @@
+// ==================================================================================
+// UPDATE PROMPT
+// Corner notice when a new version of the dashboard has been downloaded by the
+// service worker. The page is only reloaded when someone presses the button.
+// ==================================================================================
+
+import React, { useSyncExternalStore } from 'react';
+import { RefreshCw } from 'lucide-react';
+
+const UpdatePrompt = ({ serviceWorkerStore, i18n }) => {
+  const { updateReady } = useSyncExternalStore(serviceWorkerStore.subscribe, serviceWorkerStore.getSnapshot);
+  if (!updateReady) return null;
+
+  return (
+    <div role="status" className="fixed bottom-4 right-4 z-40 flex items-center gap-3 px-4 py-3 rounded-xl border border-blue-500/40 bg-slate-900/95 text-white shadow-xl">
+      <p className="text-xs">{i18n.t('update.ready')}</p>
+      <button
+        onClick={serviceWorkerStore.applyUpdate}
+        className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs font-bold bg-blue-600 hover:bg-blue-500"
+      >
+        <RefreshCw size={14} /> {i18n.t('update.reload')}
+      </button>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
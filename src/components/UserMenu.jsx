@@ -0,0 +1,34 @@
+// ==================================================================================
+// USER MENU
+// Header chip with the signed-in user, their role and the sign-out button.
+// ==================================================================================
+
+import React from 'react';
+import { LogOut, UserCircle2 } from 'lucide-react';
+import { ROLE_DESCRIPTIONS } from '../config/auth';
+
+const ROLE_BADGES = {
+  viewer: 'bg-slate-500/15 text-slate-400 border-slate-500/30',
+  operator: 'bg-blue-500/15 text-blue-500 border-blue-500/30',
+  admin: 'bg-purple-500/15 text-purple-400 border-purple-500/30',
+};
+
+const UserMenu = ({ user, onLogout, cardStyle, textMain, i18n }) => (
+  <div className={`flex items-center gap-2 pl-3 pr-1 py-1 rounded-lg ${cardStyle}`}>
+    <UserCircle2 size={20} className="text-slate-500" />
+    <div className="leading-tight">
+      <div className={`text-sm font-bold ${textMain}`}>{user.name}</div>
+      <span
+        className={`text-[10px] uppercase font-bold px-1.5 rounded border ${ROLE_BADGES[user.role] || ROLE_BADGES.viewer}`}
+        title={ROLE_DESCRIPTIONS[user.role] && i18n.term(ROLE_DESCRIPTIONS[user.role])}
+      >
+        {i18n.term(user.role)}
+      </span>
+    </div>
+    <button onClick={onLogout} className="p-2 rounded-lg text-slate-500 hover:bg-slate-500/20" title={i18n.t('user.signOut')} aria-label={i18n.t('user.signOut')}>
+      <LogOut size={18} />
+    </button>
+  </div>
+);
+
+export default UserMenu;
@@ -0,0 +1,35 @@
+// ==================================================================================
+// ACCESSIBILITY & DISPLAY
+// Defaults for the display menu, the keyboard shortcuts and which System Logs
+// entries screen readers read out. See docs/accessibility.md.
+// ==================================================================================
+
+// --- DISPLAY DEFAULTS ---
+// Used until an operator picks something in the display menu (saved per browser).
+//   theme:  'dark' | 'light' | 'contrast' (black and white, solid borders)
+//   motion: 'system' (follow the OS "reduce motion" setting) | 'reduce' | 'full'
+// The language defaults to VITE_LOCALE or the browser's language (src/i18n).
+export const DEFAULT_DISPLAY = {
+  theme: globalThis.matchMedia?.('(prefers-contrast: more)').matches ? 'contrast' : 'dark',
+  motion: 'system',
+};
+
+// --- KEYBOARD SHORTCUTS ---
+// Single keys, ignored while typing in a field or with Ctrl, Alt or Cmd held.
+// Escape closes the open dialog.
+export const SHORTCUTS = {
+  acknowledge: 'a', // Acknowledge the oldest unacknowledged alert
+  report: 'r',      // Save the PDF incident report
+  exportData: 'e',  // Export readings + log as CSV
+  help: '?',        // List the shortcuts
+};
+
+// --- SCREEN READER ANNOUNCEMENTS ---
+// New System Logs entries are read out: critical ones straight away (assertive),
+// warnings and info entries of these categories when the reader is idle (polite).
+// Everything else (e.g. every confirmed actuator command) stays in the log only.
+export const ANNOUNCE = {
+  assertive: ['critical'],
+  polite: ['warning'],
+  politeCategories: ['incident', 'connection', 'alarm'],
+};
@@ -0,0 +1,35 @@
+// ==================================================================================
+// ACTUATORS
+// What the dashboard can switch in a room, and the automatic rules that switch
+// it when a room turns 'fire'. Every actuator has two states: `idle` (normal
+// operation) and `active` (emergency). Commands and acks: docs/sensor-protocol.md
+// ==================================================================================
+
+export const ACTUATOR_TYPES = {
+  sprinkler: { label: 'Sprinkler valve', icon: '💧', idle: 'closed', active: 'open', activate: 'Open valve', deactivate: 'Close valve' },
+  sounder: { label: 'Sounder', icon: '🔊', idle: 'off', active: 'on', activate: 'Sound alarm', deactivate: 'Silence sounder' },
+  door: { label: 'Door release', icon: '🚪', idle: 'locked', active: 'released', activate: 'Release doors', deactivate: 'Lock doors' },
+  hvac: { label: 'HVAC', icon: '🌀', idle: 'running', active: 'shutdown', activate: 'Shut down HVAC', deactivate: 'Restart HVAC' },
+};
+
+// A command with no acknowledgement after this long is marked failed.
+// Set per site in .env.local: VITE_ACTUATOR_ACK_TIMEOUT_S=10
+export const COMMAND_TIMEOUT_MS = (Number(import.meta.env.VITE_ACTUATOR_ACK_TIMEOUT_S) || 10) * 1000;
+
+// --- AUTOMATIC RULES ---
+// When a room turns 'fire', every enabled rule sends its actuator to `state` in
+// the rooms of `scope`: 'room' (the burning room), 'floor' (its floor) or 'site'.
+// Admins switch rules on and off in the Automation screen; those changes are
+// saved in the browser and override `enabled` below.
+export const DEFAULT_AUTO_RULES = [
+  { id: 'fire-sprinkler', actuator: 'sprinkler', state: 'open', scope: 'room', enabled: true },
+  { id: 'fire-sounder', actuator: 'sounder', state: 'on', scope: 'floor', enabled: true },
+  { id: 'fire-doors', actuator: 'door', state: 'released', scope: 'floor', enabled: true },
+  { id: 'fire-hvac', actuator: 'hvac', state: 'shutdown', scope: 'site', enabled: true },
+];
+
+export const RULE_SCOPES = {
+  room: 'the burning room',
+  floor: 'its floor',
+  site: 'the whole site',
+};
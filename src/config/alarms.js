@@ -0,0 +1,27 @@
+// ==================================================================================
+// ALARM SETTINGS
+// Tones, desktop notifications and escalation of unacknowledged alerts.
+// Set the escalation delay per site in .env.local:
+//   VITE_ALARM_ESCALATE_AFTER_S=60
+// ==================================================================================
+
+// One tone per hazard type, so operators can tell them apart without looking.
+// notes are played in turn (beepMs on, gapMs off), `repeats` times per alarm.
+export const ALARM_TONES = {
+  fire: { wave: 'square', notes: [960, 640], beepMs: 250, gapMs: 50, repeats: 4, volume: 0.5 },
+  smoke: { wave: 'triangle', notes: [800], beepMs: 300, gapMs: 200, repeats: 3, volume: 0.4 },
+  temp: { wave: 'sine', notes: [520], beepMs: 500, gapMs: 500, repeats: 2, volume: 0.3 },
+};
+
+export const ALARM_ESCALATION = {
+  // Unacknowledged for this long -> the alarm starts repeating
+  afterMs: (Number(import.meta.env.VITE_ALARM_ESCALATE_AFTER_S) || 60) * 1000,
+  // Time between repeats once escalated
+  repeatMs: 15 * 1000,
+  // Each repeat is this much louder, up to maxVolume (0..1)
+  volumeStep: 0.1,
+  maxVolume: 1,
+};
+
+// Snooze choices offered in the header, in minutes
+export const SNOOZE_MINUTES = [5, 15, 30];
@@ -0,0 +1,25 @@
+// ==================================================================================
+// ROLES & PERMISSIONS
+// Who may do what. Roles are ordered: each role can do everything the roles
+// before it can. To change who may do something, change its minimum role below.
+// ==================================================================================
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const ROLE_DESCRIPTIONS = {
+  viewer: 'Watches the dashboard',
+  operator: 'Handles incidents, alarms and actuators, downloads reports, replays sessions',
+  admin: 'Also runs simulations, calibrates sensors and changes settings',
+};
+
+// Action -> minimum role
+export const PERMISSIONS = {
+  acknowledge: 'operator', // Acknowledge, escalate and resolve incidents
+  silence: 'operator',     // Mute and snooze the alarm
+  actuate: 'operator',     // Send actuator commands (sprinklers, sounders, doors, HVAC)
+  export: 'operator',      // PDF report and CSV/JSON data export
+  replay: 'operator',      // Session Replay of exported sessions (audits, training)
+  simulate: 'admin',       // Manual Override Panel and scenarios (not in production builds)
+  calibrate: 'admin',      // Sensor calibration
+  configure: 'admin',      // Settings screens: automatic actuator rules, alert notifications
+};
@@ -0,0 +1,12 @@
+// ==================================================================================
+// BUILD FLAGS
+// Fixed when the app is built, e.g. `VITE_PRODUCTION=true npm run build`.
+// Vite turns them into constants, so code behind `DEV_TOOLS` is not just hidden
+// but left out of a production bundle.
+// ==================================================================================
+
+export const PRODUCTION = import.meta.env.VITE_PRODUCTION === 'true';
+
+// Simulation panel, scenario player and the demo accounts hint. Session replay
+// is an audit tool and stays in every build (permission `replay`).
+export const DEV_TOOLS = !PRODUCTION;
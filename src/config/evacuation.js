@@ -0,0 +1,16 @@
+// ==================================================================================
+// EVACUATION ROUTING SETTINGS
+// Used by the pathfinding engine (src/data/evacuationRoutes.js).
+// ==================================================================================
+
+// Hazard types a route should never pass through (the starting room excepted)
+export const AVOID_TYPES = ['fire', 'smoke', 'temp'];
+
+// Hazard types that stay impassable even when no clean route exists
+export const IMPASSABLE_TYPES = ['fire'];
+
+// Each 100% of smoke makes a room this many times "longer" to walk through
+export const SMOKE_WEIGHT = 4;
+
+// Cost multiplier for crossing an AVOID_TYPES room when there is no other way out
+export const HAZARD_PENALTY = 10;
@@ -0,0 +1,12 @@
+// ==================================================================================
+// EVENT LOG SETTINGS
+// How long System Logs entries are kept in the browser (IndexedDB).
+// ==================================================================================
+
+export const LOG_RETENTION = {
+  maxAgeDays: 30, // Entries older than this are deleted on start-up
+  maxEntries: 20000, // Oldest entries beyond this count are deleted
+};
+
+// Lowest to highest. The log filter shows the chosen level and everything above it.
+export const LOG_SEVERITIES = ['info', 'warning', 'critical'];
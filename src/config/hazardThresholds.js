@@ -0,0 +1,41 @@
+// ==================================================================================
+// HAZARD THRESHOLDS
+// Limits used by the classification engine (src/data/hazardClassifier.js).
+// Override any value per room in ROOM_THRESHOLDS, e.g. a kitchen runs hotter.
+// ==================================================================================
+
+export const DEFAULT_THRESHOLDS = {
+  fireTemp: 60,    // °C   - at or above this the room is on fire
+  highTemp: 40,    // °C   - at or above this the room is too hot
+  smoke: 50,       // %    - smoke density that counts as dense smoke
+  rateOfRise: 8,   // °C/min - a faster climb than this is treated as fire
+
+  // Hysteresis: once a state is on, readings must drop this far below the
+  // limit before it turns off again. Stops the status flapping at the edge.
+  hysteresis: {
+    temp: 3,       // °C
+    smoke: 10,     // %
+    rate: 2,       // °C/min
+  },
+
+  // Rate-of-rise is measured over this window, and only once at least
+  // `rateMinSpanMs` of readings exist (a single jump is not a trend).
+  rateWindowMs: 60 * 1000,
+  rateMinSpanMs: 20 * 1000,
+};
+
+// --- PER-ROOM OVERRIDES ---
+// Keyed by room id. Only the values you list are replaced.
+export const ROOM_THRESHOLDS = {
+  // 3: { highTemp: 50, hysteresis: { temp: 5 } },
+};
+
+// --- HELPER: THRESHOLDS FOR ONE ROOM ---
+export const getThresholds = (roomId, overrides = ROOM_THRESHOLDS) => {
+  const custom = overrides[roomId] || {};
+  return {
+    ...DEFAULT_THRESHOLDS,
+    ...custom,
+    hysteresis: { ...DEFAULT_THRESHOLDS.hysteresis, ...custom.hysteresis },
+  };
+};
@@ -0,0 +1,14 @@
+// ==================================================================================
+// SENSOR NODE HEALTH SETTINGS
+// How long a node may stay silent before the dashboard stops trusting it.
+// Set them per site in .env.local:
+//   VITE_NODE_STALE_S=15
+//   VITE_NODE_OFFLINE_S=60
+// ==================================================================================
+
+export const NODE_TIMEOUTS = {
+  // No reading or heartbeat for this long -> "stale" (last values may be out of date)
+  staleAfterMs: (Number(import.meta.env.VITE_NODE_STALE_S) || 15) * 1000,
+  // No reading or heartbeat for this long -> "offline"
+  offlineAfterMs: (Number(import.meta.env.VITE_NODE_OFFLINE_S) || 60) * 1000,
+};
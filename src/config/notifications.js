@@ -0,0 +1,38 @@
+// ==================================================================================
+// ALERT NOTIFICATIONS (WEBHOOKS)
+// Where System Logs entries are sent outside the dashboard: channels (webhook
+// endpoints) and the rules that pick which entries go to which channel.
+// Admins edit both in the Alert Notifications screen; see docs/notifications.md
+// ==================================================================================
+
+// Payload formats a channel can use (src/alerts/webhookTemplates.js)
+export const WEBHOOK_TEMPLATES = {
+  slack: 'Slack (incoming webhook)',
+  teams: 'Microsoft Teams (connector card)',
+  generic: 'Generic JSON',
+};
+
+// A failed delivery is tried again after each of these delays, then given up.
+// A request without an answer after `timeoutMs` counts as failed.
+export const WEBHOOK_RETRY = {
+  delaysMs: [2000, 10000, 30000],
+  timeoutMs: (Number(import.meta.env.VITE_WEBHOOK_TIMEOUT_S) || 8) * 1000,
+};
+
+// Link to the dashboard put in every message
+export const DASHBOARD_URL = import.meta.env.VITE_DASHBOARD_URL || globalThis.location?.origin || '';
+
+// --- DEFAULTS ---
+// Used until an admin saves their own channels and rules. A site can ship one
+// channel for critical alerts from .env.local:
+//   VITE_WEBHOOK_URL=https://relay.example.org/hooks/safe
+//   VITE_WEBHOOK_TEMPLATE=slack        (slack | teams | generic)
+const ENV_URL = import.meta.env.VITE_WEBHOOK_URL;
+const ENV_TEMPLATE = import.meta.env.VITE_WEBHOOK_TEMPLATE;
+
+export const DEFAULT_NOTIFICATIONS = ENV_URL
+  ? {
+    channels: [{ id: 'default', name: 'Default webhook', url: ENV_URL, template: WEBHOOK_TEMPLATES[ENV_TEMPLATE] ? ENV_TEMPLATE : 'generic', enabled: true }],
+    rules: [{ id: 'critical', name: 'Critical alerts', minSeverity: 'critical', rooms: [], channels: ['default'], enabled: true }],
+  }
+  : { channels: [], rules: [] };
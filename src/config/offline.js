@@ -0,0 +1,17 @@
+// ==================================================================================
+// OFFLINE SETTINGS
+// How long actions wait for the Master Node while the connection is down, and
+// how often the last known room state is saved for a reload without network.
+// See docs/offline.md
+// ==================================================================================
+
+// Queued messages older than this are dropped instead of sent, by message type.
+// An actuator command is only worth sending while the situation that caused it
+// still holds; an incident update is a record and can arrive late.
+export const OUTBOX_MAX_AGE_MS = {
+  command: (Number(import.meta.env.VITE_COMMAND_QUEUE_MAX_S) || 120) * 1000,
+  incident: 24 * 60 * 60 * 1000,
+};
+
+// The room list is written to the browser at most this often
+export const ROOM_CACHE_SAVE_MS = 5000;
@@ -0,0 +1,19 @@
+// ==================================================================================
+// REPORT SETTINGS
+// Shown in the PDF incident report header. Set them per site in .env.local:
+//   VITE_BUILDING_NAME=North Campus - Block C
+//   VITE_REPORT_LOGO_URL=/logo.png        (PNG or JPEG, served from /public)
+// ==================================================================================
+
+export const REPORT_CONFIG = {
+  buildingName: import.meta.env.VITE_BUILDING_NAME || 'SAFE Monitored Facility',
+  logoUrl: import.meta.env.VITE_REPORT_LOGO_URL || null,
+
+  // Readings charted before the first incident started, for context
+  chartLeadMs: 60 * 1000,
+  // Window charted when there are no incidents at all
+  defaultChartWindowMs: 15 * 60 * 1000,
+  // Event Log section: at least this much of System Logs, more when the incidents
+  // started earlier (the log itself keeps 30 days)
+  logWindowMs: 24 * 60 * 60 * 1000,
+};
@@ -0,0 +1,32 @@
+// ==================================================================================
+// SENSOR FAULT RULES
+// Limits used by the validation stage (src/data/sensorFaults.js) to decide that
+// a reading comes from a broken sensor rather than from the room.
+// ==================================================================================
+
+// Values a working sensor can physically report. Anything outside is a fault.
+export const SENSOR_LIMITS = {
+  temp: { min: -30, max: 200 }, // °C
+  smoke: { min: 0, max: 100 },  // %
+};
+
+export const FAULT_RULES = {
+  // Stuck: exactly the same temp and smoke for this long (and this many readings).
+  // Real sensors always jitter a little.
+  stuckAfterMs: 10 * 60 * 1000,
+  stuckMinReadings: 10,
+
+  // Disagreement: two sensors in the same room further apart than this
+  maxSpread: {
+    temp: 15,  // °C
+    smoke: 30, // %
+  },
+};
+
+// Calibration a sensor has until a technician changes it: value * scale + offset
+export const DEFAULT_CALIBRATION = {
+  tempOffset: 0,
+  tempScale: 1,
+  smokeOffset: 0,
+  smokeScale: 1,
+};
@@ -0,0 +1,116 @@
+// ==================================================================================
+// ACTUATOR COMMAND STORE
+// Sends actuator commands to the Master Node and follows each one until the
+// node acknowledges it, refuses it, or stays silent past COMMAND_TIMEOUT_MS.
+// Command: { id, roomId, roomName, actuator, state, user, auto, rule, sentAt,
+//            status: 'queued' | 'pending' | 'done' | 'failed', error, doneAt }
+// 'queued' means the connection is down and the outbox (outboxStore.js) holds
+// the command; the acknowledgement timeout only starts once it has gone out.
+// The new actuator state itself arrives with the ack and lands on the room
+// (sensorSchema.applyMessage), so the cards and the map always show what the
+// node reported, never what was merely asked for.
+// ==================================================================================
+
+import { COMMAND_TIMEOUT_MS } from '../config/actuators';
+
+const MAX_COMMANDS = 50; // Recent commands kept for the UI; the full record is in System Logs
+
+// send(message, onQueued) hands a command to the outbox and returns a Promise that
+// resolves once it has been sent, or rejects when it could not be delivered.
+// onQueued() is called when it has to wait for the connection.
+export const createActuatorStore = ({ send, timeoutMs = COMMAND_TIMEOUT_MS } = {}) => {
+  let commands = []; // Newest first
+  let sequence = 0;
+  const timers = new Map(); // commandId -> timeout
+  const listeners = new Set();
+  const eventListeners = new Set();
+
+  const set = (next) => {
+    commands = next;
+    listeners.forEach(listener => listener());
+  };
+
+  // --- HELPER: CHANGE ONE COMMAND ---
+  const update = (id, fields) => {
+    const updated = { ...commands.find(c => c.id === id), ...fields };
+    set(commands.map(c => (c.id === id ? updated : c)));
+    return updated;
+  };
+
+  // --- HELPER: FINISH A PENDING COMMAND ---
+  // status: 'done' | 'failed'. Late acks for a command that already timed out are ignored.
+  const finish = (id, status, fields = {}) => {
+    const command = commands.find(c => c.id === id);
+    if (!command || !['queued', 'pending'].includes(command.status)) return;
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    const updated = update(id, { ...fields, status, doneAt: Date.now() });
+    eventListeners.forEach(listener => listener({ command: updated, action: status }));
+  };
+
+  return {
+    getSnapshot: () => commands,
+
+    // --- FUNCTION: SEND COMMAND ---
+    // { room, actuator, state, user, auto, rule } -> the new command (status 'pending').
+    // `rule` is the id of the automatic rule that sent it.
+    command({ room, actuator, state, user, auto = false, rule = null }) {
+      const sentAt = Date.now();
+      const command = {
+        id: `cmd-${sentAt.toString(36)}-${sequence++}`, // Unique across dashboards: every dashboard sees every ack
+        roomId: room.id,
+        roomName: room.name,
+        actuator,
+        state,
+        user,
+        auto,
+        rule,
+        sentAt,
+        status: 'pending',
+        error: null,
+        doneAt: null,
+      };
+      set([command, ...commands].slice(0, MAX_COMMANDS));
+      eventListeners.forEach(listener => listener({ command, action: 'sent' }));
+
+      const message = { type: 'command', id: command.id, roomId: room.id, actuator, state, user, ts: new Date(sentAt).toISOString() };
+      const queued = () => {
+        const updated = update(command.id, { status: 'queued' });
+        eventListeners.forEach(listener => listener({ command: updated, action: 'queued' }));
+      };
+      Promise.resolve()
+        .then(() => send(message, queued))
+        .then(() => {
+          const current = commands.find(c => c.id === command.id);
+          if (!current || !['queued', 'pending'].includes(current.status)) return; // The ack is already in
+          if (current.status === 'queued') update(command.id, { status: 'pending' });
+          timers.set(command.id, setTimeout(() => {
+            finish(command.id, 'failed', { error: `no acknowledgement within ${timeoutMs / 1000}s` });
+          }, timeoutMs));
+        })
+        .catch(err => finish(command.id, 'failed', { error: err.message || 'could not be sent' }));
+      return command;
+    },
+
+    // --- FUNCTION: RECEIVE ACK ---
+    // Parsed { type: 'ack', commandId, ok, state, error } from the Master Node
+    receive(ack) {
+      if (ack.ok) finish(ack.commandId, 'done', ack.state ? { state: ack.state } : {});
+      else finish(ack.commandId, 'failed', { error: ack.error || 'refused by the node' });
+    },
+
+    // --- HELPER: COMMAND STILL WAITING FOR THIS ACTUATOR? (queued or sent) ---
+    pendingFor: (roomId, actuator) => commands.find(c => ['queued', 'pending'].includes(c.status) && c.roomId === roomId && c.actuator === actuator) ?? null,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Command events: { command, action: 'sent' | 'queued' | 'done' | 'failed' }
+    onEvent(listener) {
+      eventListeners.add(listener);
+      return () => eventListeners.delete(listener);
+    },
+  };
+};
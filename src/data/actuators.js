@@ -0,0 +1,51 @@
+// ==================================================================================
+// ACTUATORS
+// Helpers for the actuators a room reports (sprinkler valve, sounder, door
+// release, HVAC) and for the automatic rules. Types: src/config/actuators.js
+// A room's `actuators` is { [type]: state }, e.g. { sprinkler: 'closed', door: 'locked' }.
+// ==================================================================================
+
+import { ACTUATOR_TYPES } from '../config/actuators';
+
+// --- HELPER: PARSE REPORTED STATES ---
+// Keeps known actuator types with a text state; null when there are none
+export const parseActuators = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const entries = Object.entries(raw).filter(([type, state]) => ACTUATOR_TYPES[type] && typeof state === 'string' && state);
+  return entries.length ? Object.fromEntries(entries) : null;
+};
+
+// --- HELPER: IN ITS EMERGENCY STATE? ---
+export const isActuatorActive = (type, state) => ACTUATOR_TYPES[type]?.active === state;
+
+// --- HELPER: THE OTHER STATE (what the button on the card does) ---
+export const toggledState = (type, state) => {
+  const config = ACTUATOR_TYPES[type];
+  return state === config.active ? config.idle : config.active;
+};
+
+// --- HELPER: "Open valve" / "Close valve" ---
+export const actionLabel = (type, state) => {
+  const config = ACTUATOR_TYPES[type];
+  return state === config.active ? config.activate : config.deactivate;
+};
+
+// --- HELPER: ROOMS WITH AN ACTIVE ACTUATOR OF THIS TYPE ---
+export const roomsWithActive = (rooms, type) => rooms.filter(room => isActuatorActive(type, room.actuators?.[type]));
+
+// --- FUNCTION: WHAT DO THE RULES SWITCH? ---
+// `room` has just turned 'fire'. Returns [{ room, actuator, state, rule }] for every
+// enabled rule, skipping rooms without that actuator or already in the wanted state.
+export const ruleCommands = (rules, room, rooms) => {
+  const inScope = (scope, other) => {
+    if (scope === 'site') return true;
+    if (scope === 'floor') return other.id === room.id || (Boolean(room.location) && other.location?.floor.key === room.location.floor.key);
+    return other.id === room.id;
+  };
+
+  return rules
+    .filter(rule => rule.enabled)
+    .flatMap(rule => rooms
+      .filter(other => inScope(rule.scope, other) && other.actuators?.[rule.actuator] && other.actuators[rule.actuator] !== rule.state)
+      .map(other => ({ room: other, actuator: rule.actuator, state: rule.state, rule })));
+};
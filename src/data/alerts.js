@@ -0,0 +1,43 @@
+// ==================================================================================
+// ALERTS
+// Which incidents should be sounding the alarm right now, and how loudly.
+// An alert lasts from the moment a room turns hazardous until an operator
+// acknowledges the incident (or the hazard clears). Replay incidents never
+// alert: the sound, tab badge and desktop notifications mean a real hazard.
+// ==================================================================================
+
+import { HAZARD_TYPES } from './hazardClassifier';
+import { isHazardPresent } from './incidents';
+import { ALARM_TONES, ALARM_ESCALATION } from '../config/alarms';
+
+// --- FUNCTION: ALERTING INCIDENTS ---
+export const getAlertingIncidents = (incidents) => incidents.filter(i => isHazardPresent(i) && !i.acknowledgedAt && !i.replay);
+
+// --- HELPER: HAZARD TYPE OF AN ALERT ---
+export const alertType = (incident) => (ALARM_TONES[incident.type] ? incident.type : incident.peakType);
+
+// --- FUNCTION: WORST ALERT ---
+// The alert whose hazard ranks highest (fire > smoke > temp), or null
+export const worstAlert = (alerts) => alerts.reduce(
+  (worst, alert) => (!worst || HAZARD_TYPES[alertType(alert)].rank > HAZARD_TYPES[alertType(worst)].rank ? alert : worst),
+  null
+);
+
+// --- FUNCTION: ESCALATION LEVEL ---
+// 0 = just raised; 1, 2, ... = number of repeats since it went unacknowledged too long
+export const alertLevel = (incident, now, escalation = ALARM_ESCALATION) => {
+  const overdue = now - incident.startedAt - escalation.afterMs;
+  return overdue < 0 ? 0 : 1 + Math.floor(overdue / escalation.repeatMs);
+};
+
+// --- FUNCTION: ALARM VOLUME ---
+export const alertVolume = (type, level, escalation = ALARM_ESCALATION) => {
+  const tone = ALARM_TONES[type] || ALARM_TONES.temp;
+  return Math.min(escalation.maxVolume, tone.volume + level * escalation.volumeStep);
+};
+
+// --- FUNCTION: IS THE SNOOZE STILL ON? ---
+// snooze: { from, until } or null. A new alert raised after the snooze started cancels it.
+export const isSnoozed = (snooze, alerts, now) => Boolean(snooze)
+  && now < snooze.until
+  && !alerts.some(alert => alert.startedAt > snooze.from);
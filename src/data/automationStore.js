@@ -0,0 +1,58 @@
+// ==================================================================================
+// AUTOMATION STORE
+// The automatic actuator rules (src/config/actuators.js) with the changes an
+// admin made in the Automation screen, saved in localStorage so they survive a
+// refresh. Saved shape: { [ruleId]: { enabled, scope } }
+// ==================================================================================
+
+import { DEFAULT_AUTO_RULES, RULE_SCOPES } from '../config/actuators';
+
+const STORAGE_KEY = 'safe.automation';
+
+// --- HELPER: LOAD SAVED CHANGES ---
+const load = (storage) => {
+  try {
+    const saved = JSON.parse(storage?.getItem(STORAGE_KEY));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+// --- HELPER: DEFAULTS + SAVED CHANGES ---
+// Saved values that no longer make sense (unknown scope) are ignored
+const merge = (defaults, overrides) => defaults.map(rule => {
+  const saved = overrides[rule.id] || {};
+  return {
+    ...rule,
+    enabled: typeof saved.enabled === 'boolean' ? saved.enabled : rule.enabled,
+    scope: RULE_SCOPES[saved.scope] ? saved.scope : rule.scope,
+  };
+});
+
+export const createAutomationStore = ({ storage = globalThis.localStorage, defaults = DEFAULT_AUTO_RULES } = {}) => {
+  let overrides = load(storage);
+  let rules = merge(defaults, overrides);
+  const listeners = new Set();
+
+  return {
+    getSnapshot: () => rules,
+
+    // --- FUNCTION: CHANGE ONE RULE ---
+    // changes: { enabled?, scope? }. Returns { before, after }.
+    update(ruleId, changes) {
+      const before = rules.find(rule => rule.id === ruleId);
+      if (!before) return null;
+      overrides = { ...overrides, [ruleId]: { enabled: before.enabled, scope: before.scope, ...changes } };
+      storage?.setItem(STORAGE_KEY, JSON.stringify(overrides));
+      rules = merge(defaults, overrides);
+      listeners.forEach(listener => listener());
+      return { before, after: rules.find(rule => rule.id === ruleId) };
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
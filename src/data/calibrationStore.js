@@ -0,0 +1,67 @@
+// ==================================================================================
+// CALIBRATION STORE
+// Per-sensor calibration set by technicians, saved in localStorage so it
+// survives a refresh. Shape: { [sensorId]: { tempOffset, tempScale, smokeOffset, smokeScale } }
+// Sensors without an entry use DEFAULT_CALIBRATION.
+// ==================================================================================
+
+import { DEFAULT_CALIBRATION } from '../config/sensorFaults';
+
+const STORAGE_KEY = 'safe.calibration';
+
+// --- HELPER: DEFAULT? ---
+export const isDefaultCalibration = (calibration) =>
+  Object.keys(DEFAULT_CALIBRATION).every(key => calibration[key] === DEFAULT_CALIBRATION[key]);
+
+// --- HELPER: "temp ×1.02 +0.5°C, smoke ×1 +0%" (for the audit log, in the translator's language) ---
+export const describeCalibration = (c, { t, number }) => t('calibration.describe', {
+  tempScale: c.tempScale,
+  tempOffset: number(c.tempOffset, { signDisplay: 'always' }),
+  smokeScale: c.smokeScale,
+  smokeOffset: number(c.smokeOffset, { signDisplay: 'always' }),
+});
+
+// --- HELPER: LOAD SAVED VALUES ---
+const load = (storage) => {
+  try {
+    const saved = JSON.parse(storage?.getItem(STORAGE_KEY));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+export const createCalibrationStore = ({ storage = globalThis.localStorage } = {}) => {
+  let calibration = load(storage);
+  const listeners = new Set();
+
+  const save = (next) => {
+    calibration = next;
+    storage?.setItem(STORAGE_KEY, JSON.stringify(next));
+    listeners.forEach(listener => listener());
+  };
+
+  return {
+    getSnapshot: () => calibration,
+
+    // --- FUNCTION: GET ONE SENSOR ---
+    get: (sensorId) => ({ ...DEFAULT_CALIBRATION, ...calibration[sensorId] }),
+
+    // --- FUNCTION: SET ONE SENSOR ---
+    // Back to the defaults removes the entry. Returns { before, after }.
+    set(sensorId, values) {
+      const before = { ...DEFAULT_CALIBRATION, ...calibration[sensorId] };
+      const after = { ...before, ...values };
+      const next = { ...calibration };
+      if (isDefaultCalibration(after)) delete next[sensorId];
+      else next[sensorId] = after;
+      save(next);
+      return { before, after };
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
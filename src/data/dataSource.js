@@ -0,0 +1,41 @@
+// ==================================================================================
+// DATA SOURCE FACTORY
+// Picks the mock, WebSocket or SSE adapter. Every adapter has the same shape:
+//   { kind, connect({ onMessage, onStatus }), disconnect(), send(message) }
+// onMessage receives the raw JSON string; onStatus receives
+// 'connecting' | 'online' | 'offline' plus { attempt, retryAt? } - the number of
+// failed attempts since the last good connection and when the next one starts.
+// send() delivers a message for the node (actuator command, incident update) and
+// returns a Promise that rejects if it could not be delivered - with `err.offline`
+// set when there is no connection, so the outbox can hold it until there is.
+// Commands are answered later by an 'ack' message.
+// ==================================================================================
+
+import { createMockSource } from './sources/mockSource';
+import { createWebSocketSource } from './sources/websocketSource';
+import { createSseSource } from './sources/sseSource';
+
+// --- FUNCTION: CREATE DATA SOURCE ---
+export const createDataSource = ({ kind = 'mock', url, commandUrl } = {}) => {
+  switch (kind) {
+    case 'ws':
+    case 'websocket':
+      return createWebSocketSource({ url: url || 'ws://localhost:8787/ws' });
+    case 'sse': {
+      const eventsUrl = url || 'http://localhost:8787/events';
+      return createSseSource({ url: eventsUrl, commandUrl: commandUrl || new URL('commands', eventsUrl).href });
+    }
+    case 'mock':
+    default:
+      return createMockSource();
+  }
+};
+
+// --- FUNCTION: SOURCE FROM BUILD CONFIG ---
+// Set VITE_SENSOR_SOURCE (mock | ws | sse) and VITE_SENSOR_URL in a .env.local file.
+// SSE only: VITE_COMMAND_URL (defaults to /commands next to the stream)
+export const createDataSourceFromEnv = () => createDataSource({
+  kind: import.meta.env.VITE_SENSOR_SOURCE,
+  url: import.meta.env.VITE_SENSOR_URL,
+  commandUrl: import.meta.env.VITE_COMMAND_URL,
+});
@@ -0,0 +1,150 @@
+// ==================================================================================
+// EVACUATION ROUTE ENGINE
+// Finds the safest way out of every occupied room, using the floor plan as a graph.
+//
+// Graph model:
+//   - Nodes are "portals": the doors between zones and the building exits.
+//   - Two portals of the same zone are joined by an edge; walking it costs the
+//     straight-line distance, weighted by that zone's smoke density.
+//   - Zones holding a hazard (fire / smoke / heat) are avoided, and so are rooms
+//     whose sensor node has gone silent or whose sensors are all faulty (their state is unknown).
+// ==================================================================================
+
+import { polygonCentroid } from './floorPlan';
+import { isSilent } from './nodeHealth';
+import { AVOID_TYPES, IMPASSABLE_TYPES, SMOKE_WEIGHT, HAZARD_PENALTY } from '../config/evacuation';
+
+// --- HELPER: DISTANCE ---
+const distance = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+// --- HELPER: DOOR MIDPOINT ---
+const midpoint = ([[x1, y1], [x2, y2]]) => [(x1 + x2) / 2, (y1 + y2) / 2];
+
+// --- FUNCTION: BUILD GRAPH ---
+// Turns a parsed floor plan into zones and portals. Only depends on the plan,
+// so it can be built once and reused for every sensor update.
+export const buildEvacuationGraph = (plan) => {
+  const zones = new Map(plan.rooms.map(room => [room.id, {
+    id: room.id,
+    name: room.name,
+    center: polygonCentroid(room.polygon),
+    portals: [],
+  }]));
+  const portals = new Map();
+
+  const addPortal = (portal) => {
+    portals.set(portal.id, portal);
+    portal.zones.forEach(zoneId => zones.get(zoneId)?.portals.push(portal.id));
+  };
+
+  plan.doors
+    .filter(door => zones.has(door.from) && zones.has(door.to))
+    .forEach(door => addPortal({ id: `door:${door.id}`, position: midpoint(door.points), zones: [door.from, door.to] }));
+
+  plan.exits
+    .filter(exit => zones.has(exit.zone))
+    .forEach(exit => addPortal({ id: `exit:${exit.id}`, position: exit.position, zones: [exit.zone], exit }));
+
+  return { zones, portals };
+};
+
+// --- HELPER: SMOKE WEIGHTING ---
+// Unmonitored corridors and stairwells have no reading and cost plain distance
+const smokeFactor = (room) => (room ? 1 + (Math.max(0, room.smoke) / 100) * SMOKE_WEIGHT : 1);
+
+// --- HELPER: COST OF WALKING THROUGH A ZONE ---
+// Returns a distance multiplier, or Infinity when the zone cannot be entered
+const zoneFactor = (room, { allowHazards }) => {
+  if (!room) return 1;
+  if (IMPASSABLE_TYPES.includes(room.type)) return Infinity;
+  if (AVOID_TYPES.includes(room.type) || isSilent(room) || room.usable === false) return allowHazards ? smokeFactor(room) * HAZARD_PENALTY : Infinity;
+  return smokeFactor(room);
+};
+
+// --- FUNCTION: DIJKSTRA FROM ONE ROOM ---
+// Returns { exit, path, zones, cost } for the cheapest exit, or null if none is reachable
+const searchRoute = (graph, roomsById, startId, options) => {
+  const start = graph.zones.get(startId);
+  if (!start) return null;
+
+  const best = new Map(); // node id -> { cost, prev, zone }
+  const queue = [];
+  const visit = (nodeId, cost, prev, zone) => {
+    if (cost < (best.get(nodeId)?.cost ?? Infinity)) {
+      best.set(nodeId, { cost, prev, zone });
+      queue.push({ nodeId, cost });
+    }
+  };
+
+  // Leaving the starting room is always allowed, whatever is in it
+  const startFactor = smokeFactor(roomsById.get(startId));
+  start.portals.forEach(portalId => {
+    const portal = graph.portals.get(portalId);
+    visit(portalId, distance(start.center, portal.position) * startFactor, 'start', startId);
+  });
+
+  while (queue.length) {
+    // Few nodes per building, so a sorted array is enough of a priority queue
+    queue.sort((a, b) => a.cost - b.cost);
+    const { nodeId, cost } = queue.shift();
+    if (cost > best.get(nodeId).cost) continue; // Stale entry
+
+    const portal = graph.portals.get(nodeId);
+    if (portal.exit) {
+      // Walk back through `prev` links to rebuild the path
+      const nodes = [];
+      for (let id = nodeId; id !== 'start'; id = best.get(id).prev) nodes.unshift(id);
+      return {
+        exit: portal.exit,
+        cost,
+        path: [start.center, ...nodes.map(id => graph.portals.get(id).position)],
+        zones: nodes.map(id => best.get(id).zone),
+      };
+    }
+
+    portal.zones.forEach(zoneId => {
+      const zone = graph.zones.get(zoneId);
+      const factor = zoneFactor(roomsById.get(zoneId), options);
+      if (!Number.isFinite(factor)) return;
+      zone.portals
+        .filter(nextId => nextId !== nodeId)
+        .forEach(nextId => {
+          const next = graph.portals.get(nextId);
+          visit(nextId, cost + distance(portal.position, next.position) * factor, nodeId, zoneId);
+        });
+    });
+  }
+  return null;
+};
+
+// --- FUNCTION: FIND ROUTE FOR ONE ROOM ---
+// Tries a clean route first. If every way out crosses a hazard, falls back to the
+// least bad route and marks it `compromised`. Returns null when fire blocks all exits.
+export const findEvacuationRoute = (graph, roomsById, roomId) => {
+  const clean = searchRoute(graph, roomsById, roomId, { allowHazards: false });
+  if (clean) return { ...clean, roomId, compromised: false };
+  const fallback = searchRoute(graph, roomsById, roomId, { allowHazards: true });
+  return fallback ? { ...fallback, roomId, compromised: true } : null;
+};
+
+// --- HELPER: IS ROOM OCCUPIED ---
+// No occupancy data means "assume people are inside"
+export const isOccupied = (room) => room.occupancy === undefined || room.occupancy > 0;
+
+// --- FUNCTION: ROUTES FOR EVERY OCCUPIED ROOM ---
+// Returns one entry per occupied room on the plan: { roomId, route } (route may be null)
+export const computeEvacuationRoutes = (graph, rooms) => {
+  const roomsById = new Map(rooms.map(r => [r.id, r]));
+  return rooms
+    .filter(room => graph.zones.has(room.id) && isOccupied(room))
+    .map(room => ({ roomId: room.id, route: findEvacuationRoute(graph, roomsById, room.id) }));
+};
+
+// --- HELPER: DESCRIBE ROUTE ---
+// "Room 1 → Main Corridor → West Exit", used in the PDF report
+export const describeRoute = (graph, route) => {
+  const names = [route.roomId, ...route.zones]
+    .filter((zoneId, i, all) => zoneId !== all[i - 1]) // Skip repeated zones
+    .map(zoneId => graph.zones.get(zoneId)?.name ?? String(zoneId));
+  return [...names, route.exit.name || route.exit.id].join(' → ');
+};
@@ -0,0 +1,69 @@
+// ==================================================================================
+// EVENT LOG DATABASE
+// IndexedDB persistence for the System Logs, so the history survives a refresh.
+// Returns null when the browser has no IndexedDB; the log then lives in memory only.
+// ==================================================================================
+
+const DB_NAME = 'safe-dashboard';
+const DB_VERSION = 1;
+const STORE = 'eventLog';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- HELPER: PROMISES FOR IDB REQUESTS / TRANSACTIONS ---
+const requestDone = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+// --- FUNCTION: OPEN DATABASE ---
+export const openEventLogDb = async () => {
+  if (typeof indexedDB === 'undefined') return null;
+
+  const open = indexedDB.open(DB_NAME, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const store = open.result.createObjectStore(STORE, { keyPath: 'id' });
+    store.createIndex('ts', 'ts');
+  };
+  const db = await requestDone(open);
+
+  return {
+    // --- FUNCTION: SAVE ONE ENTRY ---
+    put(entry) {
+      const tx = db.transaction(STORE, 'readwrite');
+      tx.objectStore(STORE).put(entry);
+      return transactionDone(tx);
+    },
+
+    // --- FUNCTION: LOAD EVERYTHING (oldest first) ---
+    getAll() {
+      const tx = db.transaction(STORE, 'readonly');
+      return requestDone(tx.objectStore(STORE).index('ts').getAll());
+    },
+
+    // --- FUNCTION: APPLY RETENTION POLICY ---
+    // Deletes entries older than maxAgeDays and the oldest ones beyond maxEntries
+    async prune({ maxAgeDays, maxEntries }, now = Date.now()) {
+      const cutoff = now - maxAgeDays * DAY_MS;
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      const overflow = Math.max(0, (await requestDone(store.count())) - maxEntries);
+
+      let deleted = 0;
+      const cursorRequest = store.index('ts').openCursor(); // Oldest first
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || (deleted >= overflow && cursor.value.ts >= cutoff)) return;
+        cursor.delete();
+        deleted++;
+        cursor.continue();
+      };
+      await transactionDone(tx);
+      return deleted;
+    },
+  };
+};
@@ -0,0 +1,112 @@
+// ==================================================================================
+// EVENT LOG STORE
+// Structured System Logs entries, kept outside React and persisted to IndexedDB.
+// Entry: { id, ts, timestamp (ISO), severity, category, roomId, message }
+// category says what produced it: 'incident', 'alarm', 'sensor', 'connection',
+// 'calibration', 'actuator', 'notification', 'config', 'simulation', 'replay',
+// 'report', 'auth', 'system'
+// ==================================================================================
+
+import { openEventLogDb } from './eventLogDb';
+import { LOG_RETENTION, LOG_SEVERITIES } from '../config/eventLog';
+
+// Re-apply the retention policy after this many new entries
+const PRUNE_EVERY = 500;
+
+// --- HELPER: SEVERITY RANK ---
+const severityRank = (severity) => Math.max(0, LOG_SEVERITIES.indexOf(severity));
+
+// --- FUNCTION: FILTER ENTRIES ---
+// filter: { severity (minimum), roomId, from, to (ms), text }. Empty fields match everything.
+export const filterLogEntries = (entries, { severity, roomId, from, to, text } = {}) => {
+  const minRank = severity ? severityRank(severity) : 0;
+  const needle = text?.trim().toLowerCase();
+  return entries.filter(entry =>
+    severityRank(entry.severity) >= minRank
+    && (roomId === undefined || roomId === '' || String(entry.roomId) === String(roomId))
+    && (!from || entry.ts >= from)
+    && (!to || entry.ts <= to)
+    && (!needle || entry.message.toLowerCase().includes(needle) || entry.category.includes(needle)));
+};
+
+export const createEventLogStore = ({ retention = LOG_RETENTION } = {}) => {
+  let entries = []; // Newest first
+  let db = null;
+  let opening = null;
+  let sequence = 0;
+  let sincePrune = 0;
+  const listeners = new Set();
+  const addListeners = new Set();
+
+  const set = (next) => {
+    entries = next;
+    listeners.forEach(listener => listener());
+  };
+
+  const prune = () => {
+    sincePrune = 0;
+    return db?.prune(retention).catch(err => console.warn('Event log cleanup failed:', err));
+  };
+
+  return {
+    getSnapshot: () => entries,
+
+    // --- FUNCTION: OPEN ---
+    // Loads the stored history and applies the retention policy. Safe to call more than once.
+    open() {
+      if (!opening) {
+        opening = (async () => {
+          try {
+            db = await openEventLogDb();
+            if (!db) return;
+            await prune();
+            const stored = await db.getAll();
+            // Entries logged while the database was opening still need saving
+            const storedIds = new Set(stored.map(e => e.id));
+            const pending = entries.filter(e => !storedIds.has(e.id));
+            pending.forEach(e => db.put(e));
+            set([...pending, ...stored.reverse()]
+              .sort((a, b) => b.ts - a.ts)
+              .slice(0, retention.maxEntries));
+          } catch (err) {
+            db = null;
+            console.warn('Event log persistence unavailable:', err);
+          }
+        })();
+      }
+      return opening;
+    },
+
+    // --- FUNCTION: ADD ENTRY ---
+    add(message, { severity = 'info', category = 'system', roomId = null } = {}) {
+      const now = Date.now();
+      const entry = {
+        id: `${now}-${sequence++}`,
+        ts: now,
+        timestamp: new Date(now).toISOString(),
+        severity,
+        category,
+        roomId,
+        message,
+      };
+      set([entry, ...entries].slice(0, retention.maxEntries));
+      if (db) {
+        db.put(entry).catch(err => console.warn('Event log write failed:', err));
+        if (++sincePrune >= PRUNE_EVERY) prune();
+      }
+      addListeners.forEach(listener => listener(entry));
+      return entry;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Called with every new entry (e.g. to send it on as a webhook)
+    onAdd(listener) {
+      addListeners.add(listener);
+      return () => addListeners.delete(listener);
+    },
+  };
+};
@@ -0,0 +1,101 @@
+// ==================================================================================
+// FEED STORE
+// Holds the live room list (plus classifier memory) outside React, so other
+// parts of the dashboard - like the incident tracker - can react to every
+// update the moment it arrives instead of waiting for a render.
+// ==================================================================================
+
+import { applyMessage } from './sensorSchema';
+import { classifyRoom } from './hazardClassifier';
+import { FAULT_STATUS } from './sensorFaults';
+
+const INITIAL_FEED = { rooms: [], hazards: {} };
+
+// --- HELPER: HEARTBEAT ---
+// Marks rooms as heard from without touching their readings
+const applyHeartbeat = (state, message) => {
+  const ids = new Set(message.roomIds);
+  if (!state.rooms.some(r => ids.has(r.id))) return state;
+  const rooms = state.rooms.map(room => (ids.has(room.id) ? { ...room, lastSeen: message.receivedAt ?? Date.now() } : room));
+  return { ...state, rooms };
+};
+
+// --- REDUCER: APPLY + CLASSIFY ---
+// `hazards` holds the classifier memory (recent samples, active flags) per room id.
+// `lastSeen` is when the dashboard last heard from a room's node (message.receivedAt).
+// Readings come from the validation stage (sensorFaults.js): a safe room with a
+// faulty sensor shows "Sensor Fault", and an unusable reading is not classified.
+// A room restored from the cache (`restored`) becomes live with its first reading;
+// `replay` tells whether that reading came from a session replay. Switching
+// between replayed and live readings starts the classifier memory afresh.
+export const feedReducer = (state, message) => {
+  if (message.type === 'heartbeat') return applyHeartbeat(state, message);
+
+  const rooms = applyMessage(state.rooms, message);
+  if (rooms === state.rooms) return state;
+
+  const updatedIds = new Set(message.type === 'snapshot'
+    ? message.rooms.map(r => r.id)
+    : message.type === 'reading' ? [message.room.id] : []);
+
+  const previousRooms = new Map(state.rooms.map(r => [r.id, r]));
+  const hazards = {};
+  const classified = rooms.map(room => {
+    if (!updatedIds.has(room.id)) {
+      hazards[room.id] = state.hazards[room.id];
+      return room;
+    }
+    const lastSeen = message.receivedAt ?? room.ts;
+    const replay = message.replay === true;
+    const previous = previousRooms.get(room.id);
+    const sameSide = (previous?.replay === true) === replay;
+    const memory = sameSide ? state.hazards[room.id] : undefined;
+    if (room.usable === false) {
+      // Every sensor is faulty: keep the last trusted values and classification
+      // (a cached classification, or one from the other side of a replay, is not trusted)
+      const trusted = previous?.restored || !sameSide ? null : previous;
+      hazards[room.id] = memory;
+      const type = trusted?.type ?? 'safe';
+      return {
+        ...room,
+        temp: trusted?.temp ?? room.temp,
+        smoke: trusted?.smoke ?? room.smoke,
+        type,
+        status: type === 'safe' ? FAULT_STATUS : trusted.status,
+        restored: false,
+        replay,
+        lastSeen,
+      };
+    }
+    const result = classifyRoom(room, memory);
+    hazards[room.id] = result.state;
+    const status = result.type === 'safe' && room.faults?.length ? FAULT_STATUS : result.status;
+    return { ...room, type: result.type, status, riseRate: result.riseRate, restored: false, replay, lastSeen };
+  });
+
+  return { rooms: classified, hazards };
+};
+
+// initialRooms: the last known rooms (roomCache.js), shown until the source reports
+export const createFeedStore = (initialRooms = []) => {
+  let state = { ...INITIAL_FEED, rooms: initialRooms };
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+
+    // --- FUNCTION: APPLY ---
+    // Takes a parsed sensor message; listeners run right after the rooms change
+    apply(message) {
+      const next = feedReducer(state, message);
+      if (next === state) return;
+      state = next;
+      listeners.forEach(listener => listener(state, message));
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
@@ -0,0 +1,124 @@
+// ==================================================================================
+// FLOOR PLAN MODEL
+// Loads the building layout drawn in the "PHYSICAL LAYOUT VIEW" panel.
+// Accepts the JSON format or a tagged SVG file (see docs/floor-plan.md).
+// ==================================================================================
+
+// --- HELPER: ID FROM ATTRIBUTE ---
+// SVG attributes are always strings; "2" should match the sensor room id 2
+const toId = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+
+// --- HELPER: VALID POINT ---
+const isPoint = (p) => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite);
+
+// --- FUNCTION: PARSE JSON PLAN ---
+// Throws an Error with a readable message when the plan is unusable
+export const parseFloorPlan = (json) => {
+  if (!json || !Number.isFinite(json.width) || !Number.isFinite(json.height)) {
+    throw new Error('Floor plan needs a numeric width and height');
+  }
+  if (!Array.isArray(json.rooms) || json.rooms.length === 0) {
+    throw new Error('Floor plan has no rooms');
+  }
+
+  const rooms = json.rooms.map(room => {
+    if (room.id === undefined || !Array.isArray(room.polygon) || room.polygon.length < 3 || !room.polygon.every(isPoint)) {
+      throw new Error(`Room ${room.id ?? '?'} needs an id and a polygon of at least 3 points`);
+    }
+    return { id: room.id, name: room.name || `Room ${room.id}`, polygon: room.polygon };
+  });
+
+  return {
+    name: json.name || 'Floor Plan',
+    width: json.width,
+    height: json.height,
+    rooms,
+    doors: (json.doors || []).filter(d => Array.isArray(d.points) && d.points.every(isPoint)),
+    exits: (json.exits || []).filter(e => isPoint(e.position)),
+    sensors: (json.sensors || []).filter(s => isPoint(s.position)),
+  };
+};
+
+// --- HELPER: SVG POINTS ATTRIBUTE -> [[x, y], ...] ---
+const parsePoints = (text = '') => {
+  const numbers = text.trim().split(/[\s,]+/).map(Number);
+  const points = [];
+  for (let i = 0; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+  return points;
+};
+
+// --- FUNCTION: PARSE SVG PLAN ---
+// Reads elements tagged with data-* attributes:
+//   <polygon data-room="1" data-name="Room 1" points="..."/>   (or <rect data-room>)
+//   <line data-door="d1" data-from="1" data-to="corridor" x1 y1 x2 y2/>
+//   <circle data-exit="exit-west" data-name="West Exit" data-zone="corridor" cx cy/>
+//   <circle data-sensor="s1" data-room="1" cx cy/>
+export const parseFloorPlanSvg = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+  const svg = doc.querySelector('svg');
+  if (!svg || doc.querySelector('parsererror')) throw new Error('Floor plan SVG could not be read');
+
+  const [, , width, height] = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const num = (el, name) => Number(el.getAttribute(name));
+
+  const rooms = [...doc.querySelectorAll('[data-room]:not([data-sensor])')].map(el => {
+    const polygon = el.tagName === 'rect'
+      ? [
+        [num(el, 'x'), num(el, 'y')],
+        [num(el, 'x') + num(el, 'width'), num(el, 'y')],
+        [num(el, 'x') + num(el, 'width'), num(el, 'y') + num(el, 'height')],
+        [num(el, 'x'), num(el, 'y') + num(el, 'height')],
+      ]
+      : parsePoints(el.getAttribute('points'));
+    return { id: toId(el.dataset.room), name: el.dataset.name, polygon };
+  });
+
+  return parseFloorPlan({
+    name: svg.dataset.name,
+    width: width || num(svg, 'width'),
+    height: height || num(svg, 'height'),
+    rooms,
+    doors: [...doc.querySelectorAll('[data-door]')].map(el => ({
+      id: el.dataset.door,
+      from: toId(el.dataset.from),
+      to: toId(el.dataset.to),
+      points: [[num(el, 'x1'), num(el, 'y1')], [num(el, 'x2'), num(el, 'y2')]],
+    })),
+    exits: [...doc.querySelectorAll('[data-exit]')].map(el => ({
+      id: el.dataset.exit,
+      name: el.dataset.name || el.dataset.exit,
+      zone: toId(el.dataset.zone),
+      position: [num(el, 'cx'), num(el, 'cy')],
+    })),
+    sensors: [...doc.querySelectorAll('[data-sensor]')].map(el => ({
+      id: el.dataset.sensor,
+      roomId: toId(el.dataset.room),
+      position: [num(el, 'cx'), num(el, 'cy')],
+    })),
+  });
+};
+
+// --- FUNCTION: LOAD PLAN ---
+// Fetches a .json or .svg floor plan from `url`
+export const loadFloorPlan = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Floor plan request failed (${response.status})`);
+
+  const isSvg = url.endsWith('.svg') || (response.headers.get('content-type') || '').includes('svg');
+  return isSvg ? parseFloorPlanSvg(await response.text()) : parseFloorPlan(await response.json());
+};
+
+// --- HELPER: POLYGON CENTROID ---
+// Where markers and labels are placed inside a room
+export const polygonCentroid = (polygon) => {
+  let area = 0, cx = 0, cy = 0;
+  polygon.forEach(([x1, y1], i) => {
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+    const cross = x1 * y2 - x2 * y1;
+    area += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  });
+  if (area === 0) return polygon[0];
+  return [cx / (3 * area), cy / (3 * area)];
+};
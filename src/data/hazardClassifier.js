@@ -0,0 +1,72 @@
+// ==================================================================================
+// HAZARD CLASSIFICATION ENGINE
+// Works out each room's `type` ('fire' | 'smoke' | 'temp' | 'safe') and `status`
+// text from its raw temperature and smoke readings.
+// ==================================================================================
+
+import { getThresholds } from '../config/hazardThresholds';
+
+// --- HAZARD TYPES ---
+// Ordered from most to least severe. `rank` is used to pick the worst state.
+export const HAZARD_TYPES = {
+  fire: { rank: 3, status: 'Fire Detected' },
+  smoke: { rank: 2, status: 'Dense Smoke' },
+  temp: { rank: 1, status: 'High Temperature' },
+  safe: { rank: 0, status: 'Safe for Now' },
+};
+
+const RATE_OF_RISE_STATUS = 'Rapid Temperature Rise';
+
+// Classifier memory for a room that has not reported yet
+export const EMPTY_HAZARD_STATE = {
+  samples: [],
+  flags: { fire: false, rate: false, smoke: false, temp: false },
+};
+
+// --- HELPER: THRESHOLD WITH HYSTERESIS ---
+// Turning on needs value >= limit. Staying on only needs value > limit - margin.
+const isOver = (value, limit, margin, wasOn) => (wasOn ? value > limit - margin : value >= limit);
+
+// --- HELPER: RATE OF RISE ---
+// °C per minute between the oldest and newest sample in the window.
+// Returns null until enough history exists.
+const riseRate = (samples, minSpanMs) => {
+  if (samples.length < 2) return null;
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const span = last.ts - first.ts;
+  if (span < minSpanMs) return null;
+  return ((last.temp - first.temp) / span) * 60000;
+};
+
+// --- FUNCTION: CLASSIFY ROOM ---
+// Pure: takes a reading and the room's previous classifier state, returns
+// { type, status, riseRate, state } where `state` is kept for the next reading.
+export const classifyRoom = (reading, previous = EMPTY_HAZARD_STATE, thresholds = getThresholds(reading.id)) => {
+  const { hysteresis } = thresholds;
+  const samples = [...previous.samples, { ts: reading.ts, temp: reading.temp }]
+    .filter(s => reading.ts - s.ts <= thresholds.rateWindowMs);
+  const rate = riseRate(samples, thresholds.rateMinSpanMs);
+
+  const flags = {
+    fire: isOver(reading.temp, thresholds.fireTemp, hysteresis.temp, previous.flags.fire),
+    rate: rate !== null && isOver(rate, thresholds.rateOfRise, hysteresis.rate, previous.flags.rate),
+    smoke: isOver(reading.smoke, thresholds.smoke, hysteresis.smoke, previous.flags.smoke),
+    temp: isOver(reading.temp, thresholds.highTemp, hysteresis.temp, previous.flags.temp),
+  };
+
+  let type = 'safe';
+  let status = HAZARD_TYPES.safe.status;
+  if (flags.fire || flags.rate) {
+    type = 'fire';
+    status = flags.fire ? HAZARD_TYPES.fire.status : RATE_OF_RISE_STATUS;
+  } else if (flags.smoke) {
+    type = 'smoke';
+    status = HAZARD_TYPES.smoke.status;
+  } else if (flags.temp) {
+    type = 'temp';
+    status = HAZARD_TYPES.temp.status;
+  }
+
+  return { type, status, riseRate: rate, state: { samples, flags } };
+};
@@ -0,0 +1,58 @@
+// ==================================================================================
+// HISTORY STATS
+// Min / max / trend for a series of readings, shown next to each sparkline.
+// ==================================================================================
+
+// Change per minute below which a series counts as "steady"
+export const TREND_THRESHOLDS = {
+  temp: 0.5,  // °C per minute
+  smoke: 1,   // % per minute
+};
+
+// --- HELPER: SLOPE PER MINUTE ---
+// Least-squares line through the points, so one noisy reading does not flip the trend
+const slopePerMinute = (samples, key) => {
+  const n = samples.length;
+  const t0 = samples[0].ts;
+  let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+  samples.forEach(s => {
+    const x = (s.ts - t0) / 60000;
+    sumX += x;
+    sumY += s[key];
+    sumXY += x * s[key];
+    sumXX += x * x;
+  });
+  const denominator = n * sumXX - sumX * sumX;
+  return denominator === 0 ? 0 : (n * sumXY - sumX * sumY) / denominator;
+};
+
+// --- FUNCTION: SUMMARIZE SERIES ---
+// Returns { min, max, latest, slope, trend: 'rising' | 'falling' | 'steady' } or null
+export const summarizeSeries = (samples, key) => {
+  if (samples.length === 0) return null;
+
+  const values = samples.map(s => s[key]);
+  const slope = samples.length > 1 ? slopePerMinute(samples, key) : 0;
+  const threshold = TREND_THRESHOLDS[key] ?? 0;
+
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    latest: values[values.length - 1],
+    slope,
+    trend: slope > threshold ? 'rising' : slope < -threshold ? 'falling' : 'steady',
+  };
+};
+
+// --- HELPER: CHART POINTS ---
+// Maps samples onto a 100 x 100 SVG box (y flipped so higher values sit higher).
+// The SVG stretches the box to whatever size the chart is drawn at.
+export const toChartPoints = (samples, key, min, max) => {
+  if (samples.length < 2) return '';
+  const t0 = samples[0].ts;
+  const span = samples[samples.length - 1].ts - t0 || 1;
+  const range = max - min || 1;
+  return samples
+    .map(s => `${((s.ts - t0) / span) * 100},${100 - ((s[key] - min) / range) * 100}`)
+    .join(' ');
+};
@@ -0,0 +1,91 @@
+// ==================================================================================
+// ROOM HISTORY STORE
+// Keeps a bounded time-series of readings per room for sparklines and charts.
+// Lives outside React state so recording a reading never copies the whole history.
+// ==================================================================================
+
+import { createRingBuffer } from './ringBuffer';
+
+// One hour of readings at one reading per second
+export const HISTORY_CAPACITY = 3600;
+
+export const createHistoryStore = ({ capacity = HISTORY_CAPACITY } = {}) => {
+  const buffers = new Map(); // roomId -> ring buffer of { ts, temp, smoke }
+  const versions = new Map(); // roomId -> change counter, lets React know what to re-read
+  const listeners = new Set();
+
+  // --- HELPER: STORE ONE READING ---
+  const push = ({ id, ts, temp, smoke, usable }) => {
+    // Every sensor faulty: nothing trustworthy to chart
+    if (usable === false) return;
+    let buffer = buffers.get(id);
+    if (!buffer) {
+      buffer = createRingBuffer(capacity);
+      buffers.set(id, buffer);
+    }
+    // Out-of-order readings would break the time axis, so skip them
+    if (buffer.last()?.ts > ts) return;
+    buffer.push({ ts, temp, smoke });
+    versions.set(id, (versions.get(id) || 0) + 1);
+  };
+
+  const drop = (id) => {
+    buffers.delete(id);
+    versions.set(id, (versions.get(id) || 0) + 1);
+  };
+
+  return {
+    // --- FUNCTION: RECORD ---
+    // Takes a parsed sensor message (see src/data/sensorSchema.js)
+    record(message) {
+      switch (message.type) {
+        case 'snapshot': {
+          const ids = new Set(message.rooms.map(r => r.id));
+          [...buffers.keys()].filter(id => !ids.has(id)).forEach(drop);
+          message.rooms.forEach(push);
+          break;
+        }
+        case 'reading':
+          push(message.room);
+          break;
+        case 'remove':
+          drop(message.roomId);
+          break;
+        default:
+          return;
+      }
+      listeners.forEach(listener => listener());
+    },
+
+    // --- FUNCTION: CLEAR ---
+    // Forgets every room, e.g. when a session replay is closed
+    clear() {
+      [...buffers.keys()].forEach(drop);
+      listeners.forEach(listener => listener());
+    },
+
+    // --- FUNCTION: GET SAMPLES ---
+    // Readings from the last `windowMs`, measured back from the newest reading
+    getSamples(roomId, windowMs = Infinity) {
+      const buffer = buffers.get(roomId);
+      if (!buffer) return [];
+      const samples = buffer.toArray();
+      const from = samples[samples.length - 1].ts - windowMs;
+      return samples.filter(s => s.ts >= from);
+    },
+
+    // --- FUNCTION: ROOMS WITH HISTORY ---
+    getRoomIds() {
+      return [...buffers.keys()];
+    },
+
+    getVersion(roomId) {
+      return versions.get(roomId) || 0;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
@@ -0,0 +1,61 @@
+// ==================================================================================
+// INCIDENT STORE
+// Keeps the incident list (see src/data/incidents.js) outside React and tells
+// listeners about every lifecycle event, e.g. so it can be written to the log.
+// ==================================================================================
+
+import { syncIncidents, applyIncidentAction } from './incidents';
+
+export const createIncidentStore = () => {
+  let incidents = [];
+  let nextId = 1;
+  const listeners = new Set();
+  const eventListeners = new Set();
+
+  const emit = (events) => {
+    events.forEach(event => eventListeners.forEach(listener => listener(event)));
+  };
+
+  const set = (next) => {
+    if (next === incidents) return;
+    incidents = next;
+    listeners.forEach(listener => listener());
+  };
+
+  return {
+    getSnapshot: () => incidents,
+
+    // --- FUNCTION: SYNC ---
+    // Call after every sensor update with the classified rooms
+    sync(rooms, now = Date.now()) {
+      const result = syncIncidents(incidents, rooms, { now, nextId });
+      nextId = result.nextId;
+      set(result.incidents);
+      emit(result.events);
+    },
+
+    // --- OPERATOR ACTIONS ---
+    // Each returns true if the action was applied
+    act(id, action, { user, note } = {}) {
+      const result = applyIncidentAction(incidents, id, action, { user, note, now: Date.now() });
+      if (!result.event) return false;
+      set(result.incidents);
+      emit([result.event]);
+      return true;
+    },
+    acknowledge(id, user) { return this.act(id, 'acknowledged', { user }); },
+    escalate(id, user, note) { return this.act(id, 'escalated', { user, note }); },
+    resolve(id, user) { return this.act(id, 'resolved', { user }); },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Lifecycle events: { incident, action, user?, detail }
+    onEvent(listener) {
+      eventListeners.add(listener);
+      return () => eventListeners.delete(listener);
+    },
+  };
+};
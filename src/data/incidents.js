@@ -0,0 +1,173 @@
+// ==================================================================================
+// INCIDENT LIFECYCLE
+// An incident is opened when a room turns hazardous and follows it until an
+// operator resolves it:
+//
+//   active ──acknowledge──> acknowledged ──resolve──> resolved
+//     │                          │
+//     └──── escalate (manual, or automatic when the hazard gets worse) ────┘
+//
+// A room that disappears from the feed (removed, or left out of a snapshot)
+// can no longer report its hazard, so its incident is marked lost and waits
+// for an operator to resolve it like a cleared one.
+//
+// Incidents opened by a session replay are marked `replay`: they are shown and
+// logged like live ones but never reported outside the dashboard. Live and
+// replayed hazards never share an incident, and a replay incident ends (is
+// resolved without an operator) as soon as live data takes its room back.
+//
+// Each room has at most one open incident, so separate rooms run separate
+// incidents at the same time. Resolved incidents are kept with their full
+// history for reports.
+// ==================================================================================
+
+import { HAZARD_TYPES } from './hazardClassifier';
+
+// --- HELPER: SEVERITY RANK ---
+const rank = (type) => HAZARD_TYPES[type]?.rank ?? 0;
+
+// --- HELPER: INCIDENT STATE CHECKS ---
+export const isOpen = (incident) => incident.status !== 'resolved';
+export const isHazardPresent = (incident) => isOpen(incident) && incident.clearedAt === null;
+
+// --- HELPER: DURATION IN MS ---
+// Resolved incidents keep their final duration; open ones keep counting
+export const incidentDuration = (incident, now) => Math.max(0, (incident.resolvedAt ?? now) - incident.startedAt);
+
+// --- HELPER: HISTORY DETAIL IN THE OPERATOR'S LANGUAGE ---
+// Details are stored in English (they also go to the Master Node); i18n is the
+// translator from src/i18n
+export const describeDetail = (detail, { t, term }) => {
+  const worsened = /^Worsened to (.+)$/.exec(detail ?? '');
+  return worsened ? t('incidents.worsened', { status: term(worsened[1]) }) : detail && term(detail);
+};
+
+// --- HELPER: APPEND HISTORY ENTRY ---
+const withEvent = (incident, event) => ({ ...incident, history: [...incident.history, event] });
+
+// --- FUNCTION: SYNC WITH ROOMS ---
+// Opens, worsens, clears or re-opens incidents from the latest classified rooms.
+// Returns { incidents, events } where events describe what changed (for the log).
+export const syncIncidents = (incidents, rooms, { now, nextId }) => {
+  const events = [];
+  let next = incidents;
+  let counter = nextId;
+
+  const replace = (updated) => {
+    next = next.map(i => (i.id === updated.id ? updated : i));
+  };
+
+  // Replay over: the incident closes itself, nobody has to resolve it
+  const endReplay = (incident) => {
+    const updated = withEvent(
+      { ...incident, type: 'safe', status: 'resolved', clearedAt: incident.clearedAt ?? now, resolvedAt: now },
+      { ts: now, action: 'ended', detail: '' }
+    );
+    replace(updated);
+    events.push({ incident: updated, action: 'ended', detail: '' });
+  };
+
+  rooms.forEach(room => {
+    if (room.restored) return; // Cached state from before a reload (roomCache.js), not a live hazard
+    const replay = room.replay === true;
+    if (!replay) next.filter(i => i.roomId === room.id && i.replay && isOpen(i)).forEach(endReplay);
+    const open = next.find(i => i.roomId === room.id && isOpen(i) && (i.replay === true) === replay);
+    const hazardous = room.type && room.type !== 'safe';
+
+    if (hazardous && !open) {
+      // 1. New incident
+      const incident = {
+        id: `INC-${String(counter++).padStart(4, '0')}`,
+        roomId: room.id,
+        roomName: room.name,
+        replay,
+        type: room.type,
+        peakType: room.type,
+        status: 'active',
+        startedAt: now,
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        escalationLevel: 0,
+        escalatedAt: null,
+        clearedAt: null,
+        lostAt: null,
+        resolvedAt: null,
+        resolvedBy: null,
+        history: [{ ts: now, action: 'opened', detail: room.status }],
+      };
+      next = [...next, incident];
+      events.push({ incident, action: 'opened', detail: room.status });
+      return;
+    }
+    if (!open) return;
+
+    if (hazardous) {
+      let updated = open;
+      if (room.type !== open.type || room.name !== open.roomName) {
+        updated = { ...open, type: room.type, roomName: room.name };
+      }
+      if (open.clearedAt !== null) {
+        // 2. Hazard came back before anyone resolved the incident
+        updated = withEvent({ ...updated, clearedAt: null, lostAt: null }, { ts: now, action: 'recurred', detail: room.status });
+        events.push({ incident: updated, action: 'recurred', detail: room.status });
+      }
+      if (rank(room.type) > rank(open.peakType)) {
+        // 3. Got worse: escalate automatically
+        updated = withEvent(
+          { ...updated, peakType: room.type, escalationLevel: updated.escalationLevel + 1, escalatedAt: now },
+          { ts: now, action: 'escalated', detail: `Worsened to ${room.status}` }
+        );
+        events.push({ incident: updated, action: 'escalated', detail: `Worsened to ${room.status}` });
+      }
+      if (updated !== open) replace(updated);
+    } else if (open.clearedAt === null) {
+      // 4. Room is safe again; the incident waits for an operator to resolve it
+      const updated = withEvent({ ...open, type: 'safe', clearedAt: now }, { ts: now, action: 'cleared', detail: room.status });
+      replace(updated);
+      events.push({ incident: updated, action: 'cleared', detail: room.status });
+    }
+  });
+
+  // 5. Room no longer reported: nothing can clear the hazard any more
+  const present = new Set(rooms.map(room => room.id));
+  next.filter(i => i.replay && isOpen(i) && !present.has(i.roomId)).forEach(endReplay);
+  next.filter(i => isHazardPresent(i) && !present.has(i.roomId)).forEach(open => {
+    const updated = withEvent({ ...open, clearedAt: now, lostAt: now }, { ts: now, action: 'lost', detail: '' });
+    replace(updated);
+    events.push({ incident: updated, action: 'lost', detail: '' });
+  });
+
+  return { incidents: next, events, nextId: counter };
+};
+
+// --- FUNCTION: OPERATOR ACTION ---
+// action: 'acknowledged' | 'escalated' | 'resolved'
+// Returns { incidents, event } - event is null when the action is not allowed.
+export const applyIncidentAction = (incidents, id, action, { user, now, note }) => {
+  const incident = incidents.find(i => i.id === id);
+  if (!incident || !isOpen(incident)) return { incidents, event: null };
+
+  let updated;
+  switch (action) {
+    case 'acknowledged':
+      if (incident.acknowledgedAt) return { incidents, event: null };
+      updated = { ...incident, status: 'acknowledged', acknowledgedAt: now, acknowledgedBy: user };
+      break;
+    case 'escalated':
+      updated = { ...incident, escalationLevel: incident.escalationLevel + 1, escalatedAt: now };
+      break;
+    case 'resolved':
+      // A room that still reports a hazard cannot be closed
+      if (isHazardPresent(incident)) return { incidents, event: null };
+      updated = { ...incident, status: 'resolved', resolvedAt: now, resolvedBy: user };
+      break;
+    default:
+      return { incidents, event: null };
+  }
+
+  updated = withEvent(updated, { ts: now, action, user, detail: note || '' });
+  return {
+    incidents: incidents.map(i => (i.id === id ? updated : i)),
+    event: { incident: updated, action, user, detail: note || '' },
+  };
+};
@@ -0,0 +1,33 @@
+// ==================================================================================
+// SENSOR NODE HEALTH
+// A node that stops reporting is not "safe", it is unknown. Every room gets a
+// `health` from the time since its node was last heard from:
+//   online  -> data is current
+//   stale   -> silent longer than NODE_TIMEOUTS.staleAfterMs
+//   offline -> silent longer than NODE_TIMEOUTS.offlineAfterMs
+// ==================================================================================
+
+import { NODE_TIMEOUTS } from '../config/nodeHealth';
+
+// --- FUNCTION: HEALTH OF ONE ROOM ---
+export const nodeHealth = (room, now, timeouts = NODE_TIMEOUTS) => {
+  const silentFor = now - (room.lastSeen ?? room.ts);
+  if (silentFor >= timeouts.offlineAfterMs) return 'offline';
+  if (silentFor >= timeouts.staleAfterMs) return 'stale';
+  return 'online';
+};
+
+// --- HELPER: IS THE ROOM'S DATA OUT OF DATE? ---
+export const isSilent = (room) => Boolean(room?.health) && room.health !== 'online';
+
+// --- FUNCTION: ADD HEALTH TO ROOMS ---
+export const withHealth = (rooms, now, timeouts = NODE_TIMEOUTS) => rooms.map(room => ({ ...room, health: nodeHealth(room, now, timeouts) }));
+
+// --- HELPER: "12s ago" / "3m ago" / "2h ago" (or "vor 12 s" for 'de') ---
+export const formatAge = (ms, locale = 'en') => {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const format = new Intl.RelativeTimeFormat(locale, { style: 'narrow', numeric: 'always' });
+  if (seconds < 60) return format.format(-seconds, 'second');
+  if (seconds < 3600) return format.format(-Math.floor(seconds / 60), 'minute');
+  return format.format(-Math.floor(seconds / 3600), 'hour');
+};
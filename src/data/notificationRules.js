@@ -0,0 +1,67 @@
+// ==================================================================================
+// NOTIFICATION RULES
+// Which channels a System Logs entry is sent to.
+// Channel: { id, name, url, template, enabled }
+// Rule:    { id, name, minSeverity, rooms, channels, enabled }
+//   minSeverity - 'info' | 'warning' | 'critical' (and everything above it)
+//   rooms       - room ids; empty means every room and entries without a room
+//   channels    - channel ids the matching entries go to
+// ==================================================================================
+
+import { LOG_SEVERITIES } from '../config/eventLog';
+import { WEBHOOK_TEMPLATES } from '../config/notifications';
+
+// Entries of these categories are never sent: delivery status would loop back out,
+// and replayed or simulated events did not happen on site
+const NEVER_SENT = ['notification', 'replay', 'simulation'];
+
+// --- HELPER: VALID WEBHOOK URL? (http or https) ---
+export const isValidWebhookUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// --- HELPER: HOST ONLY ---
+// Webhook URLs often carry a secret token in the path, so logs only name the host
+export const webhookHost = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid URL';
+  }
+};
+
+// --- HELPER: DOES A RULE MATCH AN ENTRY? ---
+export const ruleMatches = (rule, entry) =>
+  rule.enabled
+  && LOG_SEVERITIES.indexOf(entry.severity) >= LOG_SEVERITIES.indexOf(rule.minSeverity)
+  && (rule.rooms.length === 0 || rule.rooms.some(id => String(id) === String(entry.roomId)));
+
+// --- FUNCTION: CHANNELS FOR AN ENTRY ---
+// Every enabled channel named by at least one matching rule, each once
+export const channelsFor = ({ channels, rules }, entry) => {
+  if (NEVER_SENT.includes(entry.category)) return [];
+  const ids = new Set(rules.filter(rule => ruleMatches(rule, entry)).flatMap(rule => rule.channels));
+  return channels.filter(channel => channel.enabled && isValidWebhookUrl(channel.url) && ids.has(channel.id));
+};
+
+// --- HELPER: "Slack #ops (Slack, hooks.slack.com)" (for the audit log, in the translator's language) ---
+export const describeChannel = (channel, { t }) => t(channel.enabled ? 'notifications.describeChannel' : 'notifications.describeChannelOff', {
+  name: channel.name,
+  format: WEBHOOK_TEMPLATES[channel.template]?.split(' (')[0] ?? channel.template,
+  host: webhookHost(channel.url),
+});
+
+// --- HELPER: "warning and above, rooms 1, 2 -> Slack #ops" (for the audit log) ---
+export const describeRule = (rule, channels, { t, term }) => {
+  const names = rule.channels.map(id => channels.find(c => c.id === id)?.name ?? id);
+  return t(rule.enabled ? 'notifications.describeRule' : 'notifications.describeRuleOff', {
+    name: rule.name,
+    severity: term(rule.minSeverity),
+    rooms: rule.rooms.length ? t('notifications.someRooms', { rooms: rule.rooms.join(', ') }) : t('notifications.allRooms'),
+    channels: names.join(', ') || t('notifications.noChannel'),
+  });
+};
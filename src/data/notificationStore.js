@@ -0,0 +1,108 @@
+// ==================================================================================
+// NOTIFICATION STORE
+// Webhook channels and notification rules set by admins, saved in localStorage
+// so they survive a refresh. Shape: { channels: [...], rules: [...] }
+// (see src/data/notificationRules.js). Until an admin saves anything the
+// defaults from src/config/notifications.js apply.
+// ==================================================================================
+
+import { DEFAULT_NOTIFICATIONS, WEBHOOK_TEMPLATES } from '../config/notifications';
+import { LOG_SEVERITIES } from '../config/eventLog';
+
+const STORAGE_KEY = 'safe.notifications';
+
+// --- HELPER: CLEAN UP ONE CHANNEL / RULE ---
+// Saved values that no longer make sense (unknown template or severity) are replaced
+const cleanChannel = (channel) => ({
+  id: String(channel.id),
+  name: String(channel.name || 'Webhook'),
+  url: String(channel.url || ''),
+  template: WEBHOOK_TEMPLATES[channel.template] ? channel.template : 'generic',
+  enabled: channel.enabled !== false,
+});
+
+const cleanRule = (rule) => ({
+  id: String(rule.id),
+  name: String(rule.name || 'Rule'),
+  minSeverity: LOG_SEVERITIES.includes(rule.minSeverity) ? rule.minSeverity : 'critical',
+  rooms: Array.isArray(rule.rooms) ? rule.rooms.map(String) : [],
+  channels: Array.isArray(rule.channels) ? rule.channels.map(String) : [],
+  enabled: rule.enabled !== false,
+});
+
+// --- HELPER: LOAD SAVED SETTINGS ---
+const load = (storage, defaults) => {
+  try {
+    const saved = JSON.parse(storage?.getItem(STORAGE_KEY));
+    if (saved && Array.isArray(saved.channels) && Array.isArray(saved.rules)) {
+      return { channels: saved.channels.map(cleanChannel), rules: saved.rules.map(cleanRule) };
+    }
+  } catch {
+    // Fall through to the defaults
+  }
+  return { channels: defaults.channels.map(cleanChannel), rules: defaults.rules.map(cleanRule) };
+};
+
+export const createNotificationStore = ({ storage = globalThis.localStorage, defaults = DEFAULT_NOTIFICATIONS } = {}) => {
+  let settings = load(storage, defaults);
+  let sequence = 0;
+  const listeners = new Set();
+
+  const save = (next) => {
+    settings = next;
+    storage?.setItem(STORAGE_KEY, JSON.stringify(next));
+    listeners.forEach(listener => listener());
+  };
+
+  const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${sequence++}`;
+
+  // --- HELPER: ADD OR REPLACE ONE ITEM IN A LIST ---
+  const upsert = (list, item) => (list.some(x => x.id === item.id) ? list.map(x => (x.id === item.id ? item : x)) : [...list, item]);
+
+  return {
+    getSnapshot: () => settings,
+
+    // --- FUNCTION: SAVE CHANNEL ---
+    // A channel without an id is new. Returns { before (null when new), after }.
+    saveChannel(channel) {
+      const before = settings.channels.find(c => c.id === channel.id) ?? null;
+      const after = cleanChannel({ ...channel, id: channel.id ?? newId('ch') });
+      save({ ...settings, channels: upsert(settings.channels, after) });
+      return { before, after };
+    },
+
+    // --- FUNCTION: REMOVE CHANNEL ---
+    // Also takes it out of every rule. Returns the removed channel.
+    removeChannel(id) {
+      const removed = settings.channels.find(c => c.id === id);
+      if (!removed) return null;
+      save({
+        channels: settings.channels.filter(c => c.id !== id),
+        rules: settings.rules.map(rule => ({ ...rule, channels: rule.channels.filter(c => c !== id) })),
+      });
+      return removed;
+    },
+
+    // --- FUNCTION: SAVE RULE ---
+    // A rule without an id is new. Returns { before (null when new), after }.
+    saveRule(rule) {
+      const before = settings.rules.find(r => r.id === rule.id) ?? null;
+      const after = cleanRule({ ...rule, id: rule.id ?? newId('rule') });
+      save({ ...settings, rules: upsert(settings.rules, after) });
+      return { before, after };
+    },
+
+    // --- FUNCTION: REMOVE RULE ---
+    removeRule(id) {
+      const removed = settings.rules.find(r => r.id === id);
+      if (!removed) return null;
+      save({ ...settings, rules: settings.rules.filter(r => r.id !== id) });
+      return removed;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
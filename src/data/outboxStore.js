@@ -0,0 +1,131 @@
+// ==================================================================================
+// OUTBOX STORE
+// Messages for the Master Node (actuator commands, incident updates) that could
+// not be sent because the connection is down. They are saved in localStorage,
+// so a reload while offline keeps them, and sent in order once the node is back.
+// Item: { id, message, queuedAt }
+// A message older than OUTBOX_MAX_AGE_MS[message.type] is dropped, never sent late.
+// ==================================================================================
+
+import { OUTBOX_MAX_AGE_MS } from '../config/offline';
+
+const STORAGE_KEY = 'safe.outbox';
+
+// --- HELPER: "command cmd-m2f9x1c4-3 (sprinkler -> open)" / "INC-0002 acknowledged update" ---
+// i18n: the translator from src/i18n
+export const describeOutboxMessage = (message, { t, term }) => {
+  if (message.type === 'command') return t('outbox.command', { id: message.id, actuator: message.actuator, state: term(message.state) });
+  if (message.type === 'incident') return t('outbox.incident', { id: message.incidentId, action: term(message.action) });
+  return t('outbox.other', { type: message.type });
+};
+
+// --- HELPER: LOAD SAVED ITEMS ---
+const load = (storage) => {
+  try {
+    const saved = JSON.parse(storage?.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter(item => item?.message && item.queuedAt) : [];
+  } catch {
+    return [];
+  }
+};
+
+// send(message) is the data source's send: it rejects with `err.offline` set when
+// there is no connection. Other errors (the node refused) are not queued.
+export const createOutboxStore = ({ send, storage = globalThis.localStorage, maxAgeMs = OUTBOX_MAX_AGE_MS } = {}) => {
+  let items = load(storage); // Oldest first
+  let flushing = false;
+  const waiters = new Map(); // id -> { resolve, reject } of callers on this page
+  const listeners = new Set();
+  const eventListeners = new Set();
+
+  const set = (next) => {
+    items = next;
+    storage?.setItem(STORAGE_KEY, JSON.stringify(next));
+    listeners.forEach(listener => listener());
+  };
+
+  const emit = (item, action) => eventListeners.forEach(listener => listener({ item, action }));
+
+  // --- HELPER: TAKE AN ITEM OUT AND ANSWER ITS CALLER ---
+  const settle = (item, action, error) => {
+    set(items.filter(i => i.id !== item.id));
+    const waiter = waiters.get(item.id);
+    waiters.delete(item.id);
+    if (error) waiter?.reject(error);
+    else waiter?.resolve();
+    emit(item, action);
+  };
+
+  const expired = (item, now) => now - item.queuedAt > (maxAgeMs[item.message.type] ?? 0);
+
+  // --- FUNCTION: FLUSH ---
+  // Sends queued items in order; stops at the first one that still cannot go
+  const flush = async () => {
+    if (flushing) return;
+    flushing = true;
+    try {
+      while (items.length) {
+        const item = items[0];
+        if (expired(item, Date.now())) {
+          const minutes = Math.round((maxAgeMs[item.message.type] ?? 0) / 60000);
+          settle(item, 'expired', new Error(`not sent: queued for more than ${minutes} min while offline`));
+          continue;
+        }
+        try {
+          await send(item.message);
+        } catch (err) {
+          if (err.offline) return; // Still down, try again on the next reconnect
+          settle(item, 'failed', err);
+          continue;
+        }
+        settle(item, 'sent');
+      }
+    } finally {
+      flushing = false;
+    }
+  };
+
+  // --- HELPER: QUEUE ONE MESSAGE ---
+  const enqueue = (message, onQueued) => new Promise((resolve, reject) => {
+    const item = { id: message.id, message, queuedAt: Date.now() };
+    waiters.set(item.id, { resolve, reject });
+    set([...items, item]);
+    onQueued?.();
+    emit(item, 'queued');
+  });
+
+  return {
+    getSnapshot: () => items,
+
+    // --- FUNCTION: SEND ---
+    // Resolves once the message has been handed to the node, right away or after
+    // a reconnect. onQueued() is called if it has to wait.
+    async send(message, onQueued) {
+      if (items.length) {
+        // Older messages go first
+        const queued = enqueue(message, onQueued);
+        flush();
+        return queued;
+      }
+      try {
+        await send(message);
+      } catch (err) {
+        if (!err.offline) throw err;
+        return enqueue(message, onQueued);
+      }
+    },
+
+    flush,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Item events: { item, action: 'queued' | 'sent' | 'expired' | 'failed' }
+    onEvent(listener) {
+      eventListeners.add(listener);
+      return () => eventListeners.delete(listener);
+    },
+  };
+};
@@ -0,0 +1,76 @@
+// ==================================================================================
+// PLAYBACK GATE
+// Scenarios and session replays drive some rooms through the live pipeline.
+// While one is loaded, live messages for its rooms are held back, so live and
+// recorded readings never take turns on the same card, and heartbeats cannot
+// keep a scripted dropout looking alive. The gate remembers the latest live
+// reading of every room; when the playback stops, those readings hand the
+// rooms back to the live feed.
+// ==================================================================================
+
+export const createPlaybackGate = () => {
+  const driven = new Map(); // channel -> Set of room ids it plays
+  const live = new Map(); // roomId -> { room, heardAt }: latest live reading, last sign of life
+
+  const isDriven = (id) => [...driven.values()].some(ids => ids.has(id));
+
+  return {
+    // --- FUNCTION: START ---
+    // channel: 'scenario' | 'replay'; replaces the rooms the channel played before
+    start(channel, roomIds) {
+      driven.set(channel, new Set(roomIds));
+    },
+
+    // --- FUNCTION: FILTER A LIVE MESSAGE ---
+    // Returns the messages to apply now. currentIds: rooms on the dashboard.
+    // A snapshot would drop the played rooms, so during playback it is applied
+    // room by room instead.
+    filter(message, currentIds, now = Date.now()) {
+      switch (message.type) {
+        case 'snapshot': {
+          const ids = new Set(message.rooms.map(room => room.id));
+          [...live.keys()].filter(id => !ids.has(id)).forEach(id => live.delete(id));
+          message.rooms.forEach(room => live.set(room.id, { room, heardAt: now }));
+          if (driven.size === 0) return [message];
+          return [
+            ...currentIds.filter(id => !ids.has(id) && !isDriven(id)).map(roomId => ({ type: 'remove', roomId })),
+            ...message.rooms.filter(room => !isDriven(room.id)).map(room => ({ type: 'reading', room })),
+          ];
+        }
+        case 'reading':
+          live.set(message.room.id, { room: message.room, heardAt: now });
+          return isDriven(message.room.id) ? [] : [message];
+        case 'remove':
+          live.delete(message.roomId);
+          return isDriven(message.roomId) ? [] : [message];
+        case 'heartbeat': {
+          message.roomIds.forEach(id => {
+            const entry = live.get(id);
+            if (entry) live.set(id, { ...entry, heardAt: now });
+          });
+          const roomIds = message.roomIds.filter(id => !isDriven(id));
+          if (roomIds.length === message.roomIds.length) return [message];
+          return roomIds.length ? [{ ...message, roomIds }] : [];
+        }
+        default:
+          return [message];
+      }
+    },
+
+    // --- FUNCTION: STOP ---
+    // Returns [{ message, receivedAt }] that hand the channel's rooms back:
+    // the latest live reading (with the time its node last spoke), or a
+    // remove for rooms only the playback knew.
+    stop(channel, now = Date.now()) {
+      const ids = driven.get(channel);
+      driven.delete(channel);
+      if (!ids) return [];
+      return [...ids].filter(id => !isDriven(id)).map(id => {
+        const entry = live.get(id);
+        return entry
+          ? { message: { type: 'reading', room: entry.room }, receivedAt: entry.heardAt }
+          : { message: { type: 'remove', roomId: id }, receivedAt: now };
+      });
+    },
+  };
+};
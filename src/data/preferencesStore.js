@@ -0,0 +1,52 @@
+// ==================================================================================
+// PREFERENCES STORE
+// The operator's display settings: theme, motion and language. Saved in
+// localStorage, so they are the same after a reload (and per browser, not per user).
+// Shape: { theme, motion, locale }
+// ==================================================================================
+
+import { DEFAULT_DISPLAY } from '../config/accessibility';
+import { THEMES } from '../styles/themes';
+import { LOCALES, DEFAULT_LOCALE } from '../i18n';
+
+const STORAGE_KEY = 'safe.preferences';
+
+export const MOTION_MODES = ['system', 'reduce', 'full'];
+
+// --- HELPER: LOAD SAVED SETTINGS ---
+// Values that no longer exist (a removed theme or language) fall back to the defaults
+const load = (storage, defaults) => {
+  let saved = {};
+  try {
+    saved = JSON.parse(storage?.getItem(STORAGE_KEY)) || {};
+  } catch {
+    // Unreadable: start from the defaults
+  }
+  return {
+    theme: THEMES[saved.theme] ? saved.theme : defaults.theme,
+    motion: MOTION_MODES.includes(saved.motion) ? saved.motion : defaults.motion,
+    locale: LOCALES[saved.locale] ? saved.locale : defaults.locale,
+  };
+};
+
+export const createPreferencesStore = ({ storage = globalThis.localStorage, defaults = { ...DEFAULT_DISPLAY, locale: DEFAULT_LOCALE } } = {}) => {
+  let preferences = load(storage, defaults);
+  const listeners = new Set();
+
+  return {
+    getSnapshot: () => preferences,
+
+    // --- FUNCTION: CHANGE SETTINGS ---
+    // changes: { theme?, motion?, locale? }
+    set(changes) {
+      preferences = { ...preferences, ...changes };
+      storage?.setItem(STORAGE_KEY, JSON.stringify(preferences));
+      listeners.forEach(listener => listener());
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
@@ -0,0 +1,31 @@
+// ==================================================================================
+// RING BUFFER
+// Fixed-size list: once full, every new item overwrites the oldest one.
+// Keeps memory flat no matter how long the dashboard stays open.
+// ==================================================================================
+
+export const createRingBuffer = (capacity) => {
+  const items = new Array(capacity);
+  let start = 0; // Index of the oldest item
+  let size = 0;
+
+  return {
+    push(item) {
+      items[(start + size) % capacity] = item;
+      if (size < capacity) size++;
+      else start = (start + 1) % capacity; // Full: the oldest item was just overwritten
+    },
+    // Oldest first
+    toArray() {
+      const out = new Array(size);
+      for (let i = 0; i < size; i++) out[i] = items[(start + i) % capacity];
+      return out;
+    },
+    last() {
+      return size ? items[(start + size - 1) % capacity] : undefined;
+    },
+    get size() {
+      return size;
+    },
+  };
+};
@@ -0,0 +1,47 @@
+// ==================================================================================
+// ROOM CACHE
+// The last room list the dashboard received, saved in localStorage so a reload
+// without network still shows where things stood. Restored rooms keep their
+// `lastSeen`, so node health shows them as NO SIGNAL with their last status
+// until live data replaces them. They are marked `restored: true`: their hazard
+// is history, so they open no incidents and run no automatic rules until the
+// first live reading clears the mark (feedStore.js).
+// ==================================================================================
+
+import { ROOM_CACHE_SAVE_MS } from '../config/offline';
+
+const STORAGE_KEY = 'safe.lastRooms';
+
+export const createRoomCache = ({ storage = globalThis.localStorage, saveEveryMs = ROOM_CACHE_SAVE_MS } = {}) => {
+  let latest = null;
+  let timer = null;
+
+  const write = () => {
+    timer = null;
+    try {
+      storage?.setItem(STORAGE_KEY, JSON.stringify({ savedAt: Date.now(), rooms: latest }));
+    } catch (err) {
+      console.warn('Could not save the last room state:', err); // e.g. storage full
+    }
+  };
+
+  return {
+    // --- FUNCTION: LOAD ---
+    // The saved rooms, marked as restored, or [] when there are none
+    load() {
+      try {
+        const saved = JSON.parse(storage?.getItem(STORAGE_KEY));
+        return Array.isArray(saved?.rooms) ? saved.rooms.map(room => ({ ...room, restored: true })) : [];
+      } catch {
+        return [];
+      }
+    },
+
+    // --- FUNCTION: SAVE ---
+    // Called on every update; only the newest list is written, at most every saveEveryMs
+    save(rooms) {
+      latest = rooms;
+      if (!timer) timer = setTimeout(write, saveEveryMs);
+    },
+  };
+};
@@ -0,0 +1,91 @@
+// ==================================================================================
+// SCENARIO ENGINE
+// Plays scripted, timed sensor readings for QA (see docs/scenarios.md).
+// A scenario is a list of per-room keyframes; readings between two keyframes
+// are interpolated, so fires grow and smoke spreads gradually.
+// ==================================================================================
+
+// --- HELPER: FILE ERROR ---
+// Errors in scenario and session files carry a `fileErrors.*` message key and its
+// values; describeFileError turns them into text
+export const fileError = (kind, params = {}) => Object.assign(new Error(`${kind} ${JSON.stringify(params)}`), { kind, params });
+
+// --- HELPER: "Keyframe 3: unknown room 9" ---
+// Invalid JSON has no key; other errors (the file could not be read) keep their message
+export const describeFileError = (err, { t }) => {
+  if (err.kind) return t(`fileErrors.${err.kind}`, err.params);
+  if (err instanceof SyntaxError) return t('fileErrors.json');
+  return err.message;
+};
+
+// --- FUNCTION: PARSE SCENARIO ---
+// Validates a scenario JSON object. Throws a fileError.
+export const parseScenario = (json) => {
+  if (!json || typeof json !== 'object') throw fileError('notObject');
+  if (!Array.isArray(json.rooms) || json.rooms.length === 0) throw fileError('noRooms');
+  if (!Array.isArray(json.keyframes)) throw fileError('noKeyframes');
+
+  const roomIds = new Set(json.rooms.map(r => r.id));
+  const keyframes = json.keyframes.map((kf, i) => {
+    if (!Number.isFinite(kf.at) || kf.at < 0) throw fileError('keyframeTime', { index: i + 1 });
+    if (!roomIds.has(kf.room)) throw fileError('keyframeRoom', { index: i + 1, room: kf.room });
+    if (!kf.dropout && (!Number.isFinite(kf.temp) || !Number.isFinite(kf.smoke))) {
+      throw fileError('keyframeValues', { index: i + 1 });
+    }
+    return { at: kf.at, room: kf.room, temp: kf.temp, smoke: kf.smoke, dropout: Boolean(kf.dropout) };
+  });
+
+  // Optional log lines shown when playback reaches them
+  const events = (Array.isArray(json.events) ? json.events : [])
+    .filter(e => Number.isFinite(e.at) && typeof e.message === 'string')
+    .map(e => ({ at: e.at, message: e.message, severity: e.severity, roomId: e.roomId ?? null }))
+    .sort((a, b) => a.at - b.at);
+
+  // Group keyframes by room, oldest first
+  const tracks = new Map(json.rooms.map(r => [r.id, []]));
+  keyframes.forEach(kf => tracks.get(kf.room).push(kf));
+  tracks.forEach(track => track.sort((a, b) => a.at - b.at));
+
+  return {
+    name: json.name || 'Untitled scenario',
+    description: json.description || '',
+    rooms: json.rooms.map(r => ({ id: r.id, name: r.name || `Room ${r.id}` })),
+    tracks,
+    events,
+    // Wall-clock time of second 0 (recorded sessions only), or null
+    startedAt: Number.isFinite(Date.parse(json.startedAt)) ? Date.parse(json.startedAt) : null,
+    duration: Number.isFinite(json.duration) ? json.duration : Math.max(0, ...keyframes.map(kf => kf.at)),
+  };
+};
+
+// --- HELPER: LINEAR INTERPOLATION ---
+const lerp = (a, b, ratio) => Math.round((a + (b - a) * ratio) * 10) / 10;
+
+// --- FUNCTION: SAMPLE SCENARIO ---
+// Readings for every room that is reporting at `time` (seconds since start).
+// A room in dropout, or with no keyframes at all, sends nothing.
+export const sampleScenario = (scenario, time) => scenario.rooms
+  .map(room => {
+    const track = scenario.tracks.get(room.id);
+    if (track.length === 0) return null;
+
+    // Before the first keyframe: hold its value
+    if (time < track[0].at) {
+      const first = track.find(kf => !kf.dropout);
+      return first ? { ...room, temp: first.temp, smoke: first.smoke } : null;
+    }
+
+    const prev = track.filter(kf => kf.at <= time).pop();
+    const next = track.find(kf => kf.at > time);
+    if (prev.dropout) return null;
+    // Last keyframe, or heading into a dropout: hold the value
+    if (!next || next.dropout) return { ...room, temp: prev.temp, smoke: prev.smoke };
+
+    const ratio = (time - prev.at) / (next.at - prev.at);
+    return { ...room, temp: lerp(prev.temp, next.temp, ratio), smoke: lerp(prev.smoke, next.smoke, ratio) };
+  })
+  .filter(Boolean);
+
+// --- FUNCTION: EVENTS IN A TIME SPAN ---
+// Scenario events with from < at <= to (from = -1 includes second 0)
+export const eventsBetween = (scenario, from, to) => scenario.events.filter(e => e.at > from && e.at <= to);
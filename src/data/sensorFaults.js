@@ -0,0 +1,121 @@
+// ==================================================================================
+// SENSOR VALIDATION
+// Runs between parsing and classification: applies each sensor's calibration,
+// then flags readings a working sensor could not produce.
+//   range    - impossible value (negative smoke, 400 °C spike)
+//   stuck    - exactly the same values for FAULT_RULES.stuckAfterMs
+//   disagree - two sensors in one room too far apart to both be right
+// Faulty sensors are left out of the room's value. A room whose sensors are all
+// faulty is marked `usable: false` and keeps its last classification.
+// ==================================================================================
+
+import { SENSOR_LIMITS, FAULT_RULES, DEFAULT_CALIBRATION } from '../config/sensorFaults';
+
+export const FAULT_STATUS = 'Sensor Fault';
+
+const UNITS = { temp: '°C', smoke: '%' };
+
+// --- HELPER: ROOM HAS A FAULTY SENSOR ---
+export const hasSensorFault = (room) => Boolean(room.faults?.length);
+
+// --- HELPER: "sensor s2 stuck at 21°C / 0% for 10 min" ---
+// Faults carry their values; the translator (src/i18n) turns them into text
+export const describeFault = (fault, { t }) => t(`faults.${fault.kind}`, {
+  ...fault,
+  reading: fault.reading && t(`faults.readings.${fault.reading}`),
+  unit: UNITS[fault.reading],
+  sensors: fault.sensors?.join(', '),
+});
+
+// --- FUNCTION: CALIBRATE ONE SENSOR ---
+// value * scale + offset. The uncorrected values are kept in `raw`.
+export const calibrate = (sensor, calibration) => {
+  const c = { ...DEFAULT_CALIBRATION, ...calibration };
+  const adjust = (value, scale, offset) => (scale === 1 && offset === 0 ? value : Math.round((value * scale + offset) * 100) / 100);
+  return {
+    ...sensor,
+    temp: adjust(sensor.temp, c.tempScale, c.tempOffset),
+    smoke: adjust(sensor.smoke, c.smokeScale, c.smokeOffset),
+    raw: { temp: sensor.temp, smoke: sensor.smoke },
+  };
+};
+
+// --- HELPER: OUT OF RANGE ---
+const rangeFault = (sensor, limits) => {
+  const key = ['temp', 'smoke'].find(k => sensor[k] < limits[k].min || sensor[k] > limits[k].max);
+  if (!key) return null;
+  return { kind: 'range', reading: key, value: sensor[key] };
+};
+
+// --- FUNCTION: CREATE VALIDATOR ---
+// getCalibration() returns { [sensorId]: calibration }, read on every message so
+// changes apply from the next reading.
+export const createSensorValidator = ({ getCalibration = () => ({}), limits = SENSOR_LIMITS, rules = FAULT_RULES } = {}) => {
+  const repeats = new Map(); // sensorId -> { key, since, count } of the current run of identical values
+
+  // --- HELPER: STUCK SENSOR ---
+  const stuckFault = (sensor, ts) => {
+    const key = `${sensor.raw.temp}|${sensor.raw.smoke}`;
+    const run = repeats.get(sensor.id);
+    if (!run || run.key !== key) {
+      repeats.set(sensor.id, { key, since: ts, count: 1 });
+      return null;
+    }
+    run.count++;
+    if (run.count < rules.stuckMinReadings || ts - run.since < rules.stuckAfterMs) return null;
+    const minutes = Math.round((ts - run.since) / 60000);
+    return { kind: 'stuck', temp: sensor.temp, smoke: sensor.smoke, minutes };
+  };
+
+  // --- HELPER: ONE ROOM READING ---
+  const checkReading = (reading, calibration) => {
+    const faults = [];
+    const sensors = reading.sensors.map(s => {
+      const sensor = calibrate(s, calibration[s.id]);
+      const fault = rangeFault(sensor, limits) || stuckFault(sensor, reading.ts);
+      if (!fault) return sensor;
+      faults.push({ sensorId: s.id, ...fault });
+      return { ...sensor, fault: fault.kind };
+    });
+
+    const usable = sensors.filter(s => !s.fault);
+    if (usable.length > 1) {
+      const key = ['temp', 'smoke'].find(k => {
+        const values = usable.map(s => s[k]);
+        return Math.max(...values) - Math.min(...values) > rules.maxSpread[k];
+      });
+      if (key) {
+        const values = usable.map(s => s[key]);
+        const spread = Math.round((Math.max(...values) - Math.min(...values)) * 10) / 10;
+        faults.push({ sensorId: null, kind: 'disagree', reading: key, sensors: usable.map(s => s.id), spread });
+      }
+    }
+
+    // Worst trustworthy value wins: a disagreement never hides a hot sensor
+    const source = usable.length ? usable : sensors;
+    return {
+      ...reading,
+      temp: Math.max(...source.map(s => s.temp)),
+      smoke: Math.max(...source.map(s => s.smoke)),
+      sensors,
+      faults,
+      usable: usable.length > 0,
+    };
+  };
+
+  return {
+    // --- FUNCTION: CHECK MESSAGE ---
+    // Takes a parsed message, returns it with calibrated and validated readings
+    check(message) {
+      const calibration = getCalibration();
+      switch (message.type) {
+        case 'snapshot':
+          return { ...message, rooms: message.rooms.map(r => checkReading(r, calibration)) };
+        case 'reading':
+          return { ...message, room: checkReading(message.room, calibration) };
+        default:
+          return message;
+      }
+    },
+  };
+};
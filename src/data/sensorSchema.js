@@ -0,0 +1,144 @@
+// ==================================================================================
+// SENSOR MESSAGE SCHEMA
+// Turns raw JSON from the Backend/Hardware team into clean room objects.
+// The full message format is documented in docs/sensor-protocol.md
+// ==================================================================================
+
+import { parseActuators } from './actuators';
+
+// --- HELPER: PARSE ONE SENSOR ---
+// A room can have several sensors: { id, temp, smoke }. Returns null if unusable.
+const parseSensor = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  if (raw.id === undefined || raw.id === null || raw.id === '') return null;
+  const temp = Number(raw.temp);
+  const smoke = Number(raw.smoke);
+  if (!Number.isFinite(temp) || !Number.isFinite(smoke)) return null;
+  return { id: String(raw.id), temp, smoke };
+};
+
+// --- HELPER: PARSE ONE READING ---
+// Returns a normalized reading, or null if the payload is unusable.
+// `sensors` always lists at least one sensor; a room without a `sensors` array
+// is one sensor whose id is `sensorId` (or the room id).
+export const parseReading = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  if (raw.id === undefined || raw.id === null || raw.id === '') return null;
+
+  const sensors = Array.isArray(raw.sensors) ? raw.sensors.map(parseSensor).filter(Boolean) : [];
+  let temp = Number(raw.temp);
+  let smoke = Number(raw.smoke);
+  if (!Number.isFinite(temp) || !Number.isFinite(smoke)) {
+    if (!sensors.length) return null;
+    // Worst sensor for now; the validation stage picks the trustworthy ones
+    temp = Math.max(...sensors.map(s => s.temp));
+    smoke = Math.max(...sensors.map(s => s.smoke));
+  }
+
+  const reading = {
+    id: raw.id,
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `Room ${raw.id}`,
+    temp,
+    smoke,
+    ts: raw.ts ? new Date(raw.ts).getTime() || Date.now() : Date.now(),
+    sensors: sensors.length ? sensors : [{ id: String(raw.sensorId ?? raw.id), temp, smoke }],
+  };
+  // Optional: people counted in the room (used for evacuation routing)
+  if (raw.occupancy !== undefined && Number.isFinite(Number(raw.occupancy))) reading.occupancy = Number(raw.occupancy);
+  // Optional: current actuator states, e.g. { sprinkler: 'closed' } (rooms without keep their last ones)
+  const actuators = parseActuators(raw.actuators);
+  if (actuators) reading.actuators = actuators;
+  return reading;
+};
+
+// --- FUNCTION: PARSE MESSAGE ---
+// Accepts a JSON string or an already-parsed object.
+// Returns { type: 'snapshot' | 'reading' | 'remove' | 'heartbeat' | 'ack', ... } or null when invalid.
+export const parseMessage = (data) => {
+  let msg = data;
+  if (typeof data === 'string') {
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+  if (!msg || typeof msg !== 'object') return null;
+
+  switch (msg.type) {
+    case 'snapshot': {
+      if (!Array.isArray(msg.rooms)) return null;
+      const rooms = msg.rooms.map(r => parseReading({ ts: msg.ts, ...r })).filter(Boolean);
+      return { type: 'snapshot', rooms };
+    }
+    case 'reading': {
+      const room = parseReading({ ts: msg.ts, ...msg.room });
+      return room ? { type: 'reading', room } : null;
+    }
+    case 'remove': {
+      if (msg.roomId === undefined || msg.roomId === null) return null;
+      return { type: 'remove', roomId: msg.roomId };
+    }
+    case 'heartbeat': {
+      // "Still alive" from nodes that have no new reading to send
+      const roomIds = Array.isArray(msg.roomIds) ? msg.roomIds : [msg.roomId];
+      const ids = roomIds.filter(id => id !== undefined && id !== null && id !== '');
+      return ids.length ? { type: 'heartbeat', roomIds: ids } : null;
+    }
+    case 'ack': {
+      // Answer to an actuator command; `state` is the actuator's state afterwards
+      if (typeof msg.commandId !== 'string' || !msg.commandId) return null;
+      return {
+        type: 'ack',
+        commandId: msg.commandId,
+        ok: msg.ok === true,
+        roomId: msg.roomId ?? null,
+        actuator: typeof msg.actuator === 'string' ? msg.actuator : null,
+        state: typeof msg.state === 'string' ? msg.state : null,
+        error: typeof msg.error === 'string' ? msg.error : null,
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+// --- HELPER: READING -> ROOM ---
+// Keeps the previous fields (e.g. classification) and overwrites the readings.
+// `type` and `status` are derived later by the hazard classifier, never sent by nodes.
+const toRoom = (reading, previous) => ({ ...previous, ...reading });
+
+// --- FUNCTION: APPLY MESSAGE ---
+// Pure reducer: takes the current room list and a parsed message, returns the new list.
+// Rooms are added the first time they report and removed when the backend says so.
+export const applyMessage = (rooms, message) => {
+  if (!message) return rooms;
+
+  switch (message.type) {
+    case 'snapshot': {
+      // A snapshot is the full truth: rooms missing from it are dropped
+      const byId = new Map(rooms.map(r => [r.id, r]));
+      return message.rooms.map(reading => toRoom(reading, byId.get(reading.id)));
+    }
+    case 'reading': {
+      const index = rooms.findIndex(r => r.id === message.room.id);
+      if (index === -1) return [...rooms, toRoom(message.room)];
+      const next = [...rooms];
+      next[index] = toRoom(message.room, rooms[index]);
+      return next;
+    }
+    case 'remove':
+      return rooms.filter(r => r.id !== message.roomId);
+    case 'ack': {
+      // A confirmed command changes the actuator it was for
+      const actuators = message.ok && message.actuator && message.state ? parseActuators({ [message.actuator]: message.state }) : null;
+      const index = rooms.findIndex(r => r.id === message.roomId);
+      if (!actuators || index === -1) return rooms;
+      const next = [...rooms];
+      next[index] = { ...rooms[index], actuators: { ...rooms[index].actuators, ...actuators } };
+      return next;
+    }
+    default:
+      return rooms;
+  }
+};
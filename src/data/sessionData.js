@@ -0,0 +1,225 @@
+// ==================================================================================
+// SESSION DATA EXPORT / IMPORT
+// Machine-readable copy of a session for auditors: every recorded reading plus
+// the System Logs events, with ISO 8601 timestamps. Exported as JSON or CSV and
+// read back in for replay (see docs/session-data.md).
+// ==================================================================================
+
+import { parseScenario, fileError } from './scenarioEngine';
+
+export const SESSION_FORMAT = 'safe-session';
+export const SESSION_VERSION = 1;
+
+// A room silent for longer than this is replayed as a sensor dropout
+const DROPOUT_GAP_SECONDS = 10;
+
+const CSV_COLUMNS = ['record', 'timestamp', 'room_id', 'room_name', 'temp', 'smoke', 'severity', 'category', 'message'];
+const REQUIRED_CSV_COLUMNS = ['record', 'timestamp', 'room_id', 'room_name', 'temp', 'smoke', 'message'];
+
+// --- HELPER: ID FROM TEXT ---
+// CSV cells are always strings; "2" should match the sensor room id 2
+const toId = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+
+// --- HELPER: ISO TIMESTAMP -> MS ---
+// kind: the fileError for a bad value ('readingTime' | 'eventTime'); index: 1-based record
+const toMs = (value, kind, index) => {
+  const ms = Date.parse(value);
+  if (!Number.isFinite(ms)) throw fileError(kind, { index, value });
+  return ms;
+};
+
+// --- FUNCTION: COLLECT SESSION ---
+// Gathers the readings kept in the history store (up to an hour per room) and the log.
+// `rooms` is only used for room names; `log` is the sessionLog (newest first).
+export const collectSession = ({ history, rooms, log, now = Date.now() }) => {
+  const names = new Map(rooms.map(r => [r.id, r.name]));
+
+  const readings = history.getRoomIds()
+    .flatMap(id => history.getSamples(id).map(s => ({ ...s, roomId: id, roomName: names.get(id) || `Room ${id}` })))
+    .sort((a, b) => a.ts - b.ts)
+    .map(r => ({ timestamp: new Date(r.ts).toISOString(), roomId: r.roomId, roomName: r.roomName, temp: r.temp, smoke: r.smoke }));
+
+  const events = log
+    .filter(entry => Number.isFinite(entry.ts))
+    .map(entry => ({
+      timestamp: new Date(entry.ts).toISOString(),
+      severity: entry.severity || 'info',
+      category: entry.category || 'system',
+      roomId: entry.roomId ?? null,
+      message: entry.message,
+    }))
+    .reverse(); // Oldest first, like the readings
+
+  return { format: SESSION_FORMAT, version: SESSION_VERSION, exportedAt: new Date(now).toISOString(), readings, events };
+};
+
+// --- HELPER: CSV CELL ---
+// Quotes cells that contain a comma, quote or line break
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// --- FUNCTION: SESSION -> CSV ---
+// One row per reading or event; the `record` column tells them apart
+export const sessionToCsv = (session) => {
+  const rows = [
+    ...session.readings.map(r => ['reading', r.timestamp, r.roomId, r.roomName, r.temp, r.smoke, '', '', '']),
+    ...session.events.map(e => ['event', e.timestamp, e.roomId, '', '', '', e.severity, e.category, e.message]),
+  ].sort((a, b) => (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0));
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// --- HELPER: SPLIT CSV TEXT INTO ROWS ---
+// Handles quoted cells with commas, doubled quotes and line breaks
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+// --- HELPER: CSV -> SESSION OBJECT ---
+const csvToSession = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const columns = (header || []).map(c => c.trim().toLowerCase());
+  const missing = REQUIRED_CSV_COLUMNS.filter(c => !columns.includes(c));
+  if (missing.length) throw fileError('csvColumns', { columns: missing.join(', ') });
+
+  const session = { readings: [], events: [] };
+  rows.forEach(cells => {
+    const get = (name) => (cells[columns.indexOf(name)] ?? '').trim();
+    if (get('record') === 'event') {
+      session.events.push({
+        timestamp: get('timestamp'),
+        severity: get('severity') || 'info',
+        category: get('category') || 'system',
+        roomId: get('room_id') === '' ? null : toId(get('room_id')),
+        message: cells[columns.indexOf('message')] ?? '',
+      });
+    } else if (get('record') === 'reading') {
+      session.readings.push({
+        timestamp: get('timestamp'),
+        roomId: toId(get('room_id')),
+        roomName: get('room_name'),
+        temp: get('temp') === '' ? NaN : Number(get('temp')),
+        smoke: get('smoke') === '' ? NaN : Number(get('smoke')),
+      });
+    }
+  });
+  return session;
+};
+
+// --- FUNCTION: PARSE SESSION FILE ---
+// Accepts the JSON or CSV export. Returns { readings, events } with `ts` in ms,
+// oldest first. Throws a fileError (src/data/scenarioEngine.js) when the file is unusable.
+export const parseSession = (text) => {
+  const trimmed = text.trim();
+  let session;
+  if (trimmed.startsWith('{')) {
+    session = JSON.parse(trimmed);
+    if (session.format !== SESSION_FORMAT) throw fileError('format', { format: session.format });
+  } else {
+    session = csvToSession(trimmed);
+  }
+
+  const readings = (session.readings || []).map((r, i) => {
+    if (r.roomId === undefined || r.roomId === '') throw fileError('readingRoom', { index: i + 1 });
+    if (!Number.isFinite(r.temp) || !Number.isFinite(r.smoke)) throw fileError('readingValues', { index: i + 1 });
+    return { ts: toMs(r.timestamp, 'readingTime', i + 1), id: r.roomId, name: r.roomName || `Room ${r.roomId}`, temp: r.temp, smoke: r.smoke };
+  });
+  const events = (session.events || []).map((e, i) => ({
+    ts: toMs(e.timestamp, 'eventTime', i + 1),
+    severity: e.severity || 'info',
+    roomId: e.roomId ?? null,
+    message: String(e.message ?? ''),
+  }));
+
+  if (readings.length === 0) throw fileError('noReadings');
+  readings.sort((a, b) => a.ts - b.ts);
+  events.sort((a, b) => a.ts - b.ts);
+  return { readings, events };
+};
+
+// --- FUNCTION: SESSION -> SCENARIO ---
+// Turns a recorded session into a scenario, so it replays through the scenario player
+// (same rendering path as live data). Gaps in a room's readings become dropouts.
+// No description: the replay panel words the summary in the active language.
+export const sessionToScenario = (session, name = 'Recorded session') => {
+  const start = Math.min(session.readings[0].ts, session.events[0]?.ts ?? Infinity);
+  const at = (ts) => Math.round((ts - start) / 100) / 10; // Seconds, one decimal
+
+  const rooms = new Map();
+  const keyframes = [];
+  const lastAt = new Map();
+  session.readings.forEach(r => {
+    const t = at(r.ts);
+    const previous = lastAt.get(r.id);
+    if (previous !== undefined && t - previous > DROPOUT_GAP_SECONDS) {
+      keyframes.push({ at: previous + 1, room: r.id, dropout: true });
+    }
+    rooms.set(r.id, { id: r.id, name: r.name });
+    keyframes.push({ at: t, room: r.id, temp: r.temp, smoke: r.smoke });
+    lastAt.set(r.id, t);
+  });
+
+  const events = session.events.map(e => ({ at: at(e.ts), message: e.message, severity: e.severity, roomId: e.roomId }));
+  const duration = Math.max(...keyframes.map(kf => kf.at), ...events.map(e => e.at));
+
+  const scenario = parseScenario({
+    name,
+    startedAt: new Date(start).toISOString(),
+    rooms: [...rooms.values()],
+    keyframes,
+    events,
+    duration,
+  });
+  return { ...scenario, readingCount: session.readings.length };
+};
+
+// --- FUNCTION: READ A SESSION FILE ---
+// A session export (JSON or CSV) as a scenario for the replay panel.
+// Hand-written scenarios belong in the Manual Override Panel instead.
+export const readSessionFile = (text, fileName) =>
+  sessionToScenario(parseSession(text), fileName.replace(/\.(json|csv)$/i, ''));
+
+// --- FUNCTION: EXPORT FILENAME ---
+// e.g. SAFE_Session_2025-03-14_0930.csv
+export const sessionFilename = (extension, now = Date.now()) => {
+  const date = new Date(now);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `SAFE_Session_${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}.${extension}`;
+};
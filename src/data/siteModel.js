@@ -0,0 +1,133 @@
+// ==================================================================================
+// SITE MODEL
+// Buildings > floors > sectors > rooms. Tells the dashboard where every sensor
+// room is, which floor plan belongs to which floor, and how to group the sensor
+// list. File format: docs/site-model.md
+// ==================================================================================
+
+import { HAZARD_TYPES } from './hazardClassifier';
+
+// --- FUNCTION: PARSE SITE ---
+// Throws an Error with a readable message when the site file is unusable.
+// Every floor gets a `key` that is unique across buildings ("main/G").
+export const parseSite = (json) => {
+  if (!json || !Array.isArray(json.buildings) || json.buildings.length === 0) {
+    throw new Error('Site needs at least one building');
+  }
+
+  const buildings = json.buildings.map((building, b) => {
+    const id = String(building.id ?? b + 1);
+    if (!Array.isArray(building.floors) || building.floors.length === 0) {
+      throw new Error(`Building ${building.name || id} has no floors`);
+    }
+    return {
+      id,
+      name: building.name || `Building ${id}`,
+      floors: building.floors.map((floor, f) => {
+        const floorId = String(floor.id ?? f + 1);
+        return {
+          id: floorId,
+          key: `${id}/${floorId}`,
+          name: floor.name || `Floor ${floorId}`,
+          plan: floor.plan || null,
+          sectors: (floor.sectors || []).map((sector, s) => ({
+            id: String(sector.id ?? s + 1),
+            name: sector.name || `Sector ${sector.id ?? s + 1}`,
+            rooms: Array.isArray(sector.rooms) ? sector.rooms : [],
+          })),
+        };
+      }),
+    };
+  });
+
+  return { name: json.name || buildings[0].name, buildings };
+};
+
+// --- FUNCTION: ONE FLOOR, NO SECTORS ---
+// Used when only a floor plan is configured (VITE_FLOORPLAN_URL)
+export const singleFloorSite = (planUrl) => parseSite({
+  buildings: [{ id: 'building', name: 'Building', floors: [{ id: 'floor', name: 'Floor Plan', plan: planUrl }] }],
+});
+
+// --- FUNCTION: LOAD SITE ---
+export const loadSite = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Site request failed (${response.status})`);
+  return parseSite(await response.json());
+};
+
+// --- HELPER: EVERY FLOOR, IN ORDER ---
+// Each floor also carries its building
+export const siteFloors = (site) => (site?.buildings ?? []).flatMap(building => building.floors.map(floor => ({ ...floor, building })));
+
+// --- FUNCTION: ROOM LOCATIONS ---
+// Returns Map roomId -> { building, floor, sector, label }.
+// Sectors list their rooms; a room that is only drawn on a floor plan
+// (plans: { [floor.key]: plan }) still gets its floor, without a sector.
+export const locateRooms = (site, plans = {}) => {
+  const locations = new Map();
+  if (!site) return locations;
+  const multiBuilding = site.buildings.length > 1;
+
+  const add = (roomId, building, floor, sector) => {
+    if (locations.has(roomId)) return;
+    const label = [sector?.name, floor.name, multiBuilding ? building.name : null].filter(Boolean).join(', ');
+    locations.set(roomId, { building, floor, sector, label });
+  };
+
+  siteFloors(site).forEach(floor => floor.sectors.forEach(sector => sector.rooms.forEach(id => add(id, floor.building, floor, sector))));
+  siteFloors(site).forEach(floor => plans[floor.key]?.rooms.forEach(zone => add(zone.id, floor.building, floor, null)));
+  return locations;
+};
+
+// --- HELPER: ATTACH LOCATIONS ---
+export const withLocation = (rooms, locations) => rooms.map(room => ({ ...room, location: locations.get(room.id) ?? null }));
+
+// --- HELPER: "Room 2 (Sector A, Ground Floor)" ---
+// Used wherever a room is named outside the sensor list: logs, alerts, reports
+export const placeName = (name, location) => (location?.label ? `${name} (${location.label})` : name);
+
+// --- HELPER: HOW BAD IS A ROOM? ---
+// Hazards first, then rooms whose state is unknown (offline, stale), then sensor faults
+export const roomSeverity = (room) => {
+  const hazard = HAZARD_TYPES[room.type]?.rank ?? 0;
+  if (hazard) return 3 + hazard;
+  if (room.health === 'offline') return 3;
+  if (room.health === 'stale') return 2;
+  return room.faults?.length ? 1 : 0;
+};
+
+// --- FUNCTION: ROLLUP ---
+// Worst room of a group and how many of its rooms need attention
+export const rollup = (rooms) => ({
+  worst: rooms.reduce((worst, room) => (!worst || roomSeverity(room) > roomSeverity(worst) ? room : worst), null),
+  attention: rooms.filter(room => roomSeverity(room) > 0).length,
+  total: rooms.length,
+});
+
+// --- FUNCTION: GROUP ROOMS ---
+// Tree for the sensor list. Node: { key, kind, name, ref, children, ownRooms, rooms }
+// where `rooms` is every room below the node (for the rollup).
+// Rooms the site does not know end up in a last "Unassigned" group.
+export const groupRooms = (site, rooms, locations) => {
+  const byId = new Map(rooms.map(r => [r.id, r]));
+  const node = (key, kind, name, ref, children, ownRooms = []) => ({
+    key, kind, name, ref, children, ownRooms,
+    rooms: [...children.flatMap(child => child.rooms), ...ownRooms],
+  });
+
+  const groups = (site?.buildings ?? []).map(building => node(`building:${building.id}`, 'building', building.name, building,
+    building.floors.map(floor => {
+      const sectors = floor.sectors.map(sector => node(`sector:${floor.key}/${sector.id}`, 'sector', sector.name, sector, [],
+        sector.rooms.map(id => byId.get(id)).filter(room => room && locations.get(room.id)?.sector === sector)));
+      const loose = rooms.filter(room => {
+        const location = locations.get(room.id);
+        return location?.floor.key === floor.key && !location.sector;
+      });
+      return node(`floor:${floor.key}`, 'floor', floor.name, floor, sectors, loose);
+    })));
+
+  const unassigned = rooms.filter(room => !locations.has(room.id));
+  if (unassigned.length) groups.push(node('unassigned', 'group', site ? 'Unassigned' : 'All Sensors', null, [], unassigned));
+  return groups;
+};
@@ -0,0 +1,75 @@
+// ==================================================================================
+// MOCK DATA SOURCE
+// Replays the original hardcoded rooms so the dashboard works without hardware.
+// Also plays the Master Node for actuator commands: every command is acknowledged.
+// ==================================================================================
+
+import { ACTUATOR_TYPES } from '../../config/actuators';
+
+// --- MOCK DATA: ROOMS ---
+// The four ground-floor rooms the dashboard has always shown in normal mode,
+// plus the first floor of the demo site (public/sites/default.json)
+export const MOCK_ROOMS = [
+  { id: 1, name: 'Room 1', temp: 22, smoke: 0 },
+  { id: 2, name: 'Room 2', temp: 23, smoke: 0 },
+  { id: 3, name: 'Room 3', temp: 21, smoke: 0 },
+  { id: 4, name: 'Room 4', temp: 24, smoke: 0 },
+  { id: 5, name: 'Room 5', temp: 22, smoke: 0 },
+  { id: 6, name: 'Room 6', temp: 23, smoke: 0 },
+];
+
+// The mock nodes say "still alive" this often, so they never look silent.
+// Rooms a scenario or replay is playing do not get them (playbackGate.js),
+// so a scripted dropout still goes stale and offline.
+const HEARTBEAT_MS = 5000;
+
+// How long the pretend Master Node takes to acknowledge a command
+const ACK_DELAY_MS = 500;
+
+// Every mock room has one of each actuator, in its normal state
+const IDLE_ACTUATORS = Object.fromEntries(Object.entries(ACTUATOR_TYPES).map(([type, config]) => [type, config.idle]));
+
+// --- FACTORY: MOCK SOURCE ---
+// Sends one snapshot as soon as the dashboard connects, then only heartbeats;
+// the Manual Override Panel pushes its own readings on top of this.
+export const createMockSource = ({ rooms = MOCK_ROOMS } = {}) => {
+  let timeout = null;
+  let heartbeat = null;
+  let deliver = null; // onMessage of the current connection
+  const acks = new Set();
+
+  return {
+    kind: 'mock',
+    connect({ onMessage, onStatus }) {
+      onStatus?.('connecting');
+      deliver = onMessage;
+      // Deliver asynchronously, like a real network source would
+      timeout = setTimeout(() => {
+        onStatus?.('online');
+        const withActuators = rooms.map(room => ({ actuators: IDLE_ACTUATORS, ...room }));
+        onMessage(JSON.stringify({ type: 'snapshot', ts: new Date().toISOString(), rooms: withActuators }));
+      }, 0);
+      heartbeat = setInterval(() => {
+        onMessage(JSON.stringify({ type: 'heartbeat', roomIds: rooms.map(r => r.id) }));
+      }, HEARTBEAT_MS);
+    },
+    async send(message) {
+      if (!deliver) throw Object.assign(new Error('not connected'), { offline: true });
+      if (message.type !== 'command') return; // Incident updates need no answer
+      const ack = setTimeout(() => {
+        acks.delete(ack);
+        deliver?.(JSON.stringify({
+          type: 'ack', commandId: message.id, ok: true, roomId: message.roomId, actuator: message.actuator, state: message.state,
+        }));
+      }, ACK_DELAY_MS);
+      acks.add(ack);
+    },
+    disconnect() {
+      clearTimeout(timeout);
+      clearInterval(heartbeat);
+      acks.forEach(clearTimeout);
+      acks.clear();
+      deliver = null;
+    },
+  };
+};
@@ -0,0 +1,52 @@
+// ==================================================================================
+// SERVER-SENT EVENTS DATA SOURCE
+// Stream from the Master Node (see docs/sensor-protocol.md). SSE only flows one
+// way, so actuator commands and incident updates are POSTed to `commandUrl`;
+// the acks come back on the stream.
+// ==================================================================================
+
+// --- FACTORY: SSE SOURCE ---
+// EventSource reconnects on its own (its retry delay is set by the server),
+// so we only translate its state into ours and count the attempts.
+export const createSseSource = ({ url, commandUrl }) => {
+  let stream = null;
+  let attempt = 0;
+
+  return {
+    kind: 'sse',
+    connect({ onMessage, onStatus }) {
+      attempt = 0;
+      onStatus?.('connecting', { attempt });
+      stream = new EventSource(url);
+
+      stream.onopen = () => {
+        attempt = 0;
+        onStatus?.('online', { attempt });
+      };
+      stream.onmessage = (event) => onMessage(event.data);
+      stream.onerror = () => {
+        // CONNECTING = browser is retrying, CLOSED = it gave up
+        attempt++;
+        onStatus?.(stream.readyState === EventSource.CLOSED ? 'offline' : 'connecting', { attempt });
+      };
+    },
+    // Network errors reject with err.offline set; an answer other than 2xx is a refusal
+    async send(message) {
+      let response;
+      try {
+        response = await fetch(commandUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(message),
+        });
+      } catch {
+        throw Object.assign(new Error('Master Node unreachable'), { offline: true });
+      }
+      if (!response.ok) throw new Error(`Master Node refused the command (${response.status})`);
+    },
+    disconnect() {
+      stream?.close();
+      stream = null;
+    },
+  };
+};
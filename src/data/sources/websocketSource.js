@@ -0,0 +1,65 @@
+// ==================================================================================
+// WEBSOCKET DATA SOURCE
+// Connects to the Master Node over WebSocket (see docs/sensor-protocol.md).
+// Actuator commands go back over the same socket.
+// ==================================================================================
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// --- FACTORY: WEBSOCKET SOURCE ---
+// Reconnects automatically, doubling the wait after each failed attempt.
+// onStatus also gets { attempt, retryAt } so the UI can show the backoff.
+export const createWebSocketSource = ({ url }) => {
+  let socket = null;
+  let retryTimeout = null;
+  let retryDelay = MIN_RETRY_MS;
+  let attempt = 0; // Failed attempts since the last good connection
+  let stopped = false;
+
+  const open = (handlers) => {
+    handlers.onStatus?.('connecting', { attempt });
+    socket = new WebSocket(url);
+
+    socket.onopen = () => {
+      retryDelay = MIN_RETRY_MS; // Healthy again, reset the backoff
+      attempt = 0;
+      handlers.onStatus?.('online', { attempt });
+    };
+    socket.onmessage = (event) => handlers.onMessage(event.data);
+    socket.onclose = () => {
+      socket = null;
+      if (stopped) return;
+      attempt++;
+      handlers.onStatus?.('offline', { attempt, retryAt: Date.now() + retryDelay });
+      retryTimeout = setTimeout(() => open(handlers), retryDelay);
+      retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+    };
+    // Errors are always followed by 'close', which handles the retry
+    socket.onerror = () => {};
+  };
+
+  return {
+    kind: 'websocket',
+    connect(handlers) {
+      stopped = false;
+      open(handlers);
+    },
+    // Rejects while the socket is down (err.offline); the outbox decides whether to wait
+    async send(message) {
+      if (socket?.readyState !== WebSocket.OPEN) throw Object.assign(new Error('not connected to the Master Node'), { offline: true });
+      socket.send(JSON.stringify(message));
+    },
+    disconnect() {
+      stopped = true;
+      clearTimeout(retryTimeout);
+      if (socket) {
+        socket.onclose = null; // A later connect() must not be torn down by this close
+        socket.close();
+      }
+      socket = null;
+      retryDelay = MIN_RETRY_MS;
+      attempt = 0;
+    },
+  };
+};
@@ -0,0 +1,137 @@
+// ==================================================================================
+// WEBHOOK DISPATCHER
+// Sends System Logs entries to the channels their notification rules pick,
+// retrying failed deliveries (WEBHOOK_RETRY) before giving up.
+// Delivery: { id, channelId, channelName, entryId, roomId, severity, summary, test,
+//             attempt, status: 'sending' | 'retrying' | 'delivered' | 'failed',
+//             httpStatus, error, retryInMs, sentAt, doneAt }
+// ==================================================================================
+
+import { WEBHOOK_RETRY, DASHBOARD_URL } from '../config/notifications';
+import { REPORT_CONFIG } from '../config/report';
+import { buildWebhookPayload } from '../alerts/webhookTemplates';
+import { channelsFor } from './notificationRules';
+
+const MAX_DELIVERIES = 50; // Recent deliveries kept for the UI; the full record is in System Logs
+const SUMMARY_LENGTH = 60;
+
+// --- FUNCTION: POST JSON ---
+// Resolves to the HTTP status; rejects on errors, non-2xx answers and timeouts
+export const postJson = async (url, body, timeoutMs) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    if (err.name === 'TimeoutError') throw new Error(`no answer within ${timeoutMs / 1000}s`);
+    // Browsers give no detail here: the host is down, or it does not allow CORS
+    throw new Error('network error or blocked by CORS');
+  }
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.status;
+};
+
+// getSettings() returns { channels, rules } (the notification store), read on every entry.
+// post(url, body, timeoutMs) is the transport; postJson unless replaced.
+export const createWebhookDispatcher = ({
+  getSettings,
+  post = postJson,
+  retry = WEBHOOK_RETRY,
+  site = REPORT_CONFIG.buildingName,
+  dashboardUrl = DASHBOARD_URL,
+} = {}) => {
+  let deliveries = []; // Newest first
+  let sequence = 0;
+  const listeners = new Set();
+  const eventListeners = new Set();
+
+  const update = (id, fields) => {
+    deliveries = deliveries.map(d => (d.id === id ? { ...d, ...fields } : d));
+    listeners.forEach(listener => listener());
+    return deliveries.find(d => d.id === id);
+  };
+
+  const emit = (delivery, action) => eventListeners.forEach(listener => listener({ delivery, action }));
+
+  // --- HELPER: ONE ATTEMPT ---
+  // On failure waits retry.delaysMs[attempt - 1] and tries again, until the delays run out
+  const attempt = (id, url, payload, previous) => {
+    const attemptNo = previous + 1;
+    update(id, { attempt: attemptNo, status: 'sending' });
+    post(url, payload, retry.timeoutMs).then(
+      (httpStatus) => emit(update(id, { status: 'delivered', httpStatus, error: null, doneAt: Date.now() }), 'delivered'),
+      (err) => {
+        const delay = retry.delaysMs[attemptNo - 1];
+        if (delay === undefined) {
+          emit(update(id, { status: 'failed', error: err.message, doneAt: Date.now() }), 'failed');
+          return;
+        }
+        emit(update(id, { status: 'retrying', error: err.message, retryInMs: delay }), 'retrying');
+        setTimeout(() => attempt(id, url, payload, attemptNo), delay);
+      }
+    );
+  };
+
+  // --- HELPER: START ONE DELIVERY ---
+  const deliver = (channel, entry, test) => {
+    const delivery = {
+      id: `wh-${Date.now().toString(36)}-${sequence++}`,
+      channelId: channel.id,
+      channelName: channel.name,
+      entryId: entry.id,
+      roomId: entry.roomId,
+      severity: entry.severity,
+      summary: entry.message.length > SUMMARY_LENGTH ? `${entry.message.slice(0, SUMMARY_LENGTH - 1)}…` : entry.message,
+      test,
+      attempt: 0,
+      status: 'sending',
+      httpStatus: null,
+      error: null,
+      sentAt: Date.now(),
+      doneAt: null,
+    };
+    deliveries = [delivery, ...deliveries].slice(0, MAX_DELIVERIES);
+    attempt(delivery.id, channel.url, buildWebhookPayload(channel.template, { entry, site, dashboardUrl, test }), 0);
+    return delivery;
+  };
+
+  return {
+    getSnapshot: () => deliveries,
+
+    // --- FUNCTION: NOTIFY ---
+    // Sends one System Logs entry to every channel its rules pick. Returns the deliveries.
+    notify: (entry) => channelsFor(getSettings(), entry).map(channel => deliver(channel, entry, false)),
+
+    // --- FUNCTION: TEST SEND ---
+    // A sample message to one channel, whatever the rules say (and even when it is off).
+    // message: the text to send, in the dashboard's language
+    test(channel, message) {
+      const now = Date.now();
+      const entry = {
+        id: `test-${now}`,
+        ts: now,
+        timestamp: new Date(now).toISOString(),
+        severity: 'info',
+        category: 'system',
+        roomId: null,
+        message,
+      };
+      return deliver(channel, entry, true);
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Delivery events: { delivery, action: 'delivered' | 'retrying' | 'failed' }
+    onEvent(listener) {
+      eventListeners.add(listener);
+      return () => eventListeners.delete(listener);
+    },
+  };
+};
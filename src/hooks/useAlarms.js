@@ -0,0 +1,114 @@
+// ==================================================================================
+// HOOK: useAlarms
+// Turns unacknowledged incidents into sound, desktop notifications and a tab badge.
+// An alert that stays unacknowledged past ALARM_ESCALATION.afterMs repeats,
+// louder each time, until someone acknowledges it.
+// `actor` names the signed-in user in the log when they mute or snooze; log
+// entries and notifications are written with the `i18n` translator.
+// ==================================================================================
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { getAlertingIncidents, alertType, worstAlert, alertLevel, alertVolume, isSnoozed } from '../data/alerts';
+import { HAZARD_TYPES } from '../data/hazardClassifier';
+import { unlockAudio, playAlarm } from '../alerts/alarmSound';
+import { notificationPermission, requestNotificationPermission, showDesktopAlert } from '../alerts/desktopNotifications';
+import { setTitleBadge } from '../alerts/titleBadge';
+import { placeName } from '../data/siteModel';
+import { getHazardStyle } from '../styles/hazardStyles';
+
+export const useAlarms = (incidents, now, onLog, actor, i18n) => {
+  const [muted, setMuted] = useState(false);
+  const [snooze, setSnooze] = useState(null); // { from, until } in ms
+  const [permission, setPermission] = useState(() => notificationPermission());
+  const announcedRef = useRef(new Map()); // incidentId -> last escalation level alerted
+
+  const alerts = useMemo(() => getAlertingIncidents(incidents), [incidents]);
+  const worst = worstAlert(alerts);
+  const snoozed = isSnoozed(snooze, alerts, now);
+
+  // --- EFFECT: UNLOCK AUDIO ON FIRST INTERACTION ---
+  useEffect(() => {
+    const unlock = () => unlockAudio();
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+    return () => {
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+    };
+  }, []);
+
+  // --- EFFECT: SOUND + NOTIFY NEW AND ESCALATED ALERTS ---
+  useEffect(() => {
+    const announced = announcedRef.current;
+    const current = new Set(alerts.map(a => a.id));
+    [...announced.keys()].filter(id => !current.has(id)).forEach(id => announced.delete(id));
+
+    const time = Date.now();
+    const silent = muted || isSnoozed(snooze, alerts, time);
+    // Desktop notifications are for operators looking at another tab or window
+    const away = document.hidden || !document.hasFocus();
+    alerts.forEach(alert => {
+      const level = alertLevel(alert, time);
+      const previous = announced.get(alert.id);
+      if (previous !== undefined && level <= previous) return;
+      announced.set(alert.id, level);
+
+      const type = alertType(alert);
+      const status = i18n.term(HAZARD_TYPES[type].status);
+      if (!silent) playAlarm(type, alertVolume(type, level));
+
+      const waited = Math.round((time - alert.startedAt) / 1000);
+      const place = placeName(alert.roomName, alert.location); // Incidents carry the site location
+      if (previous === undefined) {
+        if (away) showDesktopAlert({ title: `${status}: ${place}`, body: i18n.t('alarm.notify.body', { id: alert.id }), tag: alert.id, critical: type === 'fire' });
+        return;
+      }
+      if (away) showDesktopAlert({ title: i18n.t('alarm.notify.repeatTitle', { status, place }), body: i18n.t('alarm.notify.repeatBody', { id: alert.id, seconds: waited }), tag: alert.id, critical: true });
+      // Log the first escalation only; the repeats would flood the log
+      if (previous === 0) {
+        onLog(i18n.t('logs.alarmEscalated', { id: alert.id, place, seconds: waited }), { severity: 'critical', category: 'alarm', roomId: alert.roomId });
+      }
+    });
+  }, [alerts, muted, snooze, now, onLog, i18n]);
+
+  // --- EFFECT: TAB TITLE + FAVICON BADGE ---
+  const worstType = worst ? alertType(worst) : null;
+  useEffect(() => {
+    setTitleBadge(alerts.length, worstType, worstType && i18n.t('alarm.titleBadge', { hazard: i18n.term(getHazardStyle(worstType).label) }));
+    return () => setTitleBadge(0); // Signing out must not leave "(2) FIRE ALERT" in the tab
+  }, [alerts.length, worstType, i18n]);
+
+  // --- ACTIONS (logged, so the audit trail shows who silenced what) ---
+  const toggleMute = useCallback(() => {
+    setMuted(!muted);
+    onLog(i18n.t(muted ? 'logs.alarmUnmuted' : 'logs.alarmMuted', { actor }), { category: 'alarm' });
+  }, [muted, onLog, actor, i18n]);
+
+  const snoozeFor = useCallback((minutes) => {
+    const from = Date.now();
+    setSnooze({ from, until: from + minutes * 60 * 1000 });
+    onLog(i18n.t('logs.alarmSnoozed', { minutes, actor }), { category: 'alarm' });
+  }, [onLog, actor, i18n]);
+
+  const cancelSnooze = useCallback(() => {
+    setSnooze(null);
+    onLog(i18n.t('logs.alarmSnoozeCancelled', { actor }), { category: 'alarm' });
+  }, [onLog, actor, i18n]);
+
+  const enableNotifications = useCallback(async () => {
+    setPermission(await requestNotificationPermission());
+  }, []);
+
+  return {
+    alerts,
+    worstType,
+    muted,
+    snoozed,
+    snoozeUntil: snoozed ? snooze.until : null,
+    permission,
+    toggleMute,
+    snoozeFor,
+    cancelSnooze,
+    enableNotifications,
+  };
+};
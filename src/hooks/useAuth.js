@@ -0,0 +1,15 @@
+// ==================================================================================
+// HOOK: useAuth
+// Restores the previous session and returns the auth state { status, user, error }.
+// ==================================================================================
+
+import { useEffect, useSyncExternalStore } from 'react';
+
+export const useAuth = (authStore) => {
+  // A refresh should not sign the user out
+  useEffect(() => {
+    authStore.restore();
+  }, [authStore]);
+
+  return useSyncExternalStore(authStore.subscribe, authStore.getSnapshot);
+};
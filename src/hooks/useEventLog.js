@@ -0,0 +1,15 @@
+// ==================================================================================
+// HOOK: useEventLog
+// Opens the persisted System Logs and returns the entries (newest first).
+// ==================================================================================
+
+import { useEffect, useSyncExternalStore } from 'react';
+
+export const useEventLog = (eventLog) => {
+  // Load what was logged before the page was refreshed
+  useEffect(() => {
+    eventLog.open();
+  }, [eventLog]);
+
+  return useSyncExternalStore(eventLog.subscribe, eventLog.getSnapshot);
+};
@@ -0,0 +1,36 @@
+// ==================================================================================
+// HOOK: useFloorPlans
+// Loads the floor plan of every floor in the site (each file once).
+// Returns { plans, errors }, both keyed by floor key; a floor is missing from
+// both while its plan is still loading.
+// ==================================================================================
+
+import { useState, useEffect, useMemo } from 'react';
+import { loadFloorPlan } from '../data/floorPlan';
+
+export const useFloorPlans = (floors) => {
+  const [results, setResults] = useState({}); // url -> { plan, error }
+  // A string, so the effect only re-runs when the set of files changes
+  const urls = [...new Set(floors.map(floor => floor.plan).filter(Boolean))].join('\n');
+
+  useEffect(() => {
+    let cancelled = false; // Ignore late responses once the site changed
+    urls.split('\n').filter(Boolean).forEach(url => {
+      loadFloorPlan(url)
+        .then(plan => !cancelled && setResults(prev => ({ ...prev, [url]: { plan, error: null } })))
+        .catch(error => !cancelled && setResults(prev => ({ ...prev, [url]: { plan: null, error } })));
+    });
+    return () => { cancelled = true; };
+  }, [urls]);
+
+  return useMemo(() => {
+    const plans = {};
+    const errors = {};
+    floors.forEach(floor => {
+      const result = results[floor.plan];
+      if (result?.plan) plans[floor.key] = result.plan;
+      if (result?.error) errors[floor.key] = result.error;
+    });
+    return { plans, errors };
+  }, [floors, results]);
+};
@@ -0,0 +1,48 @@
+// ==================================================================================
+// HOOK: useFocusTrap
+// Keeps Tab / Shift+Tab inside a modal dialog and gives focus back to whatever
+// had it (usually the button that opened the dialog) when the dialog closes.
+// Put the returned ref (and tabIndex={-1}) on the element with aria-modal="true";
+// the first focus inside comes from an `autoFocus` button.
+// ==================================================================================
+
+import { useEffect, useRef, useState } from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+export const useFocusTrap = () => {
+  const ref = useRef(null);
+  // Read while rendering: by the time effects run, autoFocus has already moved focus
+  const [opener] = useState(() => document.activeElement);
+
+  useEffect(() => {
+    const dialog = ref.current;
+    if (!dialog) return undefined;
+    if (!dialog.contains(document.activeElement)) dialog.focus();
+
+    const onKeyDown = (e) => {
+      if (e.key !== 'Tab') return;
+      const items = [...dialog.querySelectorAll(FOCUSABLE)];
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      if (opener instanceof HTMLElement && opener.isConnected) opener.focus();
+    };
+  }, [opener]);
+
+  return ref;
+};
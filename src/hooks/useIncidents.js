@@ -0,0 +1,16 @@
+// ==================================================================================
+// HOOK: useIncidents
+// Keeps the incident store in step with the sensor feed and returns the list.
+// ==================================================================================
+
+import { useEffect, useSyncExternalStore } from 'react';
+
+export const useIncidents = (incidentStore, feed) => {
+  // Every classified update goes straight to the incident tracker
+  useEffect(() => {
+    incidentStore.sync(feed.getState().rooms);
+    return feed.subscribe(state => incidentStore.sync(state.rooms));
+  }, [incidentStore, feed]);
+
+  return useSyncExternalStore(incidentStore.subscribe, incidentStore.getSnapshot);
+};
@@ -0,0 +1,19 @@
+// ==================================================================================
+// HOOK: useNow
+// Current time that re-renders every `intervalMs` while `active` is true.
+// Used for the live incident timers.
+// ==================================================================================
+
+import { useState, useEffect } from 'react';
+
+export const useNow = (active, intervalMs = 1000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(interval);
+  }, [active, intervalMs]);
+
+  return now;
+};
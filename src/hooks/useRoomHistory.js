@@ -0,0 +1,18 @@
+// ==================================================================================
+// HOOK: useRoomHistory
+// Subscribes a component to one room's readings in the history store.
+// ==================================================================================
+
+import { useMemo, useSyncExternalStore } from 'react';
+
+export const useRoomHistory = (store, roomId, windowMs) => {
+  // Re-render only when this room's readings change
+  const version = useSyncExternalStore(store.subscribe, () => store.getVersion(roomId));
+
+  return useMemo(
+    () => store.getSamples(roomId, windowMs),
+    // `version` tells us the buffer behind `store` has new readings
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [store, roomId, windowMs, version]
+  );
+};
@@ -0,0 +1,86 @@
+// ==================================================================================
+// HOOK: useScenarioPlayer
+// Plays a scenario through a playback channel of useSensorFeed (the same path
+// as live data), one tick per scenario second, at an adjustable speed.
+// Only plain readings are sent, so rooms outside the scenario stay as they are;
+// the channel holds back live data for the scenario's rooms until it stops.
+// Scenario events (e.g. the log of a recorded session) are passed to `onEvent`.
+// ==================================================================================
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { sampleScenario, eventsBetween } from '../data/scenarioEngine';
+
+const TICK_SECONDS = 1; // Scenario time between two emitted readings
+
+// channel: { start(roomIds), emit(data), stop() }
+export const useScenarioPlayer = (channel, onEvent) => {
+  const [scenario, setScenario] = useState(null);
+  const [time, setTime] = useState(0); // Seconds since scenario start
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  // The interval needs the latest time without re-creating itself every tick.
+  // `baseTs` maps scenario time onto reading timestamps.
+  const clockRef = useRef({ time: 0, baseTs: 0, lastTs: 0 });
+
+  // --- HELPER: EMIT READINGS FOR ONE MOMENT ---
+  // `from` is the previous scenario time; events after it and up to `t` are passed on
+  const emitAt = useCallback((target, t, from = -1) => {
+    const clock = clockRef.current;
+    const ts = clock.baseTs + t * 1000;
+    clock.lastTs = ts;
+    sampleScenario(target, t).forEach(room => channel.emit({ type: 'reading', ts: new Date(ts).toISOString(), room }));
+    if (onEvent) eventsBetween(target, from, t).forEach(event => onEvent(event, target));
+  }, [channel, onEvent]);
+
+  // --- FUNCTION: LOAD (OR RESTART) ---
+  // Sets the scenario's rooms to their starting readings; null hands them back to live data
+  const load = useCallback((next) => {
+    const clock = clockRef.current;
+    // Timestamps must keep moving forward, even after a fast replay
+    clock.baseTs = Math.max(Date.now(), clock.lastTs + 1000);
+    clock.time = 0;
+    setScenario(next);
+    setTime(0);
+    setPlaying(false);
+    channel.stop(); // A restart begins from live data too
+    if (!next) return;
+    channel.start(next.rooms.map(room => room.id));
+    emitAt(next, 0);
+  }, [channel, emitAt]);
+
+  // --- FUNCTION: STEP ONE TICK ---
+  const step = useCallback(() => {
+    if (!scenario) return;
+    const clock = clockRef.current;
+    if (clock.time >= scenario.duration) {
+      setPlaying(false); // Reached the end
+      return;
+    }
+    const from = clock.time;
+    clock.time = Math.min(scenario.duration, clock.time + TICK_SECONDS);
+    setTime(clock.time);
+    emitAt(scenario, clock.time, from);
+  }, [scenario, emitAt]);
+
+  // --- EFFECT: PLAYBACK LOOP ---
+  useEffect(() => {
+    if (!playing) return undefined;
+    const interval = setInterval(step, (TICK_SECONDS * 1000) / speed);
+    return () => clearInterval(interval);
+  }, [playing, speed, step]);
+
+  const play = useCallback(() => {
+    if (!scenario) return;
+    // Pressing play at the end starts again from the top
+    if (clockRef.current.time >= scenario.duration) load(scenario);
+    setPlaying(true);
+  }, [scenario, load]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  // --- EFFECT: HAND THE ROOMS BACK WHEN THE PLAYER GOES AWAY ---
+  useEffect(() => () => channel.stop(), [channel]);
+
+  return { scenario, time, playing, speed, setSpeed, load, play, pause, step };
+};
@@ -0,0 +1,109 @@
+// ==================================================================================
+// HOOK: useSensorFeed
+// Connects to a data source and keeps the live list of rooms up to date.
+// Every reading is calibrated, checked for sensor faults (sensorFaults.js) and
+// run through the hazard classifier before it reaches the UI. Acks for actuator
+// commands are also handed to the command store. With a room cache, the last
+// known rooms are shown from the start and every update is saved for next time.
+// Scenarios and session replays play through channels (`playback`); live data
+// for the rooms they play is held back until they stop (playbackGate.js).
+// ==================================================================================
+
+import { useState, useEffect, useCallback, useMemo, useSyncExternalStore } from 'react';
+import { parseMessage } from '../data/sensorSchema';
+import { createFeedStore } from '../data/feedStore';
+import { createHistoryStore } from '../data/historyStore';
+import { createSensorValidator } from '../data/sensorFaults';
+import { createPlaybackGate } from '../data/playbackGate';
+
+// calibration: optional calibration store (calibrationStore.js)
+// actuators: optional actuator command store (actuatorStore.js)
+// cache: optional room cache (roomCache.js)
+export const useSensorFeed = (source, { calibration, actuators, cache } = {}) => {
+  const [feed] = useState(() => createFeedStore(cache?.load())); // Rooms + classification, filled as soon as the source reports
+  const [history] = useState(() => createHistoryStore()); // Per-room time-series for the charts
+  const [replayHistory] = useState(() => createHistoryStore()); // Charts of replayed rooms, kept apart from the live ones
+  const [gate] = useState(() => createPlaybackGate()); // Holds live data for rooms a scenario or replay plays
+  const [validator] = useState(() => createSensorValidator({ getCalibration: calibration?.getSnapshot })); // Remembers stuck sensors
+  // { status: 'connecting' | 'online' | 'offline', attempt, retryAt,
+  //   since: when the link last went up, or down (reconnect attempts don't reset it) }
+  const [connection, setConnection] = useState(() => ({ status: 'connecting', attempt: 0, retryAt: null, since: Date.now() }));
+  const { rooms } = useSyncExternalStore(feed.subscribe, feed.getState);
+
+  // --- HELPER: ONE PARSED MESSAGE, EVERY STORE ---
+  // tags: set by the dashboard itself, never by the source (e.g. { replay: true }).
+  // receivedAt is the heartbeat time for node health.
+  const ingest = useCallback((parsed, tags = {}) => {
+    if (parsed.type === 'ack') actuators?.receive(parsed);
+    const message = { ...validator.check(parsed), receivedAt: Date.now(), ...tags };
+    (message.replay ? replayHistory : history).record(message);
+    feed.apply(message);
+  }, [feed, history, replayHistory, validator, actuators]);
+
+  // --- HELPER: LIVE MESSAGE FROM THE SOURCE ---
+  const receive = useCallback((data) => {
+    const parsed = parseMessage(data);
+    if (!parsed) return;
+    gate.filter(parsed, feed.getState().rooms.map(room => room.id)).forEach(message => ingest(message));
+  }, [feed, gate, ingest]);
+
+  const onStatus = useCallback((status, { attempt = 0, retryAt = null } = {}) => {
+    const now = Date.now();
+    setConnection(prev => ({
+      status,
+      attempt,
+      retryAt,
+      since: (prev.status === 'online') === (status === 'online') ? prev.since : now,
+    }));
+  }, []);
+
+  // --- EFFECT: REMEMBER THE LAST KNOWN ROOMS ---
+  useEffect(() => {
+    if (!cache) return undefined;
+    return feed.subscribe(state => cache.save(state.rooms));
+  }, [feed, cache]);
+
+  // --- EFFECT: SUBSCRIBE TO SOURCE ---
+  useEffect(() => {
+    source.connect({ onMessage: receive, onStatus });
+    // Cleanup: close the socket/stream when the dashboard unmounts
+    return () => source.disconnect();
+  }, [source, receive, onStatus]);
+
+  // --- FUNCTION: RECONNECT NOW ---
+  // Skips the remaining backoff wait
+  const reconnect = useCallback(() => {
+    source.disconnect();
+    source.connect({ onMessage: receive, onStatus });
+  }, [source, receive, onStatus]);
+
+  // --- FUNCTION: INJECT ---
+  // Applies a message locally, through the same path as live data.
+  // Used by the Manual Override Panel.
+  const inject = useCallback((data) => {
+    const parsed = parseMessage(data);
+    if (parsed) ingest(parsed);
+  }, [ingest]);
+
+  // --- PLAYBACK CHANNELS ---
+  // { start(roomIds), emit(data), stop() } for the scenario player.
+  // `replay` rooms are marked until live data takes them back: they open replay
+  // incidents and trigger nothing outside the dashboard (no actuator rules,
+  // Master Node updates or webhooks). Their charts use `replayHistory`.
+  const playback = useMemo(() => {
+    const channel = (name, tags) => ({
+      start: (roomIds) => gate.start(name, roomIds),
+      emit: (data) => {
+        const parsed = parseMessage(data);
+        if (parsed) ingest(parsed, tags);
+      },
+      stop: () => {
+        gate.stop(name).forEach(({ message, receivedAt }) => ingest(message, { receivedAt }));
+        if (tags.replay) replayHistory.clear();
+      },
+    });
+    return { scenario: channel('scenario', {}), replay: channel('replay', { replay: true }) };
+  }, [gate, ingest, replayHistory]);
+
+  return { rooms, connection, reconnect, inject, playback, history, replayHistory, feed };
+};
@@ -0,0 +1,47 @@
+// ==================================================================================
+// HOOK: useShortcuts
+// Single-key shortcuts (SHORTCUTS in src/config/accessibility.js).
+// actions: { acknowledge, report, exportData, help, escape } - each a function,
+// or missing when it does nothing here. Keys are ignored while typing in a field,
+// while a dialog is open (except Escape), with Ctrl/Alt/Cmd held (browser
+// shortcuts) and when held down (auto-repeat).
+// ==================================================================================
+
+import { useEffect, useRef } from 'react';
+import { SHORTCUTS } from '../config/accessibility';
+
+// --- HELPER: IS THE OPERATOR TYPING? ---
+const isTyping = (target) => target instanceof HTMLElement
+  && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// --- HELPER: IS A MODAL DIALOG OPEN? ---
+// Its own buttons get the keys; shortcuts would act on the dashboard behind it
+const isDialogOpen = () => document.querySelector('[aria-modal="true"]') !== null;
+
+export const useShortcuts = (actions) => {
+  const actionsRef = useRef(actions);
+
+  // --- EFFECT: KEEP THE LATEST ACTIONS (they close over the current state) ---
+  useEffect(() => {
+    actionsRef.current = actions;
+  });
+
+  // --- EFFECT: LISTEN ONCE ---
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey || e.repeat) return;
+      if (e.key === 'Escape') {
+        actionsRef.current.escape?.();
+        return;
+      }
+      if (isTyping(e.target) || isDialogOpen()) return;
+      const name = Object.keys(SHORTCUTS).find(key => SHORTCUTS[key] === e.key.toLowerCase());
+      const action = name && actionsRef.current[name];
+      if (!action) return;
+      e.preventDefault();
+      action();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+};
@@ -0,0 +1,28 @@
+// ==================================================================================
+// HOOK: useSite
+// Loads the site model (buildings, floors, sectors) once. Without a site file,
+// or when it cannot be read, the site is one floor drawn from `fallbackPlanUrl`.
+// Returns { site, error } - site is null while loading.
+// ==================================================================================
+
+import { useState, useEffect } from 'react';
+import { loadSite, singleFloorSite } from '../data/siteModel';
+
+export const useSite = (url, fallbackPlanUrl) => {
+  const [result, setResult] = useState(() => ({ site: url ? null : singleFloorSite(fallbackPlanUrl), error: null }));
+
+  useEffect(() => {
+    if (!url) return undefined;
+    let cancelled = false; // Ignore a late response if the URL changed meanwhile
+    loadSite(url)
+      .then(site => !cancelled && setResult({ site, error: null }))
+      .catch(error => {
+        if (cancelled) return;
+        console.warn('Site model unavailable, using the single floor plan:', error);
+        setResult({ site: singleFloorSite(fallbackPlanUrl), error });
+      });
+    return () => { cancelled = true; };
+  }, [url, fallbackPlanUrl]);
+
+  return result;
+};
@@ -0,0 +1,77 @@
+// ==================================================================================
+// I18N
+// Text, dates and numbers in the operator's language. App creates one translator
+// per language and hands it to components as the `i18n` prop:
+//   t('incidents.open', { count: 2 })  -> "2 open" / "2 offen"
+//   term('Fire Detected')              -> words that come from data (statuses,
+//                                         actuator states, roles); unknown ones
+//                                         are shown as they are
+//   time(ms), dateTime(ms), number(x), duration(seconds), age(ms)
+// Messages are in ./messages/<locale>.js. A key missing from a translation falls
+// back to English. Adding a language: docs/accessibility.md
+// ==================================================================================
+
+import en from './messages/en';
+import de from './messages/de';
+import { formatTime } from '../utils/format';
+import { formatAge } from '../data/nodeHealth';
+
+export const LOCALES = {
+  en: { name: 'English', messages: en },
+  de: { name: 'Deutsch', messages: de },
+};
+
+// --- HELPER: FIRST SUPPORTED LANGUAGE ('de-AT' -> 'de') ---
+const pickLocale = (candidates) => candidates
+  .map(tag => String(tag ?? '').toLowerCase().split('-')[0])
+  .find(code => LOCALES[code]) ?? 'en';
+
+// Set per site with VITE_LOCALE=de; otherwise the browser's language when there
+// is a translation for it. Operators can change it in the display menu.
+export const DEFAULT_LOCALE = pickLocale([import.meta.env.VITE_LOCALE, ...(globalThis.navigator?.languages ?? [])]);
+
+// --- HELPER: 'incidents.open' -> messages.incidents.open ---
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+// --- FUNCTION: CREATE TRANSLATOR ---
+const createTranslator = (locale) => {
+  const { messages } = LOCALES[locale];
+  const plurals = new Intl.PluralRules(locale);
+  const numbers = new Intl.NumberFormat(locale);
+  const times = new Intl.DateTimeFormat(locale, { timeStyle: 'medium' });
+  const dateTimes = new Intl.DateTimeFormat(locale, { dateStyle: 'short', timeStyle: 'medium' });
+
+  const number = (value, options) => (options ? new Intl.NumberFormat(locale, options) : numbers).format(value);
+
+  // Messages with a `count` can have forms: { one: '1 node offline', other: '{count} nodes offline' }
+  const t = (key, params = {}) => {
+    let message = lookup(messages, key) ?? lookup(en, key);
+    if (message === undefined) return key;
+    if (typeof message === 'object') message = message[plurals.select(params.count ?? 0)] ?? message.other;
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return match;
+      return typeof value === 'number' ? number(value) : String(value);
+    });
+  };
+
+  return {
+    locale,
+    t,
+    term: (text) => messages.terms?.[text] ?? text,
+    number,
+    time: (ms) => times.format(ms),
+    dateTime: (ms) => dateTimes.format(ms),
+    duration: (seconds) => formatTime(seconds, locale),
+    age: (ms) => formatAge(ms, locale),
+  };
+};
+
+// --- FUNCTION: TRANSLATOR FOR A LANGUAGE ---
+// One per language, so it can be used as an effect dependency
+const translators = new Map();
+export const getTranslator = (locale) => {
+  const code = LOCALES[locale] ? locale : 'en';
+  if (!translators.has(code)) translators.set(code, createTranslator(code));
+  return translators.get(code);
+};
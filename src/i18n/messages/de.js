@@ -0,0 +1,546 @@
+// ==================================================================================
+// DEUTSCH
+// German texts, same keys as en.js. `terms` translates the English words that come
+// with the data. The report texts must stay within Latin-1 (no „“ or –).
+// ==================================================================================
+
+export default {
+  common: {
+    close: 'Schließen',
+    cancel: 'Abbrechen',
+    confirm: 'Bestätigen',
+  },
+
+  // --- HEADER ---
+  connection: {
+    online: 'System online • Mit Master Node verbunden',
+    connecting: 'Verbinde mit Master Node...',
+    reconnecting: 'Verbindung verloren • Verbinde erneut mit Master Node...',
+    offline: 'Keine Verbindung zum Master Node',
+  },
+  header: {
+    report: 'Bericht speichern',
+    simulation: 'SIMULATION',
+    devModeOn: 'DEV-MODUS: AN',
+  },
+  export: {
+    button: 'Daten exportieren',
+    csv: 'Messwerte + Protokoll (CSV)',
+    json: 'Messwerte + Protokoll (JSON)',
+  },
+  alarm: {
+    unacknowledged: '{count} unbestätigt',
+    mute: 'Alarmton aus',
+    unmute: 'Alarmton ein',
+    snooze: 'Alarm pausieren',
+    snoozedUntil: 'Pausiert bis {time} (klicken zum Aufheben)',
+    minutes: { one: '{count} Minute', other: '{count} Minuten' },
+    enableDesktop: 'Desktop-Benachrichtigungen aktivieren',
+    titleBadge: '{hazard} ALARM',
+    notify: {
+      body: '{id} muss bestätigt werden.',
+      repeatTitle: 'UNBESTÄTIGT: {status} in {place}',
+      repeatBody: '{id} wartet seit {seconds} s auf Bestätigung.',
+    },
+  },
+  display: {
+    button: 'Anzeige',
+    theme: 'Darstellung',
+    themes: { dark: 'Dunkel', light: 'Hell', contrast: 'Hoher Kontrast' },
+    motion: 'Bewegung',
+    motions: { system: 'Wie System', reduce: 'Reduziert', full: 'Voll' },
+    language: 'Sprache',
+    shortcuts: 'Tastenkürzel (?)',
+  },
+  user: {
+    signOut: 'Abmelden',
+  },
+  update: {
+    ready: 'Eine neue Version des Dashboards ist verfügbar.',
+    reload: 'Neu laden',
+  },
+  banner: {
+    title: 'Master Node getrennt - es kommen keine Live-Daten an',
+    since: 'Getrennt seit {time}.',
+    retry: 'Verbindungsversuch {attempt}.',
+    retryIn: 'Verbindungsversuch {attempt} in {seconds} s.',
+    reconnecting: 'Verbinde erneut...',
+    reconnectingAttempt: 'Verbinde erneut (Versuch {attempt})...',
+    lastValues: 'Die Raumwerte unten sind die zuletzt empfangenen.',
+    queued: { one: '{count} Aktion wartet und wird gesendet, sobald die Verbindung steht.', other: '{count} Aktionen warten und werden gesendet, sobald die Verbindung steht.' },
+    retryNow: 'Jetzt verbinden',
+  },
+
+  // --- ANMELDUNG ---
+  login: {
+    intro: 'Beim Überwachungs-Dashboard anmelden',
+    username: 'Benutzername',
+    password: 'Passwort',
+    signIn: 'Anmelden',
+    signingIn: 'Melde an...',
+    demo: 'Demo-Konten (Passwort = Benutzername)',
+  },
+
+  // --- LIVE-SENSOREN ---
+  sensors: {
+    title: 'Live-Sensoren',
+    noData: 'Keine Live-Daten',
+    offline: { one: '{count} Knoten offline', other: '{count} Knoten offline' },
+    stale: { one: '{count} Knoten veraltet', other: '{count} Knoten veraltet' },
+    receiving: 'Empfange Daten',
+    none: 'keine Sensoren',
+    allSafe: 'ALLES SICHER',
+  },
+  room: {
+    clickForHistory: 'Klicken für den Verlauf',
+    openHistory: 'Verlauf von {room} anzeigen',
+    last: 'ZULETZT: {status}',
+    lastSeen: 'Zuletzt gesehen {age}',
+    replay: 'AUFGEZEICHNETER MESSWERT',
+    temp: 'Temp.',
+    temperature: 'Temperatur',
+    smoke: 'Rauchdichte',
+    trend: { rising: 'Steigend', falling: 'Fallend', steady: 'Gleichbleibend' },
+  },
+  history: {
+    title: 'Verlauf von {room}',
+    readings: { one: '{count} Messwert im Zeitraum', other: '{count} Messwerte im Zeitraum' },
+    minutes: '{count} min',
+    hours: '{count} h',
+  },
+  faults: {
+    readings: { temp: 'Temperatur', smoke: 'Rauch' },
+    range: 'Sensor {sensorId}: {reading}-Wert {value}{unit} ist unmöglich',
+    stuck: 'Sensor {sensorId} hängt seit {minutes} min bei {temp}°C / {smoke}%',
+    disagree: 'Sensoren {sensors} weichen um {spread}{unit} ab',
+  },
+  actuators: {
+    in: 'in',
+    pending: 'wartet auf Bestätigung ({state})',
+    queued: 'wartet auf den Master Node ({state})',
+    failed: 'letzter Befehl fehlgeschlagen: {error}',
+    clickTo: 'klicken: {action}',
+    confirmTitle: 'Aktorbefehl bestätigen',
+    unknown: 'unbekannt',
+    confirmNote: 'Der Befehl geht an den Master Node und wird mit Ihrem Namen im Systemprotokoll vermerkt.',
+  },
+
+  // --- KARTE ---
+  map: {
+    label: 'Grundriss {name}',
+    floors: 'Etagen',
+    sensor: 'Sensor {id}',
+    noSafeExit: 'KEIN SICHERER AUSGANG',
+    zoomIn: 'Vergrößern',
+    zoomOut: 'Verkleinern',
+    resetView: 'Ansicht zurücksetzen',
+    placeholder: 'GEBÄUDEPLAN',
+    unavailable: 'Grundriss nicht verfügbar: {error}',
+    noPlan: 'Kein Grundriss für {floor}',
+    loading: 'Lade Grundriss...',
+  },
+
+  // --- EREIGNISZEIT ---
+  timer: {
+    title: 'Ereigniszeit',
+    critical: 'STATUS: KRITISCHER ALARM',
+    awaiting: 'STATUS: WARTET AUF ABSCHLUSS',
+    monitoring: 'STATUS: AKTIVE ÜBERWACHUNG',
+  },
+
+  // --- SYSTEMPROTOKOLL ---
+  log: {
+    title: 'Systemprotokoll',
+    countOf: '{shown} von {total}',
+    search: 'Protokoll durchsuchen...',
+    minSeverity: 'Mindestschwere',
+    allSeverities: 'Alle Schweregrade',
+    warningUp: 'Ab Warnung',
+    criticalOnly: 'Nur kritisch',
+    roomFilter: 'Raum',
+    allRooms: 'Alle Räume',
+    room: 'Raum {id}',
+    from: 'Von Datum',
+    to: 'Bis Datum',
+    empty: 'System gestartet. Warte auf Ereignisse...',
+    noMatch: 'Keine Einträge passen zum Filter.',
+  },
+
+  // --- VORFÄLLE ---
+  incidents: {
+    title: 'Vorfälle',
+    open: '{count} offen',
+    actingAs: 'Angemeldet als',
+    viewOnly: 'Nur ansehen',
+    none: 'Keine offenen Vorfälle.',
+    resolved: 'Abgeschlossen ({count})',
+    history: 'Verlauf anzeigen',
+    historyOf: 'Verlauf von {id} anzeigen',
+    cleared: 'Gefahr vorbei',
+    lost: 'Raum nicht mehr gemeldet',
+    replay: 'Wiedergabe',
+    ack: 'BEST.',
+    acknowledge: 'Bestätigen',
+    escalate: 'ESKALIEREN',
+    resolve: 'ABSCHLIESSEN',
+    stillHazard: 'Der Raum meldet noch eine Gefahr',
+    close: 'Diesen Vorfall abschließen',
+    started: 'Begonnen {time}',
+    ackedBy: 'Bestätigt {time} von {user}',
+    resolvedBy: 'Abgeschlossen {time} von {user}',
+    replayEnded: 'Wiedergabe beendet {time}',
+    worsened: 'Verschlechtert zu {status}',
+  },
+
+  // --- EINSTELLUNGEN ---
+  calibration: {
+    title: 'Sensorkalibrierung',
+    intro: 'Korrigierter Wert = Rohwert × Faktor + Offset. Gilt ab dem nächsten Messwert; jede Änderung wird im Systemprotokoll vermerkt.',
+    sensor: 'Sensor',
+    rawCorrected: 'Roh → Korrigiert',
+    fields: {
+      tempOffset: 'Temp.-Offset (°C)',
+      tempScale: 'Temp.-Faktor',
+      smokeOffset: 'Rauch-Offset (%)',
+      smokeScale: 'Rauch-Faktor',
+    },
+    faults: { range: 'Unmöglicher Wert', stuck: 'Hängt', disagree: 'Weicht ab' },
+    save: 'Kalibrierung speichern',
+    reset: 'Auf Standard zurücksetzen',
+    none: 'Noch keine Sensoren gemeldet.',
+    describe: 'Temp. ×{tempScale} {tempOffset}°C, Rauch ×{smokeScale} {smokeOffset}%',
+  },
+  automation: {
+    title: 'Aktor-Automatik',
+    intro: 'Wechselt ein Raum auf FEUER, sendet jede aktive Regel ihren Befehl. Aktoren, die schon in diesem Zustand sind, bleiben unverändert.',
+    recent: 'Letzte Befehle',
+    automatic: 'automatisch',
+    none: 'Noch keine Befehle gesendet.',
+  },
+  notifications: {
+    title: 'Alarmbenachrichtigungen',
+    intro: 'Protokolleinträge, die zu einer Regel passen, werden als JSON-Webhooks an ihre Kanäle gesendet und bei Fehlern wiederholt. Der Endpunkt muss CORS erlauben.',
+    channels: 'Kanäle',
+    channelEnabled: 'Kanal aktiv',
+    channelName: 'Kanalname',
+    channelPlaceholder: 'Name, z. B. Slack #ops',
+    url: 'Webhook-URL',
+    format: 'Nachrichtenformat',
+    test: 'Testnachricht senden',
+    saveChannel: 'Kanal speichern',
+    addChannel: 'Kanal hinzufügen',
+    deleteChannel: 'Kanal löschen',
+    rules: 'Regeln',
+    ruleEnabled: 'Regel aktiv',
+    ruleName: 'Regelname',
+    rulePlaceholder: 'Name, z. B. Brände an Bereitschaft',
+    severity: 'Schweregrad',
+    andAbove: 'ab {severity}',
+    saveRule: 'Regel speichern',
+    addRule: 'Regel hinzufügen',
+    deleteRule: 'Regel löschen',
+    rooms: 'Räume',
+    all: 'Alle',
+    sendTo: 'Senden an',
+    addChannelFirst: 'Zuerst einen Kanal anlegen',
+    recent: 'Letzte Zustellungen',
+    testTag: 'Test',
+    attempt: 'Versuch {attempt}',
+    none: 'Noch nichts gesendet.',
+    describeChannel: '"{name}" ({format}, {host})',
+    describeChannelOff: '"{name}" ({format}, {host}, aus)',
+    describeRule: '"{name}" (ab {severity}, {rooms} -> {channels})',
+    describeRuleOff: '"{name}" (ab {severity}, {rooms} -> {channels}, aus)',
+    someRooms: 'Räume {rooms}',
+    allRooms: 'alle Räume',
+    noChannel: 'kein Kanal',
+  },
+
+  // --- MANUELLE STEUERUNG (Entwicklerwerkzeuge) ---
+  simulation: {
+    title: 'Manuelle Steuerung',
+    intro: 'Damit lässt sich die Reaktion der Oberfläche auf einen Notfall ohne Hardware-Auslöser testen, oder unten ein Szenario abspielen.',
+    triggerFire: 'BRAND AUSLÖSEN',
+    restoreNormal: 'NORMALZUSTAND',
+    chooseScenario: 'Szenario wählen...',
+    fromFile: '{name} (Datei)',
+    loadScenario: 'Szenariodatei laden',
+  },
+
+  // --- WIEDERGABE-STEUERUNG (Szenarien und Sitzungswiedergabe) ---
+  playback: {
+    play: 'Abspielen',
+    pause: 'Pause',
+    step: '1 Sekunde weiter',
+    restart: 'Neu starten',
+    speed: 'Wiedergabegeschwindigkeit',
+    originalTime: 'Ursprüngliche Zeit der Aufzeichnung',
+    loadFailed: 'Datei konnte nicht geladen werden: {error}',
+  },
+
+  // --- SITZUNGSWIEDERGABE ---
+  replay: {
+    title: 'Sitzungswiedergabe',
+    intro: 'Einen Sitzungsexport (CSV oder JSON) abspielen. Wiedergegebene Räume und Vorfälle sind markiert; nichts wird an den Master Node oder an Alarmkanäle gesendet.',
+    load: 'Sitzungsdatei laden',
+    end: 'Wiedergabe beenden, zurück zu Live-Daten',
+    summary: 'Aufgezeichnet {time} · {readings} Messwerte, {events} Protokolleinträge',
+  },
+
+  // --- FEHLER IN SZENARIO- UND SITZUNGSDATEIEN ---
+  fileErrors: {
+    json: 'Die Datei ist kein gültiges JSON',
+    notObject: 'Ein Szenario muss ein JSON-Objekt sein',
+    noRooms: 'Dem Szenario fehlt die Liste "rooms"',
+    noKeyframes: 'Dem Szenario fehlt die Liste "keyframes"',
+    keyframeTime: 'Keyframe {index}: "at" muss eine Sekundenzahl >= 0 sein',
+    keyframeRoom: 'Keyframe {index}: unbekannter Raum {room}',
+    keyframeValues: 'Keyframe {index}: braucht Zahlen für "temp" und "smoke" (oder "dropout": true)',
+    format: 'Kein SAFE-Sitzungsexport (Format "{format}")',
+    csvColumns: 'In der CSV fehlen die Spalte(n): {columns}',
+    readingRoom: 'Messwert {index}: Raum-ID fehlt',
+    readingValues: 'Messwert {index}: temp und smoke müssen Zahlen sein',
+    readingTime: 'Messwert {index}: "{value}" ist kein ISO-Zeitstempel',
+    eventTime: 'Ereignis {index}: "{value}" ist kein ISO-Zeitstempel',
+    noReadings: 'Die Datei enthält keine Messwerte',
+  },
+
+  // --- TASTENKÜRZEL ---
+  shortcuts: {
+    title: 'Tastenkürzel',
+    acknowledge: 'Ältesten unbestätigten Alarm bestätigen',
+    report: 'PDF-Vorfallbericht speichern',
+    exportData: 'Messwerte + Protokoll exportieren (CSV)',
+    help: 'Diese Liste anzeigen',
+    escape: 'Offenen Dialog schließen',
+    tab: 'Zwischen Schaltflächen, Feldern und Räumen wechseln',
+    note: 'Während der Eingabe in ein Feld oder bei offenem Dialog sind die Kürzel aus.',
+    notAllowed: 'Ihre Rolle darf das nicht.',
+    nothingToAcknowledge: 'Kein Alarm wartet auf Bestätigung.',
+  },
+
+  // --- PROTOKOLLEINTRÄGE ---
+  logs: {
+    byActor: '{message} · von {actor}',
+    signedIn: '🔑 {user} angemeldet',
+    signInFailed: '🔑 Anmeldung für "{username}" fehlgeschlagen: {error}',
+    signedOut: '🔒 {user} abgemeldet',
+    incident: {
+      opened: '🚨 {id} ERÖFFNET: {detail} in {place}',
+      escalated: '⏫ {id} ESKALIERT auf Stufe {level}: {detail}',
+      escalatedBy: '⏫ {id} ESKALIERT auf Stufe {level}: {detail} ({user})',
+      acknowledged: '👁️ {id} BESTÄTIGT von {user}',
+      cleared: '🌤️ {id}: {place} wieder normal, wartet auf Abschluss',
+      lost: '❓ {id}: {place} wird vom Master Node nicht mehr gemeldet, nach Prüfung vor Ort abschließen',
+      recurred: '🔁 {id} GEFAHR ZURÜCK: {detail} in {place}',
+      resolved: '✅ {id} ABGESCHLOSSEN von {user}',
+      ended: '⏹️ {id}: Wiedergabe von {place} beendet, Vorfall geschlossen',
+      notSent: '⚠️ {id} {action} konnte nicht an den Master Node gesendet werden: {error}',
+    },
+    node: {
+      online: '📶 {place}: Sensorknoten wieder online',
+      stale: '📡 {place}: seit {seconds} s keine Daten, Werte sind veraltet',
+      offline: '📵 {place}: Sensorknoten OFFLINE (seit {seconds} s still)',
+    },
+    fault: '⚠️ SENSORFEHLER in {place}: {fault}',
+    faultCleared: '✅ {place}: Sensorwerte wieder gültig',
+    calibration: '🔧 KALIBRIERUNG: Sensor {sensor} in {place} geändert von {before} auf {after}',
+    connectionLost: '🔌 Verbindung zum Master Node verloren, verbinde erneut',
+    connectionRestored: '🔌 Verbindung zum Master Node wiederhergestellt',
+    outbox: {
+      queued: '⏸️ OFFLINE: {what} wartet auf den Master Node',
+      sent: '📬 {what} nach dem Wiederverbinden gesendet ({seconds} s gewartet)',
+      expired: '📭 {what} VERWORFEN: {seconds} s gewartet, zu alt zum Senden',
+      refused: '❌ {what} nach dem Wiederverbinden abgelehnt',
+    },
+    command: {
+      rule: 'automatische Regel {rule}',
+      sent: '🎛️ BEFEHL {id} GESENDET: {action} in {place} · von {who}',
+      done: '✅ BEFEHL {id} BESTÄTIGT: {actuator} in {place} ist jetzt {state}',
+      failed: '❌ BEFEHL {id} FEHLGESCHLAGEN: {actuator} in {place} ({error})',
+    },
+    automation: {
+      on: 'an, {scope}',
+      off: 'aus',
+      changed: '⚙️ AUTOMATIK: Regel "{rule}" geändert von {before} auf {after}',
+    },
+    webhook: {
+      test: 'Testnachricht',
+      delivered: '📤 WEBHOOK an {to} zugestellt: {what} (HTTP {status})',
+      retrying: '⏳ WEBHOOK an {to} fehlgeschlagen ({error}), neuer Versuch in {seconds} s',
+      failed: '❌ WEBHOOK an {to} FEHLGESCHLAGEN nach {attempts} Versuchen ({error}): {what}',
+      testSent: '📤 WEBHOOK-Testnachricht an {channel} gesendet',
+      testMessage: '🧪 Testnachricht vom SAFE-Dashboard an "{channel}"',
+    },
+    notifications: {
+      channelAdded: '🔔 BENACHRICHTIGUNGEN: Kanal {channel} hinzugefügt',
+      channelChanged: '🔔 BENACHRICHTIGUNGEN: Kanal geändert von {before} auf {after}',
+      channelRemoved: '🔔 BENACHRICHTIGUNGEN: Kanal {channel} entfernt',
+      ruleAdded: '🔔 BENACHRICHTIGUNGEN: Regel {rule} hinzugefügt',
+      ruleChanged: '🔔 BENACHRICHTIGUNGEN: Regel geändert von {before} auf {after}',
+      ruleRemoved: '🔔 BENACHRICHTIGUNGEN: Regel {rule} entfernt',
+    },
+    alarmEscalated: '🔊 ALARM ESKALIERT: {id} in {place} seit {seconds} s unbestätigt',
+    alarmMuted: '🔕 Alarmton aus · von {actor}',
+    alarmUnmuted: '🔔 Alarmton ein · von {actor}',
+    alarmSnoozed: '💤 Alarm für {minutes} min pausiert · von {actor}',
+    alarmSnoozeCancelled: '🔔 Alarmpause aufgehoben · von {actor}',
+    report: '📄 PDF-Bericht heruntergeladen: {filename}',
+    reportFailed: '❌ PDF-Bericht konnte nicht erstellt werden: {error}',
+    exported: '💾 Sitzungsdaten exportiert: {filename} ({count} Messwerte)',
+    replayLoaded: '⏪ WIEDERGABE GELADEN: {file}',
+    replayEnded: '⏹️ WIEDERGABE BEENDET: {file}, die Räume zeigen wieder Live-Daten',
+    replayEvent: '⏪ WIEDERGABE [{time}]: {message}',
+    replayEventUntimed: '⏪ WIEDERGABE: {message}',
+    simulationFire: '🧪 SIMULATION: Brandereignis ausgelöst',
+    simulationNormal: '🧪 SIMULATION: Alle Sensoren normalisiert',
+    scenarioLoaded: '🎬 SZENARIO GELADEN: {name}',
+    scenarioLoadedFile: '🎬 SZENARIO GELADEN: {name} ({file})',
+    scenarioEvent: '🧪 SZENARIO: {message}',
+  },
+  outbox: {
+    command: 'Befehl {id} ({actuator} -> {state})',
+    incident: '{id}: Meldung {action}',
+    other: '{type}-Nachricht',
+  },
+
+  // --- PDF-BERICHT (nur Latin-1) ---
+  report: {
+    title: 'SAFE - VORFALLBERICHT',
+    subtitle: 'Smart Adaptive Fire Evacuation System',
+    generated: 'Bericht erstellt: {time}',
+    building: 'Gebäude: {name}',
+    status: 'Systemstatus: {status}',
+    emergency: 'NOTFALLALARM',
+    normal: 'NORMALE ÜBERWACHUNG',
+    incidentCount: 'Vorfälle: {total} gesamt, {open} offen',
+    window: 'Vorfallzeitraum: {from} - {to}',
+    duration: 'Vorfalldauer: {duration}',
+    replayNote: 'Mit [WIEDERGABE] markiert: Räume und Vorfälle aus einer Sitzungswiedergabe, nicht von den Live-Sensoren.',
+    replayMark: '[WIEDERGABE]',
+    roomStatus: 'Aktueller Raumstatus',
+    location: 'Ort',
+    currentStatus: 'Aktueller Status',
+    temp: 'Temp. (°C)',
+    smoke: 'Rauch (%)',
+    lastData: '{status} ({health}, letzte Daten)',
+    recommendation: 'Empfehlung des Systems',
+    evacuate: 'KRITISCH: Sofortige Evakuierung erforderlich.',
+    routine: 'Routineprüfung abgeschlossen. Keine Auffälligkeiten. Normale Überwachung fortsetzen.',
+    actuatorActive: '{actuator}: {state} in {rooms}',
+    noSprinkler: 'Keine Sprinkleraktivierung gemeldet.',
+    routes: 'Fluchtwege:',
+    noExit: 'KEIN SICHERER AUSGANG - vor Ort Schutz suchen und auf Rettung warten',
+    compromised: '(führt durch eine Gefahrenzone)',
+    incidents: 'Vorfälle',
+    noIncidents: 'In dieser Sitzung keine Vorfälle.',
+    escalationLevel: 'Eskalationsstufe {level}',
+    started: 'Begonnen: {time}   Dauer: {duration}',
+    acknowledged: 'Bestätigt: {time} von {user}',
+    notAcknowledged: 'Bestätigt: Nicht bestätigt',
+    resolved: 'Abgeschlossen: {time} von {user}',
+    replayEnded: 'Abgeschlossen: {time}, Wiedergabe beendet',
+    open: 'Abgeschlossen: Offen',
+    readings: 'Raumwerte im Vorfallzeitraum',
+    noReadings: 'Keine Messwerte in diesem Zeitraum',
+    log: 'Ereignisprotokoll (seit {time})',
+    noEvents: 'Keine Ereignisse protokolliert.',
+    footer: 'Erstellt {time}',
+    page: 'Seite {page} von {pages}',
+  },
+
+  terms: {
+    // Room status
+    'Fire Detected': 'Feuer erkannt',
+    'Dense Smoke': 'Dichter Rauch',
+    'High Temperature': 'Hohe Temperatur',
+    'Safe for Now': 'Derzeit sicher',
+    'Rapid Temperature Rise': 'Schneller Temperaturanstieg',
+    'Sensor Fault': 'Sensorfehler',
+    // Status labels
+    FIRE: 'FEUER',
+    SMOKE: 'RAUCH',
+    HEAT: 'HITZE',
+    SAFE: 'SICHER',
+    STALE: 'VERALTET',
+    'NO SIGNAL': 'KEIN SIGNAL',
+    'SENSOR FAULT': 'SENSORFEHLER',
+    // Actuators, their states and commands
+    'Sprinkler valve': 'Sprinklerventil',
+    Sounder: 'Sirene',
+    'Door release': 'Türfreigabe',
+    HVAC: 'Lüftung',
+    closed: 'geschlossen',
+    open: 'offen',
+    off: 'aus',
+    on: 'an',
+    locked: 'verriegelt',
+    released: 'freigegeben',
+    running: 'in Betrieb',
+    shutdown: 'abgeschaltet',
+    'Open valve': 'Ventil öffnen',
+    'Close valve': 'Ventil schließen',
+    'Sound alarm': 'Alarm auslösen',
+    'Silence sounder': 'Sirene stummschalten',
+    'Release doors': 'Türen freigeben',
+    'Lock doors': 'Türen verriegeln',
+    'Shut down HVAC': 'Lüftung abschalten',
+    'Restart HVAC': 'Lüftung neu starten',
+    'the burning room': 'der brennende Raum',
+    'its floor': 'seine Etage',
+    'the whole site': 'das ganze Gelände',
+    // Roles
+    viewer: 'Betrachter',
+    operator: 'Bediener',
+    admin: 'Administrator',
+    'Watches the dashboard': 'Beobachtet das Dashboard',
+    'Handles incidents, alarms and actuators, downloads reports, replays sessions': 'Bearbeitet Vorfälle, Alarme und Aktoren, lädt Berichte herunter, spielt Sitzungen ab',
+    'Also runs simulations, calibrates sensors and changes settings': 'Startet zusätzlich Simulationen, kalibriert Sensoren und ändert Einstellungen',
+    // Incidents
+    active: 'aktiv',
+    acknowledged: 'bestätigt',
+    resolved: 'abgeschlossen',
+    opened: 'eröffnet',
+    escalated: 'eskaliert',
+    cleared: 'entwarnt',
+    recurred: 'erneut aufgetreten',
+    lost: 'verloren',
+    ended: 'beendet',
+    'Escalated by operator': 'Vom Bediener eskaliert',
+    // Commands and deliveries
+    queued: 'wartend',
+    pending: 'ausstehend',
+    done: 'erledigt',
+    failed: 'fehlgeschlagen',
+    sending: 'sendet',
+    retrying: 'wiederholt',
+    delivered: 'zugestellt',
+    // Log severities and categories
+    info: 'Info',
+    warning: 'Warnung',
+    critical: 'kritisch',
+    incident: 'Vorfall',
+    sensor: 'Sensor',
+    connection: 'Verbindung',
+    actuator: 'Aktor',
+    alarm: 'Alarm',
+    auth: 'Anmeldung',
+    config: 'Einstellung',
+    calibration: 'Kalibrierung',
+    notification: 'Benachrichtigung',
+    report: 'Bericht',
+    replay: 'Wiedergabe',
+    simulation: 'Simulation',
+    system: 'System',
+    // Errors
+    'Wrong username or password': 'Falscher Benutzername oder falsches Passwort',
+    'refused by the node': 'vom Knoten abgelehnt',
+    'could not be sent': 'konnte nicht gesendet werden',
+    'network error or blocked by CORS': 'Netzwerkfehler oder durch CORS blockiert',
+    // Site
+    Unassigned: 'Nicht zugeordnet',
+    'All Sensors': 'Alle Sensoren',
+    Building: 'Gebäude',
+    'Floor Plan': 'Grundriss',
+  },
+};
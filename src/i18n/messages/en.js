@@ -0,0 +1,457 @@
+// ==================================================================================
+// ENGLISH
+// Every text of the dashboard. The reference for other languages: a key missing
+// from a translation is shown in English.
+//   {name}  replaced with a value (numbers are written the locale's way)
+//   { one, other }  forms picked by {count}
+// ==================================================================================
+
+export default {
+  common: {
+    close: 'Close',
+    cancel: 'Cancel',
+    confirm: 'Confirm',
+  },
+
+  // --- HEADER ---
+  connection: {
+    online: 'System Online • Connected to Master Node',
+    connecting: 'Connecting to Master Node...',
+    reconnecting: 'Connection lost • Reconnecting to Master Node...',
+    offline: 'Disconnected from Master Node',
+  },
+  header: {
+    report: 'Save Report',
+    simulation: 'SIMULATION',
+    devModeOn: 'DEV MODE: ON',
+  },
+  export: {
+    button: 'Export Data',
+    csv: 'Readings + log (CSV)',
+    json: 'Readings + log (JSON)',
+  },
+  alarm: {
+    unacknowledged: '{count} unacknowledged',
+    mute: 'Mute alarm',
+    unmute: 'Unmute alarm',
+    snooze: 'Snooze alarm',
+    snoozedUntil: 'Snoozed until {time} (click to cancel)',
+    minutes: { one: '{count} minute', other: '{count} minutes' },
+    enableDesktop: 'Enable desktop alerts',
+    titleBadge: '{hazard} ALERT',
+    notify: {
+      body: '{id} needs acknowledgement.',
+      repeatTitle: 'UNACKNOWLEDGED: {status} in {place}',
+      repeatBody: '{id} has waited {seconds}s for acknowledgement.',
+    },
+  },
+  display: {
+    button: 'Display',
+    theme: 'Theme',
+    themes: { dark: 'Dark', light: 'Light', contrast: 'High contrast' },
+    motion: 'Motion',
+    motions: { system: 'As system', reduce: 'Reduced', full: 'Full' },
+    language: 'Language',
+    shortcuts: 'Keyboard shortcuts (?)',
+  },
+  user: {
+    signOut: 'Sign out',
+  },
+  update: {
+    ready: 'A new version of the dashboard is ready.',
+    reload: 'Reload',
+  },
+  banner: {
+    title: 'Master Node disconnected - live data is not arriving',
+    since: 'Down since {time}.',
+    retry: 'Reconnect attempt {attempt}.',
+    retryIn: 'Reconnect attempt {attempt} in {seconds}s.',
+    reconnecting: 'Reconnecting...',
+    reconnectingAttempt: 'Reconnecting (attempt {attempt})...',
+    lastValues: 'Room readings below are the last values received.',
+    queued: { one: '{count} action queued, sent when the connection is back.', other: '{count} actions queued, sent when the connection is back.' },
+    retryNow: 'Retry now',
+  },
+
+  // --- SIGN-IN ---
+  login: {
+    intro: 'Sign in to the monitoring dashboard',
+    username: 'Username',
+    password: 'Password',
+    signIn: 'Sign in',
+    signingIn: 'Signing in...',
+    demo: 'Demo accounts (password = username)',
+  },
+
+  // --- LIVE SENSORS ---
+  sensors: {
+    title: 'Live Sensors',
+    noData: 'No Live Data',
+    offline: { one: '{count} node offline', other: '{count} nodes offline' },
+    stale: { one: '{count} node stale', other: '{count} nodes stale' },
+    receiving: 'Receiving Data',
+    none: 'no sensors',
+    allSafe: 'ALL SAFE',
+  },
+  room: {
+    clickForHistory: 'Click to view history',
+    openHistory: 'Show the history of {room}',
+    last: 'LAST: {status}',
+    lastSeen: 'Last seen {age}',
+    replay: 'REPLAYED READING',
+    temp: 'Temp',
+    temperature: 'Temperature',
+    smoke: 'Smoke Density',
+    trend: { rising: 'Rising', falling: 'Falling', steady: 'Steady' },
+  },
+  history: {
+    title: 'History of {room}',
+    readings: { one: '{count} reading in window', other: '{count} readings in window' },
+    minutes: '{count} min',
+    hours: '{count} h',
+  },
+  faults: {
+    readings: { temp: 'temperature', smoke: 'smoke' },
+    range: 'sensor {sensorId} {reading} reading {value}{unit} is impossible',
+    stuck: 'sensor {sensorId} stuck at {temp}°C / {smoke}% for {minutes} min',
+    disagree: 'sensors {sensors} disagree by {spread}{unit}',
+  },
+  actuators: {
+    in: 'in',
+    pending: 'waiting for acknowledgement ({state})',
+    queued: 'queued until the Master Node is back ({state})',
+    failed: 'last command failed: {error}',
+    clickTo: 'click to: {action}',
+    confirmTitle: 'Confirm actuator command',
+    unknown: 'unknown',
+    confirmNote: 'The command goes to the Master Node and is written to System Logs with your name.',
+  },
+
+  // --- MAP ---
+  map: {
+    label: 'Floor plan {name}',
+    floors: 'Floors',
+    sensor: 'Sensor {id}',
+    noSafeExit: 'NO SAFE EXIT',
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    resetView: 'Reset view',
+    placeholder: 'PHYSICAL LAYOUT VIEW',
+    unavailable: 'Floor plan unavailable: {error}',
+    noPlan: 'No floor plan for {floor}',
+    loading: 'Loading floor plan...',
+  },
+
+  // --- EVENT TIMER ---
+  timer: {
+    title: 'Event Timer',
+    critical: 'STATUS: CRITICAL ALERT',
+    awaiting: 'STATUS: AWAITING RESOLUTION',
+    monitoring: 'STATUS: ACTIVE MONITORING',
+  },
+
+  // --- SYSTEM LOGS ---
+  log: {
+    title: 'System Logs',
+    countOf: '{shown} of {total}',
+    search: 'Search logs...',
+    minSeverity: 'Minimum severity',
+    allSeverities: 'All severities',
+    warningUp: 'Warning and above',
+    criticalOnly: 'Critical only',
+    roomFilter: 'Room',
+    allRooms: 'All rooms',
+    room: 'Room {id}',
+    from: 'From date',
+    to: 'To date',
+    empty: 'System initialized. Waiting for events...',
+    noMatch: 'No entries match the filter.',
+  },
+
+  // --- INCIDENTS ---
+  incidents: {
+    title: 'Incidents',
+    open: '{count} open',
+    actingAs: 'Acting as',
+    viewOnly: 'View only',
+    none: 'No open incidents.',
+    resolved: 'Resolved ({count})',
+    history: 'Show history',
+    historyOf: 'Show the history of {id}',
+    cleared: 'Hazard cleared',
+    lost: 'Room no longer reported',
+    replay: 'Replay',
+    ack: 'ACK',
+    acknowledge: 'Acknowledge',
+    escalate: 'ESCALATE',
+    resolve: 'RESOLVE',
+    stillHazard: 'The room still reports a hazard',
+    close: 'Close this incident',
+    started: 'Started {time}',
+    ackedBy: 'Ack {time} by {user}',
+    resolvedBy: 'Resolved {time} by {user}',
+    replayEnded: 'Replay ended {time}',
+    worsened: 'Worsened to {status}',
+  },
+
+  // --- SETTINGS SCREENS ---
+  calibration: {
+    title: 'Sensor Calibration',
+    intro: 'Corrected value = raw × scale + offset. Applies from the next reading; every change is written to System Logs.',
+    sensor: 'Sensor',
+    rawCorrected: 'Raw → Corrected',
+    fields: {
+      tempOffset: 'Temp offset (°C)',
+      tempScale: 'Temp scale',
+      smokeOffset: 'Smoke offset (%)',
+      smokeScale: 'Smoke scale',
+    },
+    faults: { range: 'Impossible value', stuck: 'Stuck', disagree: 'Disagrees' },
+    save: 'Save calibration',
+    reset: 'Reset to defaults',
+    none: 'No sensors have reported yet.',
+    describe: 'temp ×{tempScale} {tempOffset}°C, smoke ×{smokeScale} {smokeOffset}%',
+  },
+  automation: {
+    title: 'Actuator Automation',
+    intro: 'When a room turns FIRE, every enabled rule sends its command. Actuators already in that state are left alone.',
+    recent: 'Recent commands',
+    automatic: 'automatic',
+    none: 'No commands sent yet.',
+  },
+  notifications: {
+    title: 'Alert Notifications',
+    intro: 'System Logs entries matching a rule are sent as JSON webhooks to its channels, retried if the endpoint fails. The endpoint must allow CORS.',
+    channels: 'Channels',
+    channelEnabled: 'Channel enabled',
+    channelName: 'Channel name',
+    channelPlaceholder: 'Name, e.g. Slack #ops',
+    url: 'Webhook URL',
+    format: 'Payload format',
+    test: 'Send a test message',
+    saveChannel: 'Save channel',
+    addChannel: 'Add channel',
+    deleteChannel: 'Delete channel',
+    rules: 'Rules',
+    ruleEnabled: 'Rule enabled',
+    ruleName: 'Rule name',
+    rulePlaceholder: 'Name, e.g. Fires to on-call',
+    severity: 'Severity',
+    andAbove: '{severity} and above',
+    saveRule: 'Save rule',
+    addRule: 'Add rule',
+    deleteRule: 'Delete rule',
+    rooms: 'Rooms',
+    all: 'All',
+    sendTo: 'Send to',
+    addChannelFirst: 'Add a channel first',
+    recent: 'Recent deliveries',
+    testTag: 'test',
+    attempt: 'attempt {attempt}',
+    none: 'Nothing sent yet.',
+    describeChannel: '"{name}" ({format}, {host})',
+    describeChannelOff: '"{name}" ({format}, {host}, off)',
+    describeRule: '"{name}" ({severity} and above, {rooms} -> {channels})',
+    describeRuleOff: '"{name}" ({severity} and above, {rooms} -> {channels}, off)',
+    someRooms: 'rooms {rooms}',
+    allRooms: 'all rooms',
+    noChannel: 'no channel',
+  },
+
+  // --- MANUAL OVERRIDE PANEL (dev tools) ---
+  simulation: {
+    title: 'Manual Override Panel',
+    intro: 'Use this to test the emergency UI response without hardware triggers, or play a scripted scenario below.',
+    triggerFire: 'TRIGGER FIRE EVENT',
+    restoreNormal: 'RESTORE NORMAL',
+    chooseScenario: 'Choose a scenario...',
+    fromFile: '{name} (file)',
+    loadScenario: 'Load scenario file',
+  },
+
+  // --- PLAYBACK (scenarios and session replay) ---
+  playback: {
+    play: 'Play',
+    pause: 'Pause',
+    step: 'Step 1 second',
+    restart: 'Restart',
+    speed: 'Playback speed',
+    originalTime: 'Original time of the recording',
+    loadFailed: 'Could not load file: {error}',
+  },
+
+  // --- SESSION REPLAY ---
+  replay: {
+    title: 'Session Replay',
+    intro: 'Play back a session export (CSV or JSON). Replayed rooms and incidents are marked; nothing is sent to the Master Node or to alert channels.',
+    load: 'Load session file',
+    end: 'End replay, back to live data',
+    summary: 'Recorded {time} · {readings} readings, {events} log events',
+  },
+
+  // --- SCENARIO AND SESSION FILE ERRORS (src/data/scenarioEngine.js, sessionData.js) ---
+  fileErrors: {
+    json: 'The file is not valid JSON',
+    notObject: 'Scenario must be a JSON object',
+    noRooms: 'Scenario needs a "rooms" list',
+    noKeyframes: 'Scenario needs a "keyframes" list',
+    keyframeTime: 'Keyframe {index}: "at" must be seconds >= 0',
+    keyframeRoom: 'Keyframe {index}: unknown room {room}',
+    keyframeValues: 'Keyframe {index}: needs numeric "temp" and "smoke" (or "dropout": true)',
+    format: 'Not a SAFE session export (format "{format}")',
+    csvColumns: 'CSV is missing the column(s): {columns}',
+    readingRoom: 'Reading {index}: missing room id',
+    readingValues: 'Reading {index}: temp and smoke must be numbers',
+    readingTime: 'Reading {index}: "{value}" is not an ISO timestamp',
+    eventTime: 'Event {index}: "{value}" is not an ISO timestamp',
+    noReadings: 'The file contains no readings',
+  },
+
+  // --- KEYBOARD SHORTCUTS ---
+  shortcuts: {
+    title: 'Keyboard shortcuts',
+    acknowledge: 'Acknowledge the oldest unacknowledged alert',
+    report: 'Save the PDF incident report',
+    exportData: 'Export readings + log (CSV)',
+    help: 'Show this list',
+    escape: 'Close the open dialog',
+    tab: 'Move between buttons, fields and rooms',
+    note: 'Shortcuts do nothing while you type in a field or a dialog is open.',
+    notAllowed: 'Your role cannot do that.',
+    nothingToAcknowledge: 'No alert waiting for acknowledgement.',
+  },
+
+  // --- SYSTEM LOGS ENTRIES (written in the language active at the time) ---
+  logs: {
+    byActor: '{message} · by {actor}',
+    signedIn: '🔑 {user} signed in',
+    signInFailed: '🔑 Sign-in failed for "{username}": {error}',
+    signedOut: '🔒 {user} signed out',
+    incident: {
+      opened: '🚨 {id} OPENED: {detail} in {place}',
+      escalated: '⏫ {id} ESCALATED to level {level}: {detail}',
+      escalatedBy: '⏫ {id} ESCALATED to level {level}: {detail} ({user})',
+      acknowledged: '👁️ {id} ACKNOWLEDGED by {user}',
+      cleared: '🌤️ {id}: {place} back to normal, awaiting resolution',
+      lost: '❓ {id}: {place} no longer reported by the Master Node, resolve once checked on site',
+      recurred: '🔁 {id} HAZARD RETURNED: {detail} in {place}',
+      resolved: '✅ {id} RESOLVED by {user}',
+      ended: '⏹️ {id}: replay of {place} ended, incident closed',
+      notSent: '⚠️ {id} {action} could not be sent to the Master Node: {error}',
+    },
+    node: {
+      online: '📶 {place}: sensor node back online',
+      stale: '📡 {place}: no data for {seconds}s, readings are stale',
+      offline: '📵 {place}: sensor node OFFLINE (silent for {seconds}s)',
+    },
+    fault: '⚠️ SENSOR FAULT in {place}: {fault}',
+    faultCleared: '✅ {place}: sensor readings valid again',
+    calibration: '🔧 CALIBRATION: sensor {sensor} in {place} changed from {before} to {after}',
+    connectionLost: '🔌 Connection to Master Node lost, reconnecting',
+    connectionRestored: '🔌 Connection to Master Node restored',
+    outbox: {
+      queued: '⏸️ OFFLINE: {what} queued until the Master Node is back',
+      sent: '📬 {what} sent after reconnecting (waited {seconds}s)',
+      expired: '📭 {what} DROPPED: queued for {seconds}s, too old to send',
+      refused: '❌ {what} refused after reconnecting',
+    },
+    command: {
+      rule: 'automatic rule {rule}',
+      sent: '🎛️ COMMAND {id} SENT: {action} in {place} · by {who}',
+      done: '✅ COMMAND {id} CONFIRMED: {actuator} in {place} is now {state}',
+      failed: '❌ COMMAND {id} FAILED: {actuator} in {place} ({error})',
+    },
+    automation: {
+      on: 'on, {scope}',
+      off: 'off',
+      changed: '⚙️ AUTOMATION: rule "{rule}" changed from {before} to {after}',
+    },
+    webhook: {
+      test: 'test message',
+      delivered: '📤 WEBHOOK delivered to {to}: {what} (HTTP {status})',
+      retrying: '⏳ WEBHOOK to {to} failed ({error}), retrying in {seconds}s',
+      failed: '❌ WEBHOOK to {to} FAILED after {attempts} attempts ({error}): {what}',
+      testSent: '📤 WEBHOOK test message sent to {channel}',
+      testMessage: '🧪 Test message from the SAFE dashboard to "{channel}"',
+    },
+    notifications: {
+      channelAdded: '🔔 NOTIFICATIONS: channel {channel} added',
+      channelChanged: '🔔 NOTIFICATIONS: channel changed from {before} to {after}',
+      channelRemoved: '🔔 NOTIFICATIONS: channel {channel} removed',
+      ruleAdded: '🔔 NOTIFICATIONS: rule {rule} added',
+      ruleChanged: '🔔 NOTIFICATIONS: rule changed from {before} to {after}',
+      ruleRemoved: '🔔 NOTIFICATIONS: rule {rule} removed',
+    },
+    alarmEscalated: '🔊 ALARM ESCALATED: {id} in {place} unacknowledged for {seconds}s',
+    alarmMuted: '🔕 Alarm sound muted · by {actor}',
+    alarmUnmuted: '🔔 Alarm sound unmuted · by {actor}',
+    alarmSnoozed: '💤 Alarm snoozed for {minutes} min · by {actor}',
+    alarmSnoozeCancelled: '🔔 Alarm snooze cancelled · by {actor}',
+    report: '📄 PDF Report downloaded: {filename}',
+    reportFailed: '❌ PDF Report could not be created: {error}',
+    exported: '💾 Session data exported: {filename} ({count} readings)',
+    replayLoaded: '⏪ REPLAY LOADED: {file}',
+    replayEnded: '⏹️ REPLAY ENDED: {file}, the rooms show live data again',
+    replayEvent: '⏪ REPLAY [{time}]: {message}',
+    replayEventUntimed: '⏪ REPLAY: {message}',
+    simulationFire: '🧪 SIMULATION: Fire event triggered',
+    simulationNormal: '🧪 SIMULATION: All sensors normalized',
+    scenarioLoaded: '🎬 SCENARIO LOADED: {name}',
+    scenarioLoadedFile: '🎬 SCENARIO LOADED: {name} ({file})',
+    scenarioEvent: '🧪 SCENARIO: {message}',
+  },
+  outbox: {
+    command: 'command {id} ({actuator} -> {state})',
+    incident: '{id} {action} update',
+    other: '{type} message',
+  },
+
+  // --- PDF REPORT (Latin-1 only: the built-in PDF fonts have nothing else) ---
+  report: {
+    title: 'SAFE - INCIDENT REPORT',
+    subtitle: 'Smart Adaptive Fire Evacuation System',
+    generated: 'Report Generated: {time}',
+    building: 'Building: {name}',
+    status: 'System Status: {status}',
+    emergency: 'EMERGENCY ALERT',
+    normal: 'NORMAL MONITORING',
+    incidentCount: 'Incidents: {total} total, {open} open',
+    window: 'Incident Window: {from} - {to}',
+    duration: 'Incident Duration: {duration}',
+    replayNote: 'Marked [REPLAY]: rooms and incidents from a session replay, not from the live sensors.',
+    replayMark: '[REPLAY]',
+    roomStatus: 'Current Room Status',
+    location: 'Location',
+    currentStatus: 'Current Status',
+    temp: 'Temp (°C)',
+    smoke: 'Smoke (%)',
+    lastData: '{status} ({health}, last data)',
+    recommendation: 'System Recommendation',
+    evacuate: 'CRITICAL: Immediate evacuation required.',
+    routine: 'Routine check complete. No anomalies detected. Maintain standard monitoring.',
+    actuatorActive: '{actuator}: {state} in {rooms}',
+    noSprinkler: 'No sprinkler activation reported.',
+    routes: 'Evacuation Routes:',
+    noExit: 'NO SAFE EXIT - shelter in place and await rescue',
+    compromised: '(passes a hazard zone)',
+    incidents: 'Incidents',
+    noIncidents: 'No incidents recorded this session.',
+    escalationLevel: 'escalation level {level}',
+    started: 'Started: {time}   Duration: {duration}',
+    acknowledged: 'Acknowledged: {time} by {user}',
+    notAcknowledged: 'Acknowledged: Not acknowledged',
+    resolved: 'Resolved: {time} by {user}',
+    replayEnded: 'Resolved: {time}, replay ended',
+    open: 'Resolved: Open',
+    readings: 'Room Readings During Incident Window',
+    noReadings: 'No readings in this window',
+    log: 'Event Log (since {time})',
+    noEvents: 'No events logged.',
+    footer: 'Generated {time}',
+    page: 'Page {page} of {pages}',
+  },
+
+  // Words that come from data (statuses, actuator states, roles, site names) are
+  // English already; translations map them in `terms`.
+  terms: {},
+};
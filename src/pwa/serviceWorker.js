@@ -0,0 +1,78 @@
+// ==================================================================================
+// SERVICE WORKER
+// Keeps the dashboard loading when the uplink drops: every file of the build
+// (scripts, styles, fonts, icons, site and floor plan files) is stored on
+// install, and pages are served from that copy when the network fails.
+// Built into /sw.js by the plugin in vite.config.js, which fills in the
+// { version, files } list below. Not used by `npm run dev`.
+// ==================================================================================
+
+const { version, files } = self.__PRECACHE__;
+const CACHE = `safe-${version}`;
+const RUNTIME_CACHE = 'safe-runtime'; // Same-origin files outside the build, e.g. a site file set by URL
+
+// --- INSTALL: STORE THE WHOLE BUILD ---
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(files)));
+});
+
+// --- ACTIVATE: DROP OLD VERSIONS ---
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE && key !== RUNTIME_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// --- UPDATE ---
+// A new version waits until the page says so (the "Reload" button), so a
+// control room is never reloaded in the middle of an incident.
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// --- NOTIFICATION CLICK ---
+// Desktop alerts are shown through this worker (desktopNotifications.js):
+// a click brings the dashboard to the front, or opens it again.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(windows => (windows[0] ? windows[0].focus() : self.clients.openWindow('/')))
+  );
+});
+
+// --- HELPER: NETWORK FIRST, STORED COPY WHEN OFFLINE ---
+const networkFirst = async (request, fallbackUrl) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok && !fallbackUrl) {
+      const cache = await caches.open(RUNTIME_CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request) ?? (fallbackUrl && await caches.match(fallbackUrl));
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+// --- FETCH ---
+// Build files: stored copy first (their names change with every build).
+// Pages: network first, the stored app when offline.
+// Never touched: other origins, non-GET requests, live streams and anything
+// signed in (Authorization header), so sensor data and sessions are never cached.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (request.headers.has('Authorization') || request.headers.get('Accept')?.includes('text/event-stream')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/'));
+    return;
+  }
+  event.respondWith(caches.match(request, { cacheName: CACHE }).then(cached => cached ?? networkFirst(request)));
+});
@@ -0,0 +1,62 @@
+// ==================================================================================
+// SERVICE WORKER STORE
+// Registers /sw.js (production builds only) and tells the UI when a new version
+// of the dashboard has been downloaded. State: { updateReady }
+// The new version only takes over when someone presses "Reload" (applyUpdate).
+// ==================================================================================
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000; // Control room screens stay open for days
+
+export const createServiceWorkerStore = ({ url = '/sw.js', enabled = import.meta.env.PROD } = {}) => {
+  let state = { updateReady: false };
+  let waiting = null; // The downloaded worker waiting to take over
+  const listeners = new Set();
+
+  const set = (next) => {
+    state = next;
+    listeners.forEach(listener => listener());
+  };
+
+  // --- HELPER: A NEW VERSION IS READY ---
+  // Not on the very first install: that page is already the newest version
+  const ready = (worker) => {
+    if (!navigator.serviceWorker.controller) return;
+    waiting = worker;
+    set({ updateReady: true });
+  };
+
+  // --- REGISTER (after the page has loaded, so it never slows the first paint) ---
+  if (enabled && typeof navigator !== 'undefined' && 'serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+      navigator.serviceWorker.register(url)
+        .then(registration => {
+          if (registration.waiting) ready(registration.waiting);
+          registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+              if (worker.state === 'installed') ready(worker);
+            });
+          });
+          setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS); // Offline: try again next time
+        })
+        .catch(err => console.warn('Offline support unavailable:', err));
+    });
+  }
+
+  return {
+    getSnapshot: () => state,
+
+    // --- FUNCTION: SWITCH TO THE NEW VERSION ---
+    // The page reloads once the new worker is in control
+    applyUpdate() {
+      if (!waiting) return;
+      navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+      waiting.postMessage({ type: 'SKIP_WAITING' });
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
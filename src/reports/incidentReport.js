@@ -0,0 +1,381 @@
+// ==================================================================================
+// PDF INCIDENT REPORT
+// Builds the multi-page report behind the "Save Report" button using 'jspdf'.
+// Every page gets a header and a "Page X of Y" footer; sections flow onto new
+// pages as needed, so buildings with many rooms or long logs fit.
+// Written in the operator's language (the `i18n` translator, src/i18n).
+// ==================================================================================
+
+import { jsPDF } from 'jspdf';
+import { getHazardStyle, getRoomStyle, NODE_HEALTH_STYLES } from '../styles/hazardStyles';
+import { describeRoute } from '../data/evacuationRoutes';
+import { incidentDuration, isOpen, describeDetail } from '../data/incidents';
+import { placeName } from '../data/siteModel';
+import { roomsWithActive } from '../data/actuators';
+import { ACTUATOR_TYPES } from '../config/actuators';
+import { REPORT_CONFIG } from '../config/report';
+import { getTranslator } from '../i18n';
+
+// --- PAGE GEOMETRY (A4, millimetres) ---
+const PAGE_WIDTH = 210;
+const MARGIN = 14;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const CONTENT_BOTTOM = 280; // Leaves room for the footer
+const FIRST_PAGE_TOP = 36;
+const NEXT_PAGE_TOP = 22;
+
+// --- HELPER: PDF-SAFE TEXT ---
+// The built-in PDF fonts only cover Latin-1, so emoji and arrows are replaced or dropped
+const pdfText = (text) => String(text)
+  .replace(/→/g, '->')
+  .replace(/[^\x20-\xFF]/gu, '')
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+// --- HELPER: LOAD LOGO ---
+// Returns a data URL jsPDF can embed, or null if there is no (usable) logo.
+// A wrong path usually answers 200 with index.html (SPA fallback), so the
+// content type is checked as well as the status.
+const loadLogo = async (url) => {
+  if (!url) return null;
+  try {
+    const response = await fetch(url);
+    if (!response.ok || !response.headers.get('content-type')?.startsWith('image/')) return null;
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+  } catch {
+    return null; // A missing logo should never block the report
+  }
+};
+
+// --- FUNCTION: INCIDENT WINDOW ---
+// From shortly before the first incident to the last resolution (or now)
+export const incidentWindow = (incidents, now, config = REPORT_CONFIG) => {
+  if (incidents.length === 0) return { from: now - config.defaultChartWindowMs, to: now };
+  const from = Math.min(...incidents.map(i => i.startedAt)) - config.chartLeadMs;
+  const to = incidents.some(isOpen) ? now : Math.max(...incidents.map(i => i.resolvedAt));
+  return { from, to };
+};
+
+// --- FUNCTION: REPORT FILENAME ---
+// e.g. SAFE_Incident_Report_2025-03-14_0930.pdf, dated by the first incident
+export const reportFilename = (incidents, now) => {
+  const date = new Date(incidents.length ? Math.min(...incidents.map(i => i.startedAt)) : now);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `SAFE_Incident_Report_${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}.pdf`;
+};
+
+// --- FUNCTION: BUILD REPORT ---
+// data: { rooms, incidents, log, history, evacuation: [{ floor, graph, routes }], emergencyMode, now, logo, i18n }
+// Rooms and incidents carry `location` from the site model (sector, floor).
+// Returns the jsPDF document (not saved yet).
+export const buildIncidentReport = ({ rooms, incidents, log, history, evacuation, emergencyMode, now, logo, i18n = getTranslator('en'), config = REPORT_CONFIG }) => {
+  const doc = new jsPDF();
+  const { t, term } = i18n;
+  let y = FIRST_PAGE_TOP;
+
+  // --- HELPER: DATE + TIME ---
+  const stamp = (ms) => (ms ? i18n.dateTime(ms) : '-');
+  const duration = (incident) => i18n.duration(Math.floor(incidentDuration(incident, now) / 1000));
+
+  // --- PAGE HEADER ---
+  const drawFirstHeader = () => {
+    // Red Header Background
+    doc.setFillColor(220, 38, 38);
+    doc.rect(0, 0, PAGE_WIDTH, 25, 'F');
+    let textX = MARGIN;
+    if (logo) {
+      try {
+        doc.addImage(logo, MARGIN, 4, 17, 17);
+        textX = MARGIN + 21;
+      } catch {
+        // Not an image jsPDF can read (e.g. SVG): the report goes out without it
+      }
+    }
+
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(18);
+    doc.setFont("helvetica", "bold");
+    doc.text(pdfText(t('report.title')), textX, 13);
+    doc.setFontSize(10);
+    doc.text(pdfText(`${config.buildingName}  |  ${t('report.subtitle')}`), textX, 20);
+  };
+  const drawNextHeader = () => {
+    doc.setFillColor(220, 38, 38);
+    doc.rect(0, 0, PAGE_WIDTH, 12, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(9);
+    doc.setFont("helvetica", "bold");
+    doc.text(pdfText(`${t('report.title')}  |  ${config.buildingName}`), MARGIN, 8);
+  };
+
+  const newPage = () => {
+    doc.addPage();
+    drawNextHeader();
+    y = NEXT_PAGE_TOP;
+  };
+
+  // --- HELPER: MAKE ROOM ---
+  // Starts a new page when the next block would not fit
+  const ensureSpace = (height) => {
+    if (y + height > CONTENT_BOTTOM) newPage();
+  };
+
+  const resetText = (size = 10) => {
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(size);
+    doc.setFont("helvetica", "normal");
+  };
+
+  const sectionTitle = (title) => {
+    ensureSpace(16);
+    y += 4;
+    resetText(12);
+    doc.setFont("helvetica", "bold");
+    doc.text(pdfText(title), MARGIN, y);
+    doc.setDrawColor(220, 38, 38);
+    doc.line(MARGIN, y + 2, MARGIN + CONTENT_WIDTH, y + 2);
+    y += 9;
+    resetText();
+  };
+
+  // Wraps long text to the page width and writes it line by line
+  const paragraph = (text, { indent = 0, size = 10, color = [0, 0, 0], lineHeight = 5 } = {}) => {
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+    doc.splitTextToSize(pdfText(text), CONTENT_WIDTH - indent).forEach(line => {
+      ensureSpace(lineHeight);
+      doc.text(line, MARGIN + indent, y);
+      y += lineHeight;
+    });
+  };
+
+  drawFirstHeader();
+
+  // 1. Summary
+  const chartWindow = incidentWindow(incidents, now, config);
+  const primary = incidents.find(isOpen);
+  resetText();
+  [
+    t('report.generated', { time: stamp(now) }),
+    t('report.building', { name: config.buildingName }),
+    t('report.status', { status: emergencyMode ? t('report.emergency') : t('report.normal') }),
+    t('report.incidentCount', { total: incidents.length, open: incidents.filter(isOpen).length }),
+    t('report.window', { from: stamp(chartWindow.from), to: stamp(chartWindow.to) }),
+    t('report.duration', { duration: primary ? duration(primary) : i18n.duration(0) }),
+  ].forEach(line => paragraph(line, { lineHeight: 6 }));
+  if (rooms.some(r => r.replay) || incidents.some(i => i.replay)) paragraph(t('report.replayNote'), { lineHeight: 6, color: [90, 90, 90] });
+
+  // --- HELPER: "[REPLAY]" after rooms and incidents from a session replay ---
+  const replayMark = (item) => (item.replay ? `  ${t('report.replayMark')}` : '');
+
+  // 2. Current room status table
+  sectionTitle(t('report.roomStatus'));
+  const drawTableHeader = () => {
+    doc.setFillColor(240, 240, 240);
+    doc.rect(MARGIN, y - 6, CONTENT_WIDTH, 9, 'F');
+    doc.setFont("helvetica", "bold");
+    doc.setTextColor(0, 0, 0);
+    doc.text(pdfText(t('report.location')), 16, y);
+    doc.text(pdfText(t('report.currentStatus')), 60, y);
+    doc.text(pdfText(t('report.temp')), 130, y);
+    doc.text(pdfText(t('report.smoke')), 170, y);
+    doc.setFont("helvetica", "normal");
+    y += 9;
+  };
+  drawTableHeader();
+  const ensureRow = () => {
+    // Repeat the header at the top of every continuation page
+    if (y + 8 > CONTENT_BOTTOM) {
+      newPage();
+      y += 6;
+      drawTableHeader();
+    }
+  };
+  const drawRoomRow = (room) => {
+    ensureRow();
+    // Color coding for PDF text comes from the classified hazard type (or the node's health)
+    const silent = NODE_HEALTH_STYLES[room.health];
+    doc.setTextColor(...getRoomStyle(room).pdf);
+    doc.text(pdfText(room.name), 16, y);
+    doc.text(pdfText(`${silent ? t('report.lastData', { status: term(room.status), health: term(silent.label) }) : term(room.status)}${replayMark(room)}`), 60, y);
+    doc.text(i18n.number(room.temp), 130, y);
+    doc.text(i18n.number(room.smoke), 170, y);
+    doc.setDrawColor(230, 230, 230);
+    doc.line(MARGIN, y + 3, MARGIN + CONTENT_WIDTH, y + 3);
+    y += 9;
+  };
+  // Rooms grouped by sector and floor, in the order they first appear
+  const roomGroups = new Map();
+  rooms.forEach(room => {
+    const label = room.location?.label ?? '';
+    roomGroups.set(label, [...(roomGroups.get(label) || []), room]);
+  });
+  roomGroups.forEach((groupRooms, label) => {
+    if (label || roomGroups.size > 1) {
+      ensureRow();
+      doc.setFont("helvetica", "bold");
+      doc.setTextColor(90, 90, 90);
+      doc.text(pdfText(label || term('Unassigned')), 16, y);
+      doc.setFont("helvetica", "normal");
+      y += 7;
+    }
+    groupRooms.forEach(drawRoomRow);
+  });
+  resetText();
+
+  // 3. Recommendation + evacuation routes
+  sectionTitle(t('report.recommendation'));
+  paragraph(emergencyMode ? t('report.evacuate') : t('report.routine'));
+  // What the actuators actually reported, not what was asked of them
+  Object.entries(ACTUATOR_TYPES).forEach(([type, actuator]) => {
+    const active = roomsWithActive(rooms, type);
+    if (active.length) paragraph(t('report.actuatorActive', { actuator: term(actuator.label), state: term(actuator.active), rooms: active.map(r => placeName(r.name, r.location)).join(', ') }), { indent: 2 });
+  });
+  if (emergencyMode && rooms.some(r => r.actuators?.sprinkler) && !roomsWithActive(rooms, 'sprinkler').length) {
+    paragraph(t('report.noSprinkler'), { indent: 2, color: [220, 0, 0] });
+  }
+  if (evacuation.length) {
+    y += 3;
+    doc.setFont("helvetica", "bold");
+    paragraph(t('report.routes'));
+    doc.setFont("helvetica", "normal");
+    evacuation.forEach(({ floor, graph, routes }) => {
+      // One block per floor plan, named when the site has more than one
+      if (evacuation.length > 1) paragraph(`${floor.name}${floor.building ? ` (${floor.building.name})` : ''}`, { indent: 2, color: [90, 90, 90] });
+      routes.forEach(({ roomId, route }) => {
+        const name = rooms.find(r => r.id === roomId)?.name ?? roomId;
+        const text = !route
+          ? `${name}: ${t('report.noExit')}`
+          : `${name}: ${describeRoute(graph, route)}${route.compromised ? ` ${t('report.compromised')}` : ''}`;
+        paragraph(text, { indent: 4, color: route && !route.compromised ? [0, 0, 0] : [220, 0, 0] });
+      });
+    });
+  }
+
+  // 4. Incidents with acknowledgement, resolution and their own timeline
+  sectionTitle(t('report.incidents'));
+  if (incidents.length === 0) paragraph(t('report.noIncidents'));
+  incidents.forEach(incident => {
+    ensureSpace(22);
+    doc.setFont("helvetica", "bold");
+    paragraph(`${incident.id}  ${placeName(incident.roomName, incident.location)}  -  ${term(getHazardStyle(incident.peakType).label)}  -  ${term(incident.status).toUpperCase()}${incident.escalationLevel ? `  (${t('report.escalationLevel', { level: incident.escalationLevel + 1 })})` : ''}${replayMark(incident)}`, {
+      color: getHazardStyle(incident.peakType).pdf,
+    });
+    doc.setFont("helvetica", "normal");
+    paragraph(t('report.started', { time: stamp(incident.startedAt), duration: duration(incident) }), { indent: 4, size: 9 });
+    paragraph(incident.acknowledgedAt
+      ? t('report.acknowledged', { time: stamp(incident.acknowledgedAt), user: incident.acknowledgedBy })
+      : t('report.notAcknowledged'), { indent: 4, size: 9 });
+    paragraph(incident.resolvedAt
+      ? t(incident.resolvedBy ? 'report.resolved' : 'report.replayEnded', { time: stamp(incident.resolvedAt), user: incident.resolvedBy })
+      : t('report.open'), { indent: 4, size: 9 });
+    incident.history.forEach(entry => {
+      paragraph(`${i18n.time(entry.ts)}  ${term(entry.action).toUpperCase()}${entry.detail ? ` - ${describeDetail(entry.detail, i18n)}` : ''}${entry.user ? ` (${entry.user})` : ''}`, {
+        indent: 10, size: 8, color: [90, 90, 90], lineHeight: 4,
+      });
+    });
+    y += 3;
+    resetText();
+  });
+
+  // 5. Per-room reading charts for the incident window
+  sectionTitle(t('report.readings'));
+  rooms.forEach(room => {
+    const samples = history.getSamples(room.id).filter(s => s.ts >= chartWindow.from);
+    ensureSpace(52);
+    drawReadingChart(doc, { x: MARGIN, y, width: CONTENT_WIDTH, height: 38, title: pdfText(placeName(room.name, room.location)), samples, range: chartWindow, i18n });
+    y += 50;
+  });
+
+  // 6. Chronological event log: the whole incident window, and at least config.logWindowMs
+  const logFrom = Math.min(chartWindow.from, now - config.logWindowMs);
+  const recentLog = log.filter(entry => entry.ts >= logFrom);
+  sectionTitle(t('report.log', { time: stamp(logFrom) }));
+  if (recentLog.length === 0) paragraph(t('report.noEvents'));
+  [...recentLog].sort((a, b) => a.ts - b.ts).forEach(entry => {
+    const severity = entry.severity && entry.severity !== 'info' ? `${term(entry.severity).toUpperCase()} ` : '';
+    paragraph(`[${stamp(entry.ts)}] ${severity}${entry.message}`, { size: 8, lineHeight: 4 });
+  });
+
+  // --- FOOTERS (page numbers need the final page count) ---
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setDrawColor(220, 220, 220);
+    doc.line(MARGIN, 287, MARGIN + CONTENT_WIDTH, 287);
+    doc.setFontSize(8);
+    doc.setTextColor(120, 120, 120);
+    doc.setFont("helvetica", "normal");
+    doc.text(pdfText(`${config.buildingName}  |  ${t('report.footer', { time: stamp(now) })}`), MARGIN, 292);
+    doc.text(pdfText(t('report.page', { page, pages: pageCount })), MARGIN + CONTENT_WIDTH, 292, { align: 'right' });
+  }
+
+  return doc;
+};
+
+// --- HELPER: DRAW ONE READING CHART ---
+// Temperature (orange, left scale) and smoke (gray, 0-100% right scale) over the window
+const drawReadingChart = (doc, { x, y, width, height, title, samples, range, i18n }) => {
+  doc.setFontSize(9);
+  doc.setFont("helvetica", "bold");
+  doc.setTextColor(0, 0, 0);
+  doc.text(title, x, y);
+  doc.setFont("helvetica", "normal");
+
+  const top = y + 3;
+  doc.setDrawColor(200, 200, 200);
+  doc.rect(x, top, width, height);
+
+  doc.setFontSize(7);
+  doc.setTextColor(120, 120, 120);
+  doc.text(pdfText(i18n.time(range.from)), x, top + height + 4);
+  doc.text(pdfText(i18n.time(range.to)), x + width, top + height + 4, { align: 'right' });
+
+  if (samples.length < 2) {
+    doc.text(pdfText(i18n.t('report.noReadings')), x + width / 2, top + height / 2, { align: 'center' });
+    return;
+  }
+
+  const temps = samples.map(s => s.temp);
+  const tMin = Math.floor(Math.min(...temps) - 1);
+  const tMax = Math.ceil(Math.max(...temps) + 1);
+  const span = Math.max(range.to, samples[samples.length - 1].ts) - range.from || 1;
+  const toX = (ts) => x + ((ts - range.from) / span) * width;
+
+  doc.text(`${tMax}°C`, x + 1, top + 3);
+  doc.text(`${tMin}°C`, x + 1, top + height - 1);
+  doc.text('100%', x + width - 1, top + 3, { align: 'right' });
+  doc.text('0%', x + width - 1, top + height - 1, { align: 'right' });
+
+  const plot = (key, min, max, color) => {
+    doc.setDrawColor(...color);
+    doc.setLineWidth(0.4);
+    for (let i = 1; i < samples.length; i++) {
+      const a = samples[i - 1];
+      const b = samples[i];
+      doc.line(
+        toX(a.ts), top + height - ((a[key] - min) / (max - min)) * height,
+        toX(b.ts), top + height - ((b[key] - min) / (max - min)) * height
+      );
+    }
+    doc.setLineWidth(0.2);
+  };
+  plot('smoke', 0, 100, [150, 150, 150]);
+  plot('temp', tMin, tMax, [234, 88, 12]);
+};
+
+// --- FUNCTION: EXPORT REPORT ---
+// Loads the logo, builds the report and downloads it. Returns the filename.
+export const exportIncidentReport = async (data, config = REPORT_CONFIG) => {
+  const logo = await loadLogo(config.logoUrl);
+  const doc = buildIncidentReport({ ...data, logo, config });
+  const filename = reportFilename(data.incidents, data.now);
+  doc.save(filename);
+  return filename;
+};
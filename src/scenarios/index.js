@@ -0,0 +1,13 @@
+// ==================================================================================
+// BUNDLED SCENARIOS
+// Every .json file in this folder shows up in the Manual Override Panel picker.
+// ==================================================================================
+
+import { parseScenario } from '../data/scenarioEngine';
+
+const files = import.meta.glob('./*.json', { eager: true, import: 'default' });
+
+// Marked pure so production builds, which have no Manual Override Panel, leave the scenarios out
+export const SCENARIOS = /* @__PURE__ */ (() => Object.entries(files)
+  .map(([path, json]) => ({ id: path.replace(/^\.\/|\.json$/g, ''), ...parseScenario(json) }))
+  .sort((a, b) => a.name.localeCompare(b.name)))();
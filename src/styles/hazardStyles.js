@@ -0,0 +1,37 @@
+// ==================================================================================
+// HAZARD STYLES
+// One place for how each hazard type looks: card border, status text, the
+// floor-plan fill and the RGB colour used in the PDF report.
+// Keyed by the classifier's `type`.
+// ==================================================================================
+
+export const HAZARD_STYLES = {
+  fire: { border: 'border-l-red-500 bg-red-500/5', text: 'text-red-500', fill: '#ef4444', label: 'FIRE', pdf: [220, 0, 0] },
+  smoke: { border: 'border-l-gray-400', text: 'text-orange-500', fill: '#9ca3af', label: 'SMOKE', pdf: [90, 90, 90] },
+  temp: { border: 'border-l-orange-500', text: 'text-orange-500', fill: '#f97316', label: 'HEAT', pdf: [234, 88, 12] },
+  safe: { border: 'border-l-emerald-500', text: 'text-emerald-500', fill: '#10b981', label: 'SAFE', pdf: [0, 128, 0] },
+};
+
+// --- HELPER: STYLE FOR TYPE ---
+// Unknown types fall back to the neutral "smoke" look rather than green
+export const getHazardStyle = (type) => HAZARD_STYLES[type] || HAZARD_STYLES.smoke;
+
+// Floor-plan zones with no sensor (corridors, stairwells)
+export const UNMONITORED_FILL = '#64748b';
+
+// Rooms whose node has gone silent. Never green: the room's state is unknown.
+export const NODE_HEALTH_STYLES = {
+  stale: { border: 'border-l-amber-400 bg-amber-500/5', text: 'text-amber-400', fill: '#fbbf24', label: 'STALE', pdf: [180, 120, 0] },
+  offline: { border: 'border-l-slate-500 bg-slate-500/10', text: 'text-slate-400', fill: '#475569', label: 'NO SIGNAL', pdf: [100, 100, 110] },
+};
+
+// Safe rooms with a faulty sensor (see src/data/sensorFaults.js)
+export const SENSOR_FAULT_STYLE = { border: 'border-l-violet-500 bg-violet-500/5', text: 'text-violet-400', fill: '#8b5cf6', label: 'SENSOR FAULT', pdf: [120, 60, 200] };
+
+// --- HELPER: STYLE FOR A ROOM ---
+// A known hazard keeps its colour even when the node goes silent or a sensor
+// is faulty; a "safe" room shows the problem instead, so it can never look safe.
+export const getRoomStyle = (room) => {
+  if (room.type !== 'safe') return getHazardStyle(room.type);
+  return NODE_HEALTH_STYLES[room.health] || (room.faults?.length ? SENSOR_FAULT_STYLE : HAZARD_STYLES.safe);
+};
@@ -0,0 +1,41 @@
+// ==================================================================================
+// THEMES
+// Page-level classes for each theme of the display menu. App resolves them once
+// and hands cardStyle / textMain / textSub to the components, as before.
+// 'contrast' is pure black and white with solid borders; index.css also brightens
+// the muted greys used inside components (html[data-theme="contrast"]).
+// ==================================================================================
+
+export const THEMES = {
+  dark: {
+    dark: true,
+    bg: 'bg-[#0B1120]', // Very dark blue for premium look
+    textMain: 'text-white',
+    textSub: 'text-slate-400',
+    card: 'bg-slate-900/60 backdrop-blur-md border border-slate-700/50 shadow-xl', // "Glassmorphism" (frosted glass look)
+    map: 'border-slate-800 bg-[#0F1623]',
+    overlay: 'bg-slate-900/80 border-slate-700',
+  },
+  light: {
+    dark: false,
+    bg: 'bg-gray-100',
+    textMain: 'text-slate-800',
+    textSub: 'text-slate-500',
+    card: 'bg-white border border-gray-200 shadow-lg',
+    map: 'border-gray-200 bg-white',
+    overlay: 'bg-white/80 border-gray-200',
+  },
+  contrast: {
+    dark: true,
+    contrast: true,
+    bg: 'bg-black',
+    textMain: 'text-white',
+    textSub: 'text-slate-100',
+    card: 'bg-black border-2 border-white',
+    map: 'border-2 border-white bg-black',
+    overlay: 'bg-black border-white',
+  },
+};
+
+// --- HELPER: THEME BY NAME (unknown names get the default dark theme) ---
+export const getTheme = (name) => THEMES[name] || THEMES.dark;
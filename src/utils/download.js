@@ -0,0 +1,17 @@
+// ==================================================================================
+// FILE DOWNLOAD HELPER
+// Saves generated text (CSV, JSON) as a file in the browser.
+// ==================================================================================
+
+// --- FUNCTION: DOWNLOAD TEXT ---
+export const downloadText = (filename, text, mimeType) => {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,14 @@
+// ==================================================================================
+// FORMAT HELPERS
+// Shared by the dashboard, incident list and PDF report.
+// ==================================================================================
+
+// --- HELPER FUNCTION: FORMAT TIME ---
+// Converts raw seconds (e.g., 65) into "00:01:05" format, with the digits of `locale`
+export const formatTime = (seconds, locale = 'en') => {
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const two = new Intl.NumberFormat(locale, { minimumIntegerDigits: 2, useGrouping: false });
+  return `${two.format(hrs)}:${two.format(mins)}:${two.format(secs)}`;
+};
@@ -1,7 +1,49 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import crypto from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// --- SERVICE WORKER ---
+// Emits /sw.js from src/pwa/serviceWorker.js with the list of files it stores
+// for offline use: the page, every build file and everything in /public.
+// The version changes whenever any of those files changes.
+const serviceWorker = () => {
+  let config
+  const listPublic = (dir, base = '') => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => (entry.isDirectory()
+    ? listPublic(path.join(dir, entry.name), `${base}/${entry.name}`)
+    : [`${base}/${entry.name}`]))
+
+  return {
+    name: 'safe-service-worker',
+    apply: 'build',
+    enforce: 'post', // After index.html has been added to the bundle
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(_, bundle) {
+      if (config.build.ssr) return
+      const publicFiles = config.publicDir && fs.existsSync(config.publicDir) ? listPublic(config.publicDir) : []
+      const buildFiles = Object.keys(bundle)
+        .filter(name => name !== 'index.html' && !name.endsWith('.map'))
+        .filter(name => !name.endsWith('.woff')) // Every browser with service workers uses the .woff2 copy
+        .map(name => `/${name}`)
+
+      const hash = crypto.createHash('sha256')
+      buildFiles.forEach(name => hash.update(name)) // Build file names already contain a content hash
+      publicFiles.forEach(name => hash.update(name).update(fs.readFileSync(path.join(config.publicDir, name))))
+      const html = bundle['index.html']
+      if (html) hash.update(html.source)
+
+      const precache = { version: hash.digest('hex').slice(0, 12), files: ['/', ...buildFiles, ...publicFiles] }
+      const source = fs.readFileSync(path.resolve(config.root, 'src/pwa/serviceWorker.js'), 'utf8')
+        .replace('= self.__PRECACHE__;', `= ${JSON.stringify(precache)};`)
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })